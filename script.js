@@ -15,12 +15,20 @@ const CFG = {
   ZOOM_STEP:     0.25,
   ZOOM_MIN:      0.5,
   ZOOM_MAX:      3.0,
+  BLANK_SCALE:   0.25,    // render scale for blank-page detection
+  TRIM_SCALE:    1,       // render scale for margin trimming
+  SEARCH_MAX:    1000,    // stop collecting search hits after this many
+  HISTORY_STEPS: 50,      // max undo entries
+  HISTORY_MB:    300,     // max distinct PDF bytes held by undo/redo
+  FONT_CDN:      'https://cdn.jsdelivr.net/fontsource/fonts/{id}@latest/latin-400-normal.ttf',
 };
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = CFG.WORKER;
+checkPdfLib();
 
 /* ─── STATE ──────────────────────────────────── */
 const S = {
+  fileName:    '',
   pdfJsDoc:    null,
   rawBytes:    null,      // Uint8Array of latest PDF bytes
   pageOrder:   [],        // [origIndex, ...] current display order
@@ -31,11 +39,46 @@ const S = {
   zoom:        1.0,
   isDark:      true,
   mergeFiles:  [],
+  mergeBytes:  [],        // decrypted bytes per merge file
+  mergeRanges: [],        // page range expression per merge file ('' = all)
   mergeJsDocs: [],
   mergeCurDoc: 0,
   mergeCurPg:  1,
+  sigMode:     'draw',    // signature pad: 'draw' | 'type' | 'upload'
+  sigStrokes:  [],        // [[[x, y, pressure], …], …] drawn on the pad, pad px
   sigDrawing:  false,
+  sigUpload:   null,      // { sig, img } uploaded signature, background removed
   placeMode:   null,
+  placeMark:   null,      // { x, y } last picked point, page space
+  view:        null,      // { vp, view, origIdx, textDivs } of the page in the preview
+  items:       [],        // placed objects, flattened only on download
+  selItem:     null,      // id of the selected item
+  drag:        null,
+  boxDraw:     null,      // { start, end } while a box, line or arrow is being drawn
+  inkStroke:   null,      // [[x, y], …] page space while a freehand stroke is drawn
+  inkItem:     null,      // id of the ink annotation strokes of this session join
+  annotTool:   'highlight',
+  annotColors: {},        // annotation type → color last picked for it
+  commentFocus: null,     // { doc, key, origIdx, box } comment outlined on the preview
+  search:      { doc: null, query: null, hits: [], cur: -1 },
+  editSession: null,      // item id whose panel edit is already in history
+  form:        [],        // fillable fields of rawBytes (see loadForm)
+  formValues:  {},        // field name → value entered here, applied on output
+  formSession: null,      // field name whose typing is already in history
+  outline:     [],        // bookmark tree of rawBytes, pages as original indexes (see BOOKMARKS)
+  outlineSel:  null,      // path of child indexes to the selected bookmark
+  outlineRead: '[]',      // outlineKey() of the bookmarks as read from rawBytes
+  pageLabels:  null,      // label per original page index, null if the file has none
+  optimized:   null,      // Optimize result waiting for download
+  formFlatten: false,
+  srcSecurity: null,      // { userPwd, ownerPwd, perms } if upload was encrypted
+  digitalId:   null,      // { key, alg, info, certs } loaded from a PKCS#12 file
+  dsigBox:     null,      // { page (orig index), x, top, w, h } of a new visible signature
+  cropBox:     null,      // { x, top, w, h } crop rectangle drawn in the Layout panel
+  sigCheck:    null,      // { sigs, empty, bytes } digital signatures of the upload
+  undoStack:   [],        // [{ label, state }] oldest first
+  redoStack:   [],        // [{ label, state }] next redo last
+  histTrimmed: false,
 };
 
 /* ─── DOM ────────────────────────────────────── */
@@ -94,15 +137,21 @@ $('themeToggle').addEventListener('click', () => {
 });
 
 /* ─── PANEL NAV ──────────────────────────────── */
+function openPanel(name) {
+  document.querySelectorAll('.tool-btn').forEach(b => b.classList.toggle('active', b.dataset.panel === name));
+  document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
+  $(`panel-${name}`).classList.add('active');
+  if (name === 'pages' && S.pdfJsDoc) renderGrid();
+  if (name === 'merge') renderMergePreview();
+  if (name === 'comments') renderComments();
+  if (name === 'props') renderProps();
+  if (name === 'bookmarks') renderOutline();
+  if (name === 'certify') { renderDsigFields(); renderDsigList(); }
+  drawOverlay();
+}
+
 document.querySelectorAll('.tool-btn').forEach(btn => {
-  btn.addEventListener('click', () => {
-    document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
-    document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
-    $(`panel-${btn.dataset.panel}`).classList.add('active');
-    if (btn.dataset.panel === 'pages' && S.pdfJsDoc) renderGrid();
-    if (btn.dataset.panel === 'merge') renderMergePreview();
-  });
+  btn.addEventListener('click', () => openPanel(btn.dataset.panel));
 });
 
 /* ─── PDF LOAD ───────────────────────────────── */
@@ -126,25 +175,55 @@ async function ingestBytes(bytes, isNew) {
     S.pageRots   = {};
     S.selectedPgs.clear();
     S.curPage    = 1;
+    S.items      = [];
+    S.selItem    = null;
+    S.formValues = {};
+    clearHistory();
+    dropOptimized();
   }
+  await loadForm();
+  await loadOutline();
+}
+
+/** Make freshly loaded bytes the open document and show it. */
+async function openDocument(bytes, name, security, info) {
+  await ingestBytes(bytes, true);
+  setSourceSecurity(security);
+  S.fileName = name;
+  S.dsigBox  = null;
+  // Signatures of the previous file; loadFile() rescans what was uploaded
+  S.sigCheck = null;
+  renderDsigList();
+  renderDsigFields();
+  $('fileName').textContent = name;
+  $('fileSize').textContent = `${info} · ${S.totalPages} pages` + (security ? ' · decrypted' : '');
+  hide($('dropZone')); show($('fileInfo'));
+  enableBtns(true);
+  updateSplitHint();
+  await previewMain(1);
+}
+
+/** Upload / drop: a PDF opens as is, a batch of images becomes a new document. */
+function openFiles(files) {
+  files = [...files];
+  if (files.length && files.every(f => IMG_TYPES.includes(f.type))) imagesToDocument(files);
+  else loadFile(files[0]);
 }
 
 async function loadFile(file) {
   if (!file || file.type !== 'application/pdf') {
-    toast('Please select a valid PDF file.', 'error'); return;
+    toast('Please select a PDF file, or JPEG / PNG / WebP images only.', 'error'); return;
   }
   if (!okSize(file)) return;
   loading(true, 'Loading PDF…');
   try {
-    const buf = await file.arrayBuffer();
-    await ingestBytes(new Uint8Array(buf), true);
-    $('fileName').textContent = file.name;
-    $('fileSize').textContent = `${fmtSize(file.size)} · ${S.totalPages} pages`;
-    hide($('dropZone')); show($('fileInfo'));
-    enableBtns(true);
-    updateSplitHint();
-    await previewMain(1);
+    const buf    = await file.arrayBuffer();
+    const opened = await unlockPdf(new Uint8Array(buf), file.name);
+    if (!opened) { toast('No password entered — file not loaded.', 'info'); return; }
+    await openDocument(opened.bytes, file.name, opened.security, fmtSize(file.size));
     toast(`Loaded: ${file.name} (${S.totalPages} pages)`, 'success');
+    // Checked as uploaded: decrypting or any edit changes the signed bytes
+    await scanSignatures(new Uint8Array(buf));
   } catch (e) {
     console.error('loadFile error:', e);
     toast(`Load failed: ${e.message}`, 'error');
@@ -154,13 +233,15 @@ async function loadFile(file) {
 }
 
 function enableBtns(on) {
-  ['downloadBtn','splitBtn','addTextBtn','addImageBtn','addSigBtn','applyPwdBtn','zoomIn','zoomOut']
+  ['downloadBtn','exportTextBtn','splitBtn','addTextBtn','textEditBtn','addImageBtn','addSigBtn','fieldDrawBtn','stampApplyBtn','insertBlankBtn','optimizeBtn','bmAddBtn','propAddBtn','propSaveBtn','sanitizeBtn',
+   'cropDrawBtn','cropApplyBtn','cropResetBtn','trimBtn','resizeBtn','nupBtn','redactDrawBtn','redactFindBtn','linkDrawBtn',
+   'exportImgBtn','xfdfExportBtn','xfdfImportBtn','applyPwdBtn','dsigSignBtn','dsigDrawBtn','zoomIn','zoomOut', ...ANNOT_BTNS]
     .forEach(id => { const el = $(id); if (el) el.disabled = !on; });
   updateNav();
 }
 
 $('fileInput').addEventListener('change', e => {
-  if (e.target.files[0]) loadFile(e.target.files[0]);
+  if (e.target.files.length) openFiles(e.target.files);
 });
 
 const dz = $('dropZone');
@@ -168,7 +249,7 @@ dz.addEventListener('dragover',  e => { e.preventDefault(); dz.classList.add('dr
 dz.addEventListener('dragleave', () => dz.classList.remove('drag-over'));
 dz.addEventListener('drop', e => {
   e.preventDefault(); dz.classList.remove('drag-over');
-  if (e.dataTransfer.files[0]) loadFile(e.dataTransfer.files[0]);
+  if (e.dataTransfer.files.length) openFiles(e.dataTransfer.files);
 });
 document.addEventListener('dragover', e => e.preventDefault());
 document.addEventListener('drop',     e => { if (e.target !== dz) e.preventDefault(); });
@@ -176,15 +257,28 @@ document.addEventListener('drop',     e => { if (e.target !== dz) e.preventDefau
 $('clearFile').addEventListener('click', () => {
   Object.assign(S, {
     pdfJsDoc: null, rawBytes: null, pageOrder: [], pageRots: {},
-    totalPages: 0, curPage: 1,
+    totalPages: 0, curPage: 1, items: [], selItem: null, view: null, fileName: '',
+    form: [], formValues: {}, outline: [], outlineSel: null, outlineRead: '[]', pageLabels: null, commentFocus: null, dsigBox: null, sigCheck: null, cropBox: null,
   });
   S.selectedPgs.clear();
+  setSourceSecurity(null);
+  clearHistory();
+  dropOptimized();
   show($('dropZone')); hide($('fileInfo'));
   $('fileInput').value = '';
   $('pageIndicator').textContent = '— / —';
   hide($('previewCanvas')); show($('previewPlaceholder'));
   $('pageGrid').innerHTML = '<p class="hint center">Upload a PDF to manage pages.</p>';
   clearOverlay();
+  updateItemUi();
+  renderFormPanel();
+  renderComments();
+  renderDsigList();
+  renderDsigFields();
+  renderProps();
+  renderOutline();
+  $('formLayer').innerHTML = '';
+  $('textLayer').innerHTML = '';
   enableBtns(false);
 });
 
@@ -206,12 +300,21 @@ async function previewMain(pg) {
   cv.width  = vp.width;
   cv.height = vp.height;
   show(cv); hide($('previewPlaceholder'));
-  await pdfPage.render({ canvasContext: cv.getContext('2d'), viewport: vp }).promise;
+  // Form widgets are left to the HTML form layer when the document has fields
+  await pdfPage.render({
+    canvasContext:  cv.getContext('2d'),
+    viewport:       vp,
+    annotationMode: S.form.length ? pdfjsLib.AnnotationMode.ENABLE_FORMS : pdfjsLib.AnnotationMode.ENABLE,
+  }).promise;
   updateNav();
 
   // Keep placement overlay same size as canvas
   const ov = $('placementOverlay');
   if (ov) { ov.width = cv.width; ov.height = cv.height; }
+  S.view = { vp, view: pdfPage.view, origIdx };
+  drawOverlay();
+  renderFormLayer();
+  await drawTextLayer(vp, origIdx);
 }
 
 function updateNav() {
@@ -234,31 +337,38 @@ $('zoomOut').addEventListener('click', () => {
   previewMain();
 });
 
-/* ─── PLACEMENT OVERLAY ──────────────────────── */
-function clearOverlay() {
-  const ov = $('placementOverlay');
-  if (!ov) return;
-  ov.getContext('2d').clearRect(0, 0, ov.width, ov.height);
-  ov.style.pointerEvents = 'none';
-  $('previewWrap').classList.remove('placement-active');
+/* ─── PLACEMENT OVERLAY ──────────────────────────
+   Positions are kept in "page space": PDF points measured
+   from the top-left of the page's crop box, ignoring any
+   rotation — the same X / Y (top) the panels show. The
+   pdf.js viewport transform maps page space to canvas px
+   for every zoom level and rotation.
+─────────────────────────────────────────────────── */
+function pageMatrix() {
+  const { vp, view } = S.view;
+  return pdfjsLib.Util.transform(vp.transform, [1, 0, 0, -1, view[0], view[3]]);
 }
+const toPageSpace = (cx, cy) => pdfjsLib.Util.applyInverseTransform([cx, cy], pageMatrix());
+const toCanvas    = (x, y)   => pdfjsLib.Util.applyTransform([x, y], pageMatrix());
 
-$('placementOverlay').addEventListener('click', e => {
-  if (!S.placeMode) return;
+function overlayPoint(e) {
   const ov   = $('placementOverlay');
   const rect = ov.getBoundingClientRect();
-  const cx   = (e.clientX - rect.left) * (ov.width  / rect.width);
-  const cy   = (e.clientY - rect.top)  * (ov.height / rect.height);
-  const sc   = CFG.PREVIEW_SCALE * S.zoom;
-  const px   = Math.round(cx / sc);
-  const py   = Math.round(cy / sc);
+  return [
+    (e.clientX - rect.left) * (ov.width  / rect.width),
+    (e.clientY - rect.top)  * (ov.height / rect.height),
+  ];
+}
 
-  if (S.placeMode === 'text')      { $('textX').value = px; $('textY').value = py; }
-  if (S.placeMode === 'image')     { $('imgX').value  = px; $('imgY').value  = py; }
-  if (S.placeMode === 'signature') { $('sigX').value  = px; $('sigY').value  = py; }
+function clearOverlay() {
+  S.placeMark = null;
+  $('previewWrap').classList.remove('placement-active');
+  drawOverlay();
+}
 
-  const ctx = ov.getContext('2d');
-  ctx.clearRect(0, 0, ov.width, ov.height);
+function drawPlaceMark(ctx) {
+  const ov = $('placementOverlay');
+  const [cx, cy] = toCanvas(S.placeMark.x, S.placeMark.y);
   ctx.strokeStyle = '#4f8ef7'; ctx.lineWidth = 1.5; ctx.setLineDash([5, 3]);
   ctx.beginPath(); ctx.moveTo(0, cy); ctx.lineTo(ov.width, cy); ctx.stroke();
   ctx.beginPath(); ctx.moveTo(cx, 0); ctx.lineTo(cx, ov.height); ctx.stroke();
@@ -266,24 +376,71 @@ $('placementOverlay').addEventListener('click', e => {
   ctx.fillStyle = '#4f8ef7';
   ctx.beginPath(); ctx.arc(cx, cy, 5, 0, Math.PI * 2); ctx.fill();
   ctx.font = 'bold 11px monospace';
-  ctx.fillText(`(${px}, ${py})`, cx + 8, cy - 5);
-  toast(`Position → X:${px} Y:${py}`, 'success', 2500);
+  ctx.fillText(`(${S.placeMark.x}, ${S.placeMark.y})`, cx + 8, cy - 5);
+}
+
+$('placementOverlay').addEventListener('click', e => {
+  // Boxes and ink are drawn by dragging, see the object layer
+  if (!S.placeMode || BOX_MODES.includes(S.placeMode) || S.placeMode === 'ink' || !S.view) return;
+  const [x, y] = toPageSpace(...overlayPoint(e)).map(Math.round);
+  if (S.placeMode === 'note') { placeNote(x, y); return; }
+  if (S.placeMode === 'edittext') { editTextAt(...overlayPoint(e)); return; }
+  const f = ITEM_FIELDS[S.placeMode];
+  $(f.x).value = x; $(f.top).value = y; $(f.page).value = S.curPage;
+
+  // Picking while an item of this kind is selected moves it
+  const it = selectedItem();
+  if (it && it.kind === S.placeMode) {
+    pushHistory(`Move ${KIND_LABEL[it.kind]}`);
+    readItemFields(it);
+  }
+  S.placeMark = { x, y };
+  drawOverlay();
+  toast(`Position → X:${x} Y:${y}`, 'success', 2500);
 });
 
+// Modes where boxes are dragged out on the preview instead of picking a point
+const BOX_MODES  = ['field', 'redact', 'link', 'dsig', 'crop', 'square', 'circle', 'line', 'arrow'];
+// Modes that stay on after each item so many can be added in one go
+const STAY_MODES = [...BOX_MODES, 'note', 'ink', 'edittext'];
+const MODE_HINT  = {
+  field:  'Drag to draw a field · Esc to stop',
+  redact: 'Drag to mark an area · Esc to stop',
+  link:   'Drag to draw a link · Esc to stop',
+  dsig:   'Drag the signature box · Esc to cancel',
+  crop:   'Drag the area to keep · Esc to cancel',
+  square: 'Drag to draw a rectangle · Esc to stop',
+  circle: 'Drag to draw an ellipse · Esc to stop',
+  line:   'Drag to draw a line · Esc to stop',
+  arrow:  'Drag to draw an arrow · Esc to stop',
+  note:   'Click to add a note · Esc to stop',
+  ink:    'Draw freehand · Esc to stop',
+  edittext: 'Click text to edit it · Esc to stop',
+};
+
 function setPlaceMode(mode, btnId) {
   S.placeMode = (S.placeMode === mode) ? null : mode;
-  ['textPickBtn','imgPickBtn','sigPickBtn'].forEach(id => {
+  S.boxDraw   = null;
+  S.inkStroke = null;
+  S.inkItem   = null;
+  ['textPickBtn','textEditBtn','imgPickBtn','sigPickBtn','fieldDrawBtn','redactDrawBtn','linkDrawBtn','dsigDrawBtn','cropDrawBtn',
+   'annotNoteBtn','annotSquareBtn','annotCircleBtn','annotLineBtn','annotArrowBtn','annotInkBtn'].forEach(id => {
     const b = $(id); if (!b) return;
+    b.dataset.label = b.dataset.label || b.innerHTML;
     b.classList.remove('active-pick');
-    b.innerHTML = '<i class="fa-solid fa-crosshairs"></i> Pick on Page';
+    b.innerHTML = b.dataset.label;
   });
-  const ov = $('placementOverlay');
   if (S.placeMode) {
-    ov.style.pointerEvents = 'all';
+    const drawing = BOX_MODES.includes(S.placeMode);
     $('previewWrap').classList.add('placement-active');
+    $('previewWrap').dataset.hint = MODE_HINT[S.placeMode] || 'Click to set position';
     const b = $(btnId);
     if (b) { b.classList.add('active-pick'); b.innerHTML = '<i class="fa-solid fa-xmark"></i> Cancel'; }
-    toast('Click on the preview to place.', 'info', 3500);
+    drawOverlay();
+    toast(drawing ? 'Drag on the preview to draw a box.'
+      : S.placeMode === 'ink' ? 'Draw on the preview to write.'
+      : S.placeMode === 'edittext' ? 'Click the text to change on the preview.'
+      : 'Click on the preview to place.', 'info', 3500);
   } else {
     clearOverlay();
   }
@@ -292,6 +449,792 @@ function setPlaceMode(mode, btnId) {
 $('textPickBtn').addEventListener('click', () => setPlaceMode('text',      'textPickBtn'));
 $('imgPickBtn' ).addEventListener('click', () => setPlaceMode('image',     'imgPickBtn'));
 $('sigPickBtn' ).addEventListener('click', () => setPlaceMode('signature', 'sigPickBtn'));
+$('fieldDrawBtn').addEventListener('click', () => setPlaceMode('field',   'fieldDrawBtn'));
+$('redactDrawBtn').addEventListener('click', () => setPlaceMode('redact', 'redactDrawBtn'));
+$('linkDrawBtn').addEventListener('click', () => setPlaceMode('link', 'linkDrawBtn'));
+
+/* ─── OBJECT LAYER ───────────────────────────────
+   Text, images, signatures, designed form fields, redaction
+   marks, links and annotations are placed as editable items
+   drawn on the overlay. They can be dragged, resized by the
+   corner handles, re-edited through their panel and deleted,
+   and are only burned into the PDF by rebuild({ flatten }).
+   item: { id, kind, page (orig index), x, top, w, h, … }
+─────────────────────────────────────────────────── */
+const LINE_H     = 1.2;                          // text line height × font size
+const FONT_CSS   = 'Helvetica, Arial, sans-serif';
+const HANDLE_PX  = 7;
+const KIND_LABEL = {
+  text: 'text', image: 'image', signature: 'signature', field: 'form field', redact: 'redaction mark',
+  annot: 'annotation', link: 'link',
+};
+const ITEM_FIELDS = {
+  text:      { page: 'textPage',  x: 'textX',  top: 'textY' },
+  image:     { page: 'imgPage',   x: 'imgX',   top: 'imgY',   w: 'imgW',   h: 'imgH' },
+  signature: { page: 'sigPage',   x: 'sigX',   top: 'sigY',   w: 'sigW',   h: 'sigH' },
+  field:     { page: 'fieldPage', x: 'fieldX', top: 'fieldY', w: 'fieldW', h: 'fieldH' },
+  redact:    { page: 'redactPage', x: 'redactX', top: 'redactY', w: 'redactW', h: 'redactH' },
+  annot:     { page: 'annotPage', x: 'annotX', top: 'annotY', w: 'annotW', h: 'annotH' },
+  link:      { page: 'linkPage',  x: 'linkX',  top: 'linkY',  w: 'linkW',  h: 'linkH' },
+};
+// Panel inputs beyond position and size
+const ITEM_EXTRA = {
+  text:  ['overlayText', 'textSize', 'textColor', 'textFont', 'textBold', 'textItalic', 'textAlign', 'textLineH',
+          'textWrap', 'textRotate', 'textOpacity'],
+  signature: ['sigColor'],
+  field: ['fieldType', 'fieldName', 'fieldOptions', 'fieldDefault', 'fieldChecked', 'fieldRequired', 'fieldFontSize'],
+  annot: ['annotColor', 'annotOpacity', 'annotWidth', 'annotAuthor', 'annotContents'],
+  link:  ['linkType', 'linkUrl', 'linkTarget'],
+};
+const ITEM_DEL_BTN = {
+  text: 'textDelBtn', image: 'imgDelBtn', signature: 'sigDelBtn', field: 'fieldDelBtn', redact: 'redactDelBtn',
+  annot: 'annotDelBtn', link: 'linkDelBtn',
+};
+let itemSeq = 0;
+
+const selectedItem = () => S.items.find(it => it.id === S.selItem) || null;
+const pageItems    = () => (S.view ? S.items.filter(it => it.page === S.view.origIdx) : []);
+
+let measureCtx = null;
+/** Recompute a text item's box from its content and size. */
+function measureItem(it) {
+  if (it.kind === 'text') measureText(it);
+  return it;
+}
+
+function imageElement(bytes, mime, onload = drawOverlay) {
+  const img = new Image();
+  const url = URL.createObjectURL(new Blob([bytes], { type: mime }));
+  // The decoded image outlives its URL, which would otherwise leak per item
+  img.onload  = () => { URL.revokeObjectURL(url); onload(); };
+  img.onerror = () => URL.revokeObjectURL(url);
+  img.src = url;
+  return img;
+}
+
+function syncOverlayPointer() {
+  const ov = $('placementOverlay');
+  // Outside placement the text layer underneath gets the pointer; item
+  // drags are picked up from the events bubbling to previewWrap
+  ov.style.pointerEvents = S.placeMode ? 'all' : 'none';
+  ov.style.cursor = S.placeMode ? 'crosshair' : 'default';
+  // Clicks must reach the overlay while placing, even over form fields
+  $('formLayer').classList.toggle('passive', !!S.placeMode);
+}
+
+function drawItem(ctx, it, m) {
+  ctx.save();
+  ctx.setTransform(...m);
+  if (it.kind === 'text') {
+    drawTextItem(ctx, it);
+  } else if (it.kind === 'field') {
+    drawFieldItem(ctx, it);
+  } else if (it.kind === 'redact') {
+    drawRedactItem(ctx, it);
+  } else if (it.kind === 'annot') {
+    drawAnnotItem(ctx, it);
+  } else if (it.kind === 'link') {
+    drawLinkItem(ctx, it);
+  } else if (it.kind === 'signature' && it.sig.type !== 'image') {
+    drawSigItem(ctx, it);
+  } else if (it.img && it.img.complete) {
+    ctx.drawImage(it.img, it.x, it.top, it.w, it.h);
+  }
+  ctx.restore();
+}
+
+function itemCorners(it) {
+  return [[it.x, it.top], [it.x + it.w, it.top], [it.x + it.w, it.top + it.h], [it.x, it.top + it.h]]
+    .map(([x, y]) => toCanvas(...turnPoint(it, x, y)));
+}
+
+/** Where a point of an item's unrotated box shows with its rotation; sign -1 undoes it. */
+function turnPoint(it, x, y, sign = 1) {
+  if (!it.rotate) return [x, y];
+  const a  = sign * it.rotate * Math.PI / 180;
+  const cx = it.x + it.w / 2, cy = it.top + it.h / 2, dx = x - cx, dy = y - cy;
+  return [cx + dx * Math.cos(a) + dy * Math.sin(a), cy - dx * Math.sin(a) + dy * Math.cos(a)];
+}
+
+function drawSelection(ctx, it) {
+  const pts = itemCorners(it);
+  ctx.strokeStyle = '#4f8ef7'; ctx.lineWidth = 1.5; ctx.setLineDash([5, 3]);
+  ctx.beginPath();
+  pts.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+  ctx.closePath(); ctx.stroke();
+  ctx.setLineDash([]);
+  pts.forEach(([x, y]) => {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(x - 4, y - 4, 8, 8);
+    ctx.strokeRect(x - 4, y - 4, 8, 8);
+  });
+}
+
+function drawOverlay() {
+  const ov = $('placementOverlay');
+  if (!ov) return;
+  const ctx = ov.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, ov.width, ov.height);
+  syncOverlayPointer();
+  if (!S.view || !S.pdfJsDoc) return;
+  const m = pageMatrix();
+  drawSearchHits(ctx);
+  drawCommentFocus(ctx, m);
+  drawDsigBox(ctx, m);
+  drawCropBox(ctx, m);
+  pageItems().forEach(it => drawItem(ctx, measureItem(it), m));
+  const sel = selectedItem();
+  if (sel && sel.page === S.view.origIdx) drawSelection(ctx, sel);
+  if (S.placeMode && S.placeMark) drawPlaceMark(ctx);
+  if (S.boxDraw) {
+    const { start: [x0, y0], end: [x1, y1] } = S.boxDraw;
+    ctx.save();
+    ctx.setTransform(...m);
+    ctx.strokeStyle = '#4f8ef7'; ctx.lineWidth = 1; ctx.setLineDash([4, 2]);
+    if (S.placeMode === 'line' || S.placeMode === 'arrow') {
+      ctx.beginPath(); ctx.moveTo(x0, y0); ctx.lineTo(x1, y1); ctx.stroke();
+    } else {
+      ctx.strokeRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+    }
+    ctx.restore();
+  }
+  if (S.inkStroke) drawInkStroke(ctx, m);
+}
+
+function hitHandle(it, cx, cy) {
+  return itemCorners(it).findIndex(([x, y]) => Math.abs(x - cx) <= HANDLE_PX && Math.abs(y - cy) <= HANDLE_PX);
+}
+
+function hitItem(px, py) {
+  return pageItems().reverse().find(it => {
+    const [x, y] = turnPoint(it, px, py, -1);
+    return x >= it.x && x <= it.x + it.w && y >= it.top && y <= it.top + it.h &&
+      (it.kind !== 'annot' || hitAnnot(it, px, py));
+  }) || null;
+}
+
+/* Panel ↔ item binding */
+function loadItemToPanel(it) {
+  const f = ITEM_FIELDS[it.kind];
+  $(f.page).value = S.pageOrder.indexOf(it.page) + 1;
+  $(f.x).value    = Math.round(it.x);
+  $(f.top).value  = Math.round(it.top);
+  if (f.w) { $(f.w).value = Math.round(it.w); $(f.h).value = Math.round(it.h); }
+  if (it.kind === 'text') loadTextFields(it);
+  if (it.kind === 'field') {
+    $('fieldType').value       = it.ftype;
+    $('fieldName').value       = it.name;
+    $('fieldOptions').value    = it.options;
+    $('fieldDefault').value    = it.def;
+    $('fieldChecked').checked  = it.checked;
+    $('fieldRequired').checked = it.required;
+    $('fieldFontSize').value   = it.fontSize;
+    updateFieldPanel();
+  }
+  if (it.kind === 'signature') $('sigColor').value = it.color;
+  if (it.kind === 'annot') {
+    $('annotColor').value    = it.color;
+    $('annotOpacity').value  = Math.round(it.opacity * 100);
+    $('annotWidth').value    = it.width;
+    $('annotAuthor').value   = it.author;
+    $('annotContents').value = it.contents;
+  }
+  if (it.kind === 'link') loadLinkFields(it);
+}
+
+function readItemFields(it) {
+  const f   = ITEM_FIELDS[it.kind];
+  const num = (id, d) => { const v = parseFloat($(id).value); return Number.isFinite(v) ? v : d; };
+  const pg  = parseInt($(f.page).value, 10);
+  if (pg >= 1 && pg <= S.totalPages) it.page = S.pageOrder[pg - 1];
+  it.x   = num(f.x, it.x);
+  it.top = num(f.top, it.top);
+  if (f.w) { it.w = Math.max(1, num(f.w, it.w)); it.h = Math.max(1, num(f.h, it.h)); }
+  if (it.kind === 'text') {
+    readTextFields(it, num);
+    const lost = missingChars(it);
+    if (lost) toast(`The font lacks ${lost} — pick or upload one that has them before downloading.`, 'error');
+  }
+  if (it.kind === 'field') {
+    it.ftype    = $('fieldType').value;
+    const name  = $('fieldName').value.trim();
+    if (name && !fieldNameTaken(name, it.ftype, it)) it.name = name;
+    it.options  = $('fieldOptions').value;
+    it.def      = $('fieldDefault').value;
+    it.checked  = $('fieldChecked').checked;
+    it.required = $('fieldRequired').checked;
+    it.fontSize = Math.max(0, num('fieldFontSize', 0));
+    updateFieldPanel();
+  }
+  if (it.kind === 'signature') it.color = $('sigColor').value;
+  if (it.kind === 'annot') readAnnotFields(it, num);
+  if (it.kind === 'link') readLinkFields(it);
+  measureItem(it);
+}
+
+function updateItemUi() {
+  const sel = selectedItem();
+  Object.entries(ITEM_DEL_BTN).forEach(([kind, id]) => {
+    sel && sel.kind === kind ? show($(id)) : hide($(id));
+  });
+  updateRedactCount();
+  updateAnnotMeta(sel && sel.kind === 'annot' ? sel : null);
+}
+
+function selectItem(id) {
+  S.selItem     = id;
+  S.editSession = null;
+  const it = selectedItem();
+  if (it) {
+    loadItemToPanel(it);
+    if (!$(`panel-${it.kind}`).classList.contains('active')) openPanel(it.kind);
+  }
+  updateItemUi();
+  drawOverlay();
+}
+
+async function addItem(it) {
+  pushHistory(`Place ${KIND_LABEL[it.kind]}`);
+  it.id = ++itemSeq;
+  S.items.push(measureItem(it));
+  // Drawing stays on so a whole form or page can be marked up in one go
+  if (!STAY_MODES.includes(S.placeMode)) setPlaceMode(null);
+  const pg = S.pageOrder.indexOf(it.page) + 1;
+  if (pg !== S.curPage) await previewMain(pg);
+  selectItem(it.id);
+}
+
+function deleteItem(id) {
+  const it = S.items.find(i => i.id === id);
+  if (!it) return;
+  pushHistory(`Delete ${KIND_LABEL[it.kind]}`);
+  S.items = S.items.filter(i => i !== it);
+  if (S.selItem === id) S.selItem = null;
+  updateItemUi();
+  drawOverlay();
+}
+
+// Edits through a panel go into history once per selection
+Object.entries(ITEM_FIELDS).forEach(([kind, f]) => {
+  const ids = Object.values(f).concat(ITEM_EXTRA[kind] || []);
+  ids.forEach(id => $(id).addEventListener('input', async () => {
+    const it = selectedItem();
+    if (!it || it.kind !== kind) return;
+    if (S.editSession !== it.id) { pushHistory(`Edit ${KIND_LABEL[kind]}`); S.editSession = it.id; }
+    const prevPage = it.page;
+    readItemFields(it);
+    if (it.page !== prevPage) await previewMain(S.pageOrder.indexOf(it.page) + 1);
+    else drawOverlay();
+  }));
+  $(ITEM_DEL_BTN[kind]).addEventListener('click', () => deleteItem(S.selItem));
+});
+
+/* Drag / resize */
+const BOX_FINISH = { field: finishFieldDraw, redact: finishRedactDraw, link: finishLinkDraw, dsig: finishDsigDraw, crop: finishCropDraw };   // others are annotation shapes
+
+$('previewWrap').addEventListener('pointerdown', e => {
+  if (e.target.closest('.form-widget')) return;
+  if (BOX_MODES.includes(S.placeMode) && S.view) {
+    const pt = toPageSpace(...overlayPoint(e));
+    e.preventDefault();
+    S.boxDraw = { start: pt, end: pt };
+    return;
+  }
+  if (S.placeMode === 'ink' && S.view) {
+    e.preventDefault();
+    S.inkStroke = [toPageSpace(...overlayPoint(e))];
+    return;
+  }
+  if (S.placeMode || !S.view) return;
+  const [cx, cy] = overlayPoint(e);
+  const [px, py] = toPageSpace(cx, cy);
+  const sel    = selectedItem();
+  const corner = sel && sel.page === S.view.origIdx ? hitHandle(sel, cx, cy) : -1;
+  const it     = corner >= 0 ? sel : hitItem(px, py);
+  if (!it) { if (S.selItem) selectItem(null); return; }
+  e.preventDefault();
+  if (it.id !== S.selItem) selectItem(it.id);
+  S.drag = {
+    it, corner, moved: false,
+    start: [px, py],
+    orig:  { x: it.x, top: it.top, w: it.w, h: it.h, size: it.size },
+  };
+});
+
+window.addEventListener('pointermove', e => {
+  if (!S.view) return;
+  const [cx, cy] = overlayPoint(e);
+  const [px, py] = toPageSpace(cx, cy);
+  if (S.boxDraw)   { S.boxDraw.end = [px, py]; drawOverlay(); return; }
+  if (S.inkStroke) { S.inkStroke.push([px, py]); drawOverlay(); return; }
+  const d = S.drag;
+  if (!d) {
+    if (S.placeMode || !$('previewWrap').contains(e.target)) return;
+    const sel    = selectedItem();
+    const handle = sel && sel.page === S.view.origIdx && hitHandle(sel, cx, cy) >= 0;
+    $('previewWrap').classList.toggle('over-handle', !!handle);
+    $('previewWrap').classList.toggle('over-item', !handle && !!hitItem(px, py));
+    return;
+  }
+  const dx = px - d.start[0], dy = py - d.start[1];
+  if (!d.moved) {
+    if (Math.hypot(dx, dy) < 1) return;
+    pushHistory(`${d.corner >= 0 ? 'Resize' : 'Move'} ${KIND_LABEL[d.it.kind]}`);
+    d.moved = true;
+  }
+  const { it, orig: o, corner: c } = d;
+  if (c < 0) {
+    it.x = o.x + dx; it.top = o.top + dy;
+  } else {
+    // Corners: 0 top-left, 1 top-right, 2 bottom-right, 3 bottom-left. Rotated
+    // items resize in their own frame, then the opposite corner is put back
+    const a  = (it.rotate || 0) * Math.PI / 180;
+    const ux = dx * Math.cos(a) - dy * Math.sin(a), uy = dx * Math.sin(a) + dy * Math.cos(a);
+    const left = c === 0 || c === 3, top = c === 0 || c === 1;
+    const x0 = left ? o.x + ux : o.x,          x1 = left ? o.x + o.w : o.x + o.w + ux;
+    const y0 = top  ? o.top + uy : o.top,      y1 = top  ? o.top + o.h : o.top + o.h + uy;
+    if (it.kind === 'text' && it.wrap > 0) {
+      // Wrapped text keeps its size and reflows to the new width
+      it.wrap = Math.max(it.size, Math.abs(x1 - x0));
+      measureItem(it);
+      it.x   = left ? o.x + o.w - it.w : o.x;
+      it.top = top  ? o.top + o.h - it.h : o.top;
+    } else if (it.kind === 'text') {
+      // Text scales uniformly from the opposite corner
+      it.size = Math.max(4, o.size * Math.max(4, Math.abs(y1 - y0)) / o.h);
+      measureItem(it);
+      it.x   = left ? o.x + o.w - it.w : o.x;
+      it.top = top  ? o.top + o.h - it.h : o.top;
+    } else {
+      it.x = Math.min(x0, x1); it.w = Math.max(4, Math.abs(x1 - x0));
+      it.top = Math.min(y0, y1); it.h = Math.max(4, Math.abs(y1 - y0));
+    }
+    if (it.rotate) {
+      const k      = (c + 2) % 4;
+      const corner = b => [b.x + (k === 1 || k === 2 ? b.w : 0), b.top + (k >= 2 ? b.h : 0)];
+      const before = turnPoint({ ...o, rotate: it.rotate }, ...corner(o));
+      const after  = turnPoint(it, ...corner(it));
+      it.x += before[0] - after[0]; it.top += before[1] - after[1];
+    }
+  }
+  drawOverlay();
+});
+
+window.addEventListener('pointerup', () => {
+  if (S.boxDraw)   { (BOX_FINISH[S.placeMode] || finishShapeDraw)(); return; }
+  if (S.inkStroke) { finishInkStroke(); return; }
+  if (!S.drag) return;
+  if (S.drag.moved) { loadItemToPanel(S.drag.it); S.editSession = null; }
+  S.drag = null;
+});
+
+document.addEventListener('keydown', e => {
+  if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+  if (STAY_MODES.includes(S.placeMode) && e.key === 'Escape') { setPlaceMode(null); return; }
+  if (!S.selItem) return;
+  if (e.key === 'Delete' || e.key === 'Backspace') { e.preventDefault(); deleteItem(S.selItem); }
+  if (e.key === 'Escape') selectItem(null);
+});
+
+/** Burn all placed items into doc, whose pages follow order. */
+async function flattenItems(doc, order) {
+  const textFonts = new Map();
+  const sigFonts  = new Map();
+  for (const it of S.items) {
+    const i = order.indexOf(it.page);
+    // Page was deleted / fields, links and annotations are added separately / marks only by Apply
+    if (i < 0 || it.kind === 'field' || it.kind === 'redact' || it.kind === 'annot' || it.kind === 'link') continue;
+    const page = doc.getPage(i);
+    const cb   = page.getCropBox();
+    const left = cb.x + it.x;
+    const topY = cb.y + cb.height - it.top;
+    if (it.kind === 'text') {
+      await drawTextPdf(doc, page, it, left, topY, textFonts);
+    } else if (it.kind === 'signature' && it.sig.type !== 'image') {
+      await drawSignature(doc, page, it, left, topY, sigFonts);
+    } else {
+      const img = it.mime === 'image/png' ? await doc.embedPng(it.bytes) : await doc.embedJpg(it.bytes);
+      page.drawImage(img, { x: left, y: topY - it.h, width: it.w, height: it.h });
+    }
+  }
+}
+
+/* ─── FORMS ──────────────────────────────────────
+   S.form describes the AcroForm fields of rawBytes; values
+   typed here live in S.formValues (by fully qualified name)
+   and are written into the fields only when output is
+   built, so page edits and undo never touch the form data.
+─────────────────────────────────────────────────── */
+const FORM_TYPES = [
+  ['PDFTextField',  'text'],
+  ['PDFCheckBox',   'checkbox'],
+  ['PDFRadioGroup', 'radio'],
+  ['PDFDropdown',   'dropdown'],
+  ['PDFOptionList', 'list'],
+];
+
+async function loadForm() {
+  S.form = [];
+  S.formSession = null;
+  if (!S.rawBytes) { renderFormPanel(); return; }
+  try {
+    const L   = PDFLib;
+    const doc = await L.PDFDocument.load(S.rawBytes.slice(), { ignoreEncryption: true, updateMetadata: false });
+    if (doc.catalog.lookup(L.PDFName.of('AcroForm')) instanceof L.PDFDict) {
+      // Widget dict → original page index
+      const pageOf = new Map();
+      doc.getPages().forEach((p, i) => {
+        const annots = p.node.Annots();
+        if (annots) annots.asArray().forEach(ref => pageOf.set(doc.context.lookup(ref), i));
+      });
+      doc.getForm().getFields().forEach(f => {
+        const hit = FORM_TYPES.find(([cls]) => f instanceof L[cls]);
+        if (!hit) return;
+        const type  = hit[1];
+        const field = {
+          name:      f.getName(),
+          type,
+          readOnly:  f.isReadOnly(),
+          options:   type === 'text' || type === 'checkbox' ? [] : f.getOptions(),
+          multiline: type === 'text' && f.isMultiline(),
+          multi:     type === 'list' && f.isMultiselect(),
+          maxLength: type === 'text' ? f.getMaxLength() : undefined,
+          value:     type === 'text'     ? f.getText() || ''
+                   : type === 'checkbox' ? f.isChecked()
+                   : type === 'radio'    ? f.getSelected() || ''
+                   : f.getSelected(),
+          widgets:   [],
+        };
+        f.acroField.getWidgets().forEach((w, opt) => {
+          const page = pageOf.get(w.dict);
+          if (page === undefined || w.hasFlag(L.AnnotationFlags.Hidden)) return;
+          const r = w.getRectangle();
+          field.widgets.push({ page, opt, rect: [r.x, r.y, r.x + r.width, r.y + r.height] });
+        });
+        S.form.push(field);
+      });
+    }
+  } catch (e) {
+    console.error('loadForm error:', e);
+    S.form = [];
+    toast(`Form fields could not be read: ${e.message}`, 'error');
+  }
+  renderFormPanel();
+}
+
+const formValue = f => (f.name in S.formValues ? S.formValues[f.name] : f.value);
+
+function setFormValue(f, value, typing = false) {
+  if (!typing || S.formSession !== f.name) pushHistory(`Fill “${f.name}”`);
+  S.formSession        = typing ? f.name : null;
+  S.formValues[f.name] = value;
+  syncFormInputs();
+}
+
+/** Build the HTML control for field f; widget is set for the preview layer. */
+function formControl(f, widget) {
+  let el;
+  if (f.type === 'checkbox') {
+    el = Object.assign(document.createElement('input'), { type: 'checkbox' });
+    el.addEventListener('change', () => setFormValue(f, el.checked));
+  } else if (f.type === 'radio' && widget) {
+    el = Object.assign(document.createElement('input'), { type: 'radio', name: `form-${f.name}` });
+    el.dataset.opt = f.options[widget.opt];
+    el.addEventListener('change', () => setFormValue(f, el.dataset.opt));
+  } else if (f.type === 'text') {
+    el = document.createElement(f.multiline ? 'textarea' : 'input');
+    if (f.maxLength !== undefined) el.maxLength = f.maxLength;
+    el.addEventListener('input', () => setFormValue(f, el.value, true));
+    el.addEventListener('blur', () => { S.formSession = null; });
+  } else {
+    el = document.createElement('select');
+    el.multiple = f.multi;
+    if (f.type === 'radio' || !f.multi) el.appendChild(new Option('—', ''));
+    [...new Set(f.options)].forEach(o => el.appendChild(new Option(o, o)));
+    el.addEventListener('change', () => {
+      const picked = Array.from(el.selectedOptions, o => o.value).filter(Boolean);
+      setFormValue(f, f.type === 'radio' ? picked[0] || '' : picked);
+    });
+  }
+  el.dataset.field = f.name;
+  el.disabled      = f.readOnly;
+  return el;
+}
+
+/** Push S.formValues into every control except the one being typed in. */
+function syncFormInputs() {
+  const byName = new Map(S.form.map(f => [f.name, f]));
+  document.querySelectorAll('[data-field]').forEach(el => {
+    const f = byName.get(el.dataset.field);
+    if (!f || el === document.activeElement && f.type === 'text') return;
+    const v = formValue(f);
+    if (el.type === 'checkbox')   el.checked = !!v;
+    else if (el.type === 'radio') el.checked = el.dataset.opt === v;
+    else if (el.tagName === 'SELECT') {
+      const sel = [].concat(v);
+      Array.from(el.options).forEach(o => { o.selected = o.value ? sel.includes(o.value) : !sel.length; });
+    } else el.value = v;
+  });
+  $('formResetBtn').disabled = !Object.keys(S.formValues).length;
+}
+
+function renderFormPanel() {
+  const list = $('formFields');
+  list.innerHTML = '';
+  $('formCount').textContent = !S.rawBytes ? 'Upload a PDF to fill its form.'
+    : S.form.length ? `${S.form.length} fillable field(s) — fields can also be filled on the preview.`
+    : 'This document has no fillable form fields.';
+  S.form.forEach(f => {
+    const row = document.createElement('div');
+    row.className = 'form-group';
+    const label = document.createElement('label');
+    label.textContent = f.name;
+    const el = formControl(f, null);
+    if (f.type === 'checkbox') {
+      label.className = 'check';
+      label.prepend(el);
+      row.appendChild(label);
+    } else {
+      el.classList.add('input');
+      row.append(label, el);
+    }
+    list.appendChild(row);
+  });
+  syncFormInputs();
+}
+
+/** Position an HTML control over each widget of the previewed page. */
+function renderFormLayer() {
+  const layer = $('formLayer');
+  layer.innerHTML = '';
+  if (!S.view || !S.form.length) return;
+  const cv = $('previewCanvas');
+  layer.style.width  = `${cv.width}px`;
+  layer.style.height = `${cv.height}px`;
+  S.form.forEach(f => f.widgets.forEach(w => {
+    if (w.page !== S.view.origIdx) return;
+    const [a, b, c, d] = S.view.vp.convertToViewportRectangle(w.rect);
+    const el = formControl(f, w);
+    el.classList.add('form-widget');
+    el.title = f.name;
+    Object.assign(el.style, {
+      left:     `${Math.min(a, c)}px`,
+      top:      `${Math.min(b, d)}px`,
+      width:    `${Math.abs(c - a)}px`,
+      height:   `${Math.abs(d - b)}px`,
+      fontSize: `${Math.max(8, Math.min(Math.abs(d - b) * 0.65, 16 * S.zoom))}px`,
+    });
+    layer.appendChild(el);
+  }));
+  syncFormInputs();
+}
+
+/**
+ * Write S.formValues into doc's fields (matched by name) and
+ * optionally flatten the whole form into page content.
+ */
+function fillForm(doc, flatten) {
+  const L = PDFLib;
+  if (!(doc.catalog.lookup(L.PDFName.of('AcroForm')) instanceof L.PDFDict)) return;
+  const form = doc.getForm();
+  Object.entries(S.formValues).forEach(([name, v]) => {
+    const f = form.getFieldMaybe(name);
+    if (!f) return;
+    if (f instanceof L.PDFTextField)       f.setText(v || undefined);
+    else if (f instanceof L.PDFCheckBox)   v ? f.check() : f.uncheck();
+    else if (f instanceof L.PDFRadioGroup) v ? f.select(v) : f.clear();
+    else if (f instanceof L.PDFDropdown || f instanceof L.PDFOptionList) v.length ? f.select(v) : f.clear();
+  });
+  if (!flatten) return;
+  form.flatten();
+  // pdf-lib leaves the deleted widgets' refs behind in /Annots
+  doc.getPages().forEach(p => {
+    const annots = p.node.Annots();
+    if (!annots) return;
+    const live = annots.asArray().filter(r => !(r instanceof L.PDFRef) || doc.context.lookup(r));
+    if (live.length) p.node.set(L.PDFName.of('Annots'), doc.context.obj(live));
+    else p.node.delete(L.PDFName.of('Annots'));
+  });
+}
+
+$('formFlatten').addEventListener('change', e => { S.formFlatten = e.target.checked; dropOptimized(); });
+
+$('formResetBtn').addEventListener('click', () => {
+  pushHistory('Reset form');
+  S.formValues = {};
+  syncFormInputs();
+});
+
+/* ─── FORM DESIGNER ──────────────────────────────
+   Drawn fields are object-layer items of kind 'field':
+   { ftype, name, options, def, checked, required, fontSize }.
+   Radio buttons sharing a name form one group; each item's
+   options holds the value of that button. The AcroForm
+   fields are created by rebuild() when output is built.
+─────────────────────────────────────────────────── */
+const FIELD_SIZE = { text: [150, 22], checkbox: [14, 14], radio: [14, 14], dropdown: [120, 22], signature: [180, 50] };
+const FIELD_GLYPH = { text: '', checkbox: '☐ ', radio: '◯ ', dropdown: '▾ ', signature: '✍ ' };
+
+function drawFieldItem(ctx, it) {
+  ctx.fillStyle   = 'rgba(79,142,247,.12)';
+  ctx.strokeStyle = '#4f8ef7';
+  ctx.lineWidth   = 1;
+  ctx.fillRect(it.x, it.top, it.w, it.h);
+  ctx.strokeRect(it.x, it.top, it.w, it.h);
+  ctx.beginPath();
+  ctx.rect(it.x, it.top, it.w, it.h);
+  ctx.clip();
+  ctx.fillStyle    = '#2f5fb3';
+  ctx.font         = `${Math.max(4, Math.min(10, it.h * 0.6))}px ${FONT_CSS}`;
+  ctx.textBaseline = 'middle';
+  const label = it.ftype === 'radio' ? `${it.name} = ${it.options}` : it.name;
+  ctx.fillText(FIELD_GLYPH[it.ftype] + label, it.x + 2, it.top + it.h / 2);
+}
+
+/** Show the panel inputs that apply to the chosen field type. */
+function updateFieldPanel() {
+  const type = $('fieldType').value;
+  $('fieldOptionsRow').classList.toggle('hidden', type !== 'dropdown' && type !== 'radio');
+  $('fieldOptionsLabel').textContent = type === 'radio' ? 'Value of This Button' : 'Options (comma-separated)';
+  $('fieldDefaultRow').classList.toggle('hidden', type !== 'text' && type !== 'dropdown');
+  $('fieldCheckedRow').classList.toggle('hidden', type !== 'checkbox' && type !== 'radio');
+  $('fieldFontSizeRow').classList.toggle('hidden', type !== 'text' && type !== 'dropdown');
+}
+$('fieldType').addEventListener('change', updateFieldPanel);
+
+/** Whether a field of type ftype can't be named name: radio buttons may share a group name. */
+function fieldNameTaken(name, ftype, self = null) {
+  return S.form.some(f => f.name === name) || S.items.some(it =>
+    it !== self && it.kind === 'field' && it.name === name && !(ftype === 'radio' && it.ftype === 'radio'));
+}
+
+/** Field name from the panel, made unique. */
+function designFieldName(ftype, wanted) {
+  const base = wanted.trim() || ftype;
+  let name = wanted.trim() || `${ftype}_1`;
+  for (let k = 2; fieldNameTaken(name, ftype); k++) name = `${base}_${k}`;
+  return name;
+}
+
+// Names already in use are not taken while typing; the panel says so once the input commits
+$('fieldName').addEventListener('change', () => {
+  const it = selectedItem();
+  if (!it || it.kind !== 'field') return;
+  const name = $('fieldName').value.trim();
+  if (name && name !== it.name) toast(`A form field named "${name}" already exists.`, 'error');
+  $('fieldName').value = it.name;
+});
+
+async function finishFieldDraw() {
+  const { start: [x0, y0], end: [x1, y1] } = S.boxDraw;
+  S.boxDraw = null;
+  const ftype = $('fieldType').value;
+  let w = Math.abs(x1 - x0), h = Math.abs(y1 - y0);
+  // A plain click drops a field of the default size
+  if (w < 4 || h < 4) [w, h] = FIELD_SIZE[ftype];
+  const name  = designFieldName(ftype, $('fieldName').value);
+  let options = $('fieldOptions').value;
+  if (ftype === 'radio') {
+    const group = S.items.filter(it => it.kind === 'field' && it.ftype === 'radio' && it.name === name);
+    if (!options.trim() || group.some(it => it.options === options)) options = `Choice ${group.length + 1}`;
+  }
+  await addItem({
+    kind: 'field', ftype, name, options,
+    page:     S.view.origIdx,
+    x:        Math.min(x0, x1),
+    top:      Math.min(y0, y1),
+    w, h,
+    def:      $('fieldDefault').value,
+    checked:  $('fieldChecked').checked,
+    required: $('fieldRequired').checked,
+    fontSize: Math.max(0, parseFloat($('fieldFontSize').value) || 0),
+  });
+}
+
+/** Create AcroForm fields in doc for every designed field item. */
+async function addDesignedFields(doc, order) {
+  const L     = PDFLib;
+  const items = S.items.filter(it => it.kind === 'field' && order.includes(it.page));
+  if (!items.length) return;
+  const form   = doc.getForm();
+  const font   = await doc.embedFont(L.StandardFonts.Helvetica);
+  const groups = new Map();
+  const claim  = name => {
+    if (form.getFieldMaybe(name)) throw new Error(`A form field named "${name}" already exists`);
+  };
+
+  for (const it of items) {
+    const page = doc.getPage(order.indexOf(it.page));
+    const cb   = page.getCropBox();
+    const opts = {
+      x: cb.x + it.x, y: cb.y + cb.height - it.top - it.h, width: it.w, height: it.h,
+      rotate:      L.degrees(page.getRotation().angle),
+      borderColor: L.rgb(0.55, 0.55, 0.55),
+      borderWidth: 1,
+      font,
+    };
+    let field;
+    if (it.ftype === 'radio') {
+      field = groups.get(it.name);
+      if (!field) { claim(it.name); field = form.createRadioGroup(it.name); groups.set(it.name, field); }
+      field.addOptionToPage(it.options, page, opts);
+      if (it.checked) field.select(it.options);
+    } else if (it.ftype === 'checkbox') {
+      claim(it.name);
+      field = form.createCheckBox(it.name);
+      field.addToPage(page, opts);
+      if (it.checked) field.check();
+    } else if (it.ftype === 'dropdown') {
+      claim(it.name);
+      const choices = it.options.split(',').map(o => o.trim()).filter(Boolean);
+      field = form.createDropdown(it.name);
+      field.addOptions(choices);
+      if (choices.includes(it.def.trim())) field.select(it.def.trim());
+      field.addToPage(page, opts);
+      if (it.fontSize) field.setFontSize(it.fontSize);
+    } else if (it.ftype === 'signature') {
+      claim(it.name);
+      addSignatureField(doc, page, it, opts);
+      continue;
+    } else {
+      claim(it.name);
+      field = form.createTextField(it.name);
+      if (it.def) field.setText(it.def);
+      field.addToPage(page, opts);
+      if (it.fontSize) field.setFontSize(it.fontSize);
+    }
+    if (it.required) field.enableRequired();
+  }
+}
+
+/** pdf-lib cannot create signature fields: build the merged field/widget by hand. */
+function addSignatureField(doc, page, it, { x, y, width, height }) {
+  const L   = PDFLib;
+  const ctx = doc.context;
+  const ap  = ctx.formXObject([
+    L.pushGraphicsState(),
+    L.setStrokingRgbColor(0.55, 0.55, 0.55),
+    L.setLineWidth(1),
+    L.rectangle(0.5, 0.5, width - 1, height - 1),
+    L.stroke(),
+    L.popGraphicsState(),
+  ], { BBox: [0, 0, width, height] });
+  const ref = ctx.register(ctx.obj({
+    Type:    'Annot',
+    Subtype: 'Widget',
+    FT:      'Sig',
+    T:       L.PDFHexString.fromText(it.name),
+    Rect:    [x, y, x + width, y + height],
+    F:       4,
+    P:       page.ref,
+    Ff:      it.required ? 2 : 0,
+    MK:      { BC: [0.55, 0.55, 0.55] },
+    AP:      { N: ctx.register(ap) },
+  }));
+  page.node.addAnnot(ref);
+  doc.getForm().acroForm.addField(ref);
+}
 
 /* ─── CORE: REBUILD ──────────────────────────────
    Applies pageOrder + rotations to rawBytes.
@@ -312,8 +1255,12 @@ $('sigPickBtn' ).addEventListener('click', () => setPlaceMode('signature', 'sigP
    for a malformed page entry, pdf-lib throws "expected instance
    of e". Guard: wrap in try/catch with full stack logging.
 ─────────────────────────────────────────────────── */
-async function rebuild() {
+async function rebuild({ flatten = false } = {}) {
   if (!S.rawBytes) throw new Error('No PDF loaded');
+  // Never hand out a copy that still holds what was marked for removal
+  if (flatten && S.items.some(it => it.kind === 'redact' && S.pageOrder.includes(it.page))) {
+    throw new Error('Apply or clear the redaction marks first');
+  }
 
   console.log('[rebuild] rawBytes length:', S.rawBytes.length);
   console.log('[rebuild] pageOrder:', S.pageOrder);
@@ -321,16 +1268,18 @@ async function rebuild() {
 
   // pdf-lib load — pass a COPY so it owns the buffer
   const srcBytes = S.rawBytes.slice();
-  const src  = await PDFLib.PDFDocument.load(srcBytes, { ignoreEncryption: true });
+  // No metadata stamping: properties stay exactly as the Properties panel left them
+  const src  = await PDFLib.PDFDocument.load(srcBytes, { ignoreEncryption: true, updateMetadata: false });
   console.log('[rebuild] src page count:', src.getPageCount());
-  const dest = await PDFLib.PDFDocument.create();
+  const dest = await PDFLib.PDFDocument.create({ updateMetadata: false });
+  copyDocMetadata(dest, src);
 
   // Validate page order indices before passing to copyPages
   const totalSrcPages = src.getPageCount();
   const safeOrder = S.pageOrder.filter(i => i >= 0 && i < totalSrcPages);
   if (safeOrder.length === 0) throw new Error('No valid pages to copy');
 
-  const copied = await dest.copyPages(src, safeOrder);
+  const copied = await copyPagesWithForms(dest, src, safeOrder);
   copied.forEach((page, i) => {
     const origIdx = safeOrder[i];
     const extra   = S.pageRots[origIdx] || 0;
@@ -341,6 +1290,21 @@ async function rebuild() {
     }
     dest.addPage(page);
   });
+  // Form values and placed items are burned in only for output, never for working copies
+  if (flatten) {
+    await addDesignedFields(dest, safeOrder);
+    fillForm(dest, S.formFlatten);
+    await flattenItems(dest, safeOrder);
+    addAnnotations(dest, safeOrder);
+    addLinks(dest, safeOrder);
+  }
+  // Bookmarks, named destinations and labels follow their pages; those of deleted pages are dropped
+  writeOutline(dest, mapOutlinePages(S.outline, p => safeOrder.indexOf(p)));
+  writeNamedDests(dest, readNamedDests(src).map(d => ({ ...d, page: safeOrder.indexOf(d.page) })));
+  const labels = readPageLabels(src);
+  if (labels) writePageLabels(dest, safeOrder.map(i => labels[i]));
+  const mode = src.catalog.get(PDFLib.PDFName.of('PageMode'));
+  if (mode) dest.catalog.set(PDFLib.PDFName.of('PageMode'), mode);
 
   const saved = await dest.save();
   // dest.save() returns Uint8Array — confirm and return
@@ -350,92 +1314,1845 @@ async function rebuild() {
 /**
  * After a content edit, update rawBytes and re-render.
  * The saved doc has pages 0..N-1 in order so reset pageOrder.
+ * label names the edit in the undo history. pageMap gives the
+ * new index of each display page when the edit inserted pages.
  */
-async function applyEdit(newBytes) {
+async function applyEdit(newBytes, label = 'Edit', pageMap = null) {
   if (!(newBytes instanceof Uint8Array)) newBytes = new Uint8Array(newBytes);
+  pushHistory(label);
   const prevPage   = S.curPage;
+  // New bytes hold the pages in display order: remap items to it
+  const oldOrder   = S.pageOrder;
+  const newIndex   = p => {
+    const idx = oldOrder.indexOf(p);
+    return idx < 0 ? -1 : pageMap ? pageMap[idx] : idx;
+  };
+  S.items          = S.items
+    .filter(it => oldOrder.includes(it.page))
+    .map(it => (it.kind === 'link'
+      ? { ...it, page: newIndex(it.page), target: newIndex(it.target) }
+      : { ...it, page: newIndex(it.page) }));
   S.rawBytes       = newBytes;
   S.pdfJsDoc       = await pdfjsLib.getDocument({ data: newBytes.slice() }).promise;
   S.totalPages     = S.pdfJsDoc.numPages;
   S.pageOrder      = Array.from({ length: S.totalPages }, (_, i) => i);
   S.pageRots       = {};
+  await loadForm();
+  await loadOutline();
   S.curPage        = Math.min(prevPage, S.totalPages);
   updateNav();
   updateSplitHint();
   await previewMain(S.curPage);
 }
 
-/* ─── MERGE ──────────────────────────────────── */
-function refreshMergeList() {
-  const list = $('mergeList');
-  list.innerHTML = '';
-  S.mergeFiles.forEach((f, i) => {
-    const li = document.createElement('li');
-    li.className = 'merge-item' + (i === S.mergeCurDoc ? ' merge-item-active' : '');
-    li.innerHTML = `
-      <i class="fa-solid fa-file-pdf"></i>
-      <span class="merge-item-name" title="${f.name}">${f.name}</span>
-      <small class="merge-item-size">${fmtSize(f.size)}</small>
-      <button class="icon-btn" onclick="switchMergeDoc(${i})" title="Preview"><i class="fa-solid fa-eye"></i></button>
-      <button class="icon-btn danger" onclick="removeMergeFile(${i})" title="Remove"><i class="fa-solid fa-xmark"></i></button>`;
-    list.appendChild(li);
-  });
-  $('mergeBtn').disabled = S.mergeFiles.length < 2;
+/* ─── HISTORY (UNDO / REDO) ───────────────────────
+   Snapshots of { rawBytes, pageOrder, pageRots, items,
+   formValues, outline }. rawBytes is never mutated in place —
+   edits replace it — so page-level operations share one
+   buffer and only content edits cost memory. The stacks are trimmed oldest-first by step count
+   and by the total size of distinct buffers they hold.
+─────────────────────────────────────────────────── */
+function snapshot() {
+  return {
+    rawBytes:  S.rawBytes,
+    pageOrder: [...S.pageOrder],
+    pageRots:  { ...S.pageRots },
+    items:     S.items.map(it => ({ ...it })),
+    formValues: { ...S.formValues },
+    outline:   cloneOutline(S.outline),
+  };
+}
 
-  const total  = S.mergeJsDocs.length;
-  const curDoc = S.mergeJsDocs[S.mergeCurDoc];
-  const curPgs = curDoc ? curDoc.numPages : 0;
-  $('mergeDocLabel').textContent = total
-    ? `File ${S.mergeCurDoc + 1}/${total} — Page ${S.mergeCurPg}/${curPgs}`
-    : 'No PDFs added';
-  $('mergePrevDoc').disabled = S.mergeCurDoc <= 0;
-  $('mergeNextDoc').disabled = S.mergeCurDoc >= total - 1;
-  $('mergePrevPg').disabled  = S.mergeCurPg <= 1;
-  $('mergeNextPg').disabled  = !curDoc || S.mergeCurPg >= curPgs;
+/** Record the current state before an operation named label. */
+function pushHistory(label) {
+  if (!S.rawBytes) return;
+  S.undoStack.push({ label, state: snapshot() });
+  S.redoStack = [];
+  dropOptimized();
+  trimHistory();
+  renderHistory();
 }
 
-window.switchMergeDoc = i => {
-  S.mergeCurDoc = i; S.mergeCurPg = 1;
-  renderMergePreview(); refreshMergeList();
-};
+function historyBytes() {
+  const bufs = new Set([S.rawBytes]);
+  [...S.undoStack, ...S.redoStack].forEach(e => bufs.add(e.state.rawBytes));
+  let n = 0;
+  bufs.forEach(b => { n += b ? b.length : 0; });
+  return n;
+}
 
-window.removeMergeFile = i => {
-  S.mergeFiles.splice(i, 1);
-  S.mergeJsDocs.splice(i, 1);
-  S.mergeCurDoc = Math.max(0, Math.min(S.mergeCurDoc, S.mergeFiles.length - 1));
-  S.mergeCurPg  = 1;
-  renderMergePreview(); refreshMergeList();
-};
+function trimHistory() {
+  const maxBytes = CFG.HISTORY_MB * 1048576;
+  while (S.undoStack.length &&
+         (S.undoStack.length > CFG.HISTORY_STEPS || historyBytes() > maxBytes)) {
+    S.undoStack.shift();
+    S.histTrimmed = true;
+  }
+}
 
-async function addMergeFiles(files) {
-  loading(true, 'Adding files…');
+function clearHistory() {
+  S.undoStack = []; S.redoStack = []; S.histTrimmed = false;
+  renderHistory();
+}
+
+async function restoreSnapshot(st) {
+  const bytesChanged = st.rawBytes !== S.rawBytes;
+  dropOptimized();
+  S.rawBytes  = st.rawBytes;
+  S.pageOrder = [...st.pageOrder];
+  S.pageRots  = { ...st.pageRots };
+  S.items     = st.items.map(it => ({ ...it }));
+  S.selItem   = null;
+  S.formValues = { ...st.formValues };
+  updateItemUi();
+  if (bytesChanged) {
+    S.pdfJsDoc = await pdfjsLib.getDocument({ data: S.rawBytes.slice() }).promise;
+    await loadForm();
+    await loadOutline();
+  } else {
+    renderFormPanel();
+  }
+  // After loadOutline, which reads the outline of the bytes
+  S.outline    = cloneOutline(st.outline);
+  S.outlineSel = null;
+  renderOutline();
+  S.totalPages = S.pageOrder.length;
+  S.curPage    = Math.min(S.curPage, S.totalPages);
+  S.selectedPgs.clear();
+  updateNav(); updateSplitHint();
+  if ($('panel-pages').classList.contains('active')) await renderGrid();
+  if ($('panel-comments').classList.contains('active')) renderComments();
+  if ($('panel-props').classList.contains('active')) await renderProps();
+  await previewMain(S.curPage);
+}
+
+/**
+ * Move n steps through history: n < 0 undoes, n > 0 redoes.
+ * Intermediate states are skipped; only the target is rendered.
+ */
+async function stepHistory(n) {
+  const from = n < 0 ? S.undoStack : S.redoStack;
+  const to   = n < 0 ? S.redoStack : S.undoStack;
+  n = Math.min(Math.abs(n), from.length);
+  if (!n || !S.rawBytes) return;
+  let cur = snapshot(), label = '';
+  for (let i = 0; i < n; i++) {
+    const e = from.pop();
+    to.push({ label: e.label, state: cur });
+    cur = e.state; label = e.label;
+  }
+  loading(true, 'Restoring…');
   try {
-    for (const f of Array.from(files)) {
-      if (f.type !== 'application/pdf') { toast(`Not a PDF: ${f.name}`, 'error'); continue; }
-      if (!okSize(f)) continue;
-      const bytes = new Uint8Array(await f.arrayBuffer());
-      const jsDoc = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
-      S.mergeFiles.push(f);
-      S.mergeJsDocs.push(jsDoc);
-    }
-    S.mergeCurDoc = Math.max(0, S.mergeFiles.length - 1);
-    S.mergeCurPg  = 1;
-    await renderMergePreview();
-    refreshMergeList();
+    await restoreSnapshot(cur);
+    toast(`${from === S.undoStack ? 'Undid' : 'Redid'}: ${label}${n > 1 ? ` (+${n - 1} more)` : ''}`, 'info', 2500);
   } catch (e) {
-    console.error('addMergeFiles:', e);
-    toast(`Error: ${e.message}`, 'error');
+    console.error('history error:', e);
+    toast(`History failed: ${e.message}`, 'error');
   } finally {
     loading(false);
+    renderHistory();
   }
 }
 
-async function renderMergePreview() {
-  const cv = $('mergePreviewCanvas');
-  const ph = $('mergePreviewPlaceholder');
-  if (!S.mergeJsDocs.length) { hide(cv); show(ph); refreshMergeList(); return; }
-  const doc = S.mergeJsDocs[S.mergeCurDoc];
-  if (!doc) return;
+const undo = () => stepHistory(-1);
+const redo = () => stepHistory(1);
+
+function renderHistory() {
+  $('undoBtn').disabled = !S.undoStack.length;
+  $('redoBtn').disabled = !S.redoStack.length;
+  const list = $('historyList');
+  list.innerHTML = '';
+  if (!S.rawBytes) {
+    list.innerHTML = '<li class="hint center">Upload a PDF to start.</li>';
+    $('historyMem').textContent = '';
+    return;
+  }
+  // Rows: start state, applied steps, then not-yet-redone steps
+  const rows = [
+    { label: S.histTrimmed ? 'Earlier steps (trimmed)' : 'Opened file', pos: -S.undoStack.length },
+    ...S.undoStack.map((e, i) => ({ label: e.label, pos: i + 1 - S.undoStack.length })),
+    ...[...S.redoStack].reverse().map((e, i) => ({ label: e.label, pos: i + 1, redo: true })),
+  ];
+  rows.forEach(r => {
+    const li = document.createElement('li');
+    li.className = 'history-item' + (r.pos === 0 ? ' current' : '') + (r.redo ? ' undone' : '');
+    li.innerHTML = `<i class="fa-solid ${r.pos === 0 ? 'fa-circle-dot' : 'fa-circle'}"></i><span></span>`;
+    li.querySelector('span').textContent = r.label;
+    if (r.pos !== 0) li.addEventListener('click', () => stepHistory(r.pos));
+    list.appendChild(li);
+  });
+  $('historyMem').textContent =
+    `${S.undoStack.length} undo · ${S.redoStack.length} redo · ${fmtSize(historyBytes())} held`;
+}
+
+$('undoBtn').addEventListener('click', undo);
+$('redoBtn').addEventListener('click', redo);
+
+document.addEventListener('keydown', e => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  // Leave native undo alone inside form fields
+  if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+  const k = e.key.toLowerCase();
+  if (k === 'z' || k === 'y') {
+    e.preventDefault();
+    if (!$('loadingOverlay').classList.contains('hidden')) return;
+    (k === 'y' || e.shiftKey) ? redo() : undo();
+  }
+});
+
+/* ─── TEXT CONTENT ───────────────────────────────
+   PDF.js text of each page, cached per loaded document:
+   { text, items, styles, starts } where starts[i] is the
+   offset of items[i].str in text. Items ending a line add
+   a '\n'. The same content feeds the selectable text layer.
+─────────────────────────────────────────────────── */
+const textCache = { doc: null, pages: new Map() };
+
+async function pageText(origIdx) {
+  if (textCache.doc !== S.pdfJsDoc) { textCache.doc = S.pdfJsDoc; textCache.pages.clear(); }
+  if (!textCache.pages.has(origIdx)) {
+    const pg      = await S.pdfJsDoc.getPage(origIdx + 1);
+    const content = await pg.getTextContent();
+    const items   = content.items.filter(it => typeof it.str === 'string');
+    const starts  = [];
+    let text = '';
+    items.forEach(it => {
+      starts.push(text.length);
+      text += it.str + (it.hasEOL ? '\n' : '');
+    });
+    textCache.pages.set(origIdx, { text, items, styles: content.styles, starts });
+  }
+  return textCache.pages.get(origIdx);
+}
+
+/**
+ * Quads (PDF user space) covering characters [start, end) of a page's text.
+ * band is the part of the line height covered, from below the baseline up.
+ */
+function textQuads(entry, start, end, band = [-0.2, 0.9]) {
+  const quads = [];
+  measureCtx = measureCtx || document.createElement('canvas').getContext('2d');
+  entry.items.forEach((it, i) => {
+    const s0 = entry.starts[i], len = it.str.length;
+    const from = Math.max(start, s0), to = Math.min(end, s0 + len);
+    if (to <= from || !len) return;
+    const [a, b, c, d, e, f] = it.transform;
+    const sx = Math.hypot(a, b) || 1, sy = Math.hypot(c, d) || 1;
+    // pdf.js only knows the run's width: split it as the browser would set the text
+    measureCtx.font = `10px ${entry.styles[it.fontName]?.fontFamily || 'sans-serif'}`;
+    const full = measureCtx.measureText(it.str).width;
+    const at   = k => (k === len ? 1 : full ? measureCtx.measureText(it.str.slice(0, k)).width / full : k / len);
+    const u0 = it.width * at(from - s0), u1 = it.width * at(to - s0);
+    const h  = it.height || sy;
+    const v0 = band[0] * h, v1 = band[1] * h;
+    quads.push([[u0, v0], [u1, v0], [u1, v1], [u0, v1]]
+      .map(([u, v]) => [e + a / sx * u + c / sy * v, f + b / sx * u + d / sy * v]));
+  });
+  return quads;
+}
+
+/** Lay the page's text over the preview canvas as transparent, selectable spans. */
+async function drawTextLayer(vp, origIdx) {
+  const layer = $('textLayer');
+  layer.innerHTML = '';
+  layer.style.setProperty('--scale-factor', vp.scale);
+  const { items, styles } = await pageText(origIdx);
+  if (S.view.origIdx !== origIdx) return;   // another page was shown meanwhile
+  const textDivs = [];   // one span per item, for mapping selections back to the text
+  await pdfjsLib.renderTextLayer({
+    textContentSource: { items, styles },
+    container:         layer,
+    viewport:          vp,
+    textDivs,
+  }).promise;
+  S.view.textDivs = textDivs;
+  const end = document.createElement('div');
+  end.className = 'endOfContent';
+  layer.appendChild(end);
+}
+
+$('exportTextBtn').addEventListener('click', async () => {
+  if (!S.pdfJsDoc) return;
+  loading(true, 'Extracting text…');
+  try {
+    const pages = [];
+    for (let p = 1; p <= S.totalPages; p++) {
+      loading(true, `Extracting page ${p} / ${S.totalPages}…`);
+      pages.push((await pageText(S.pageOrder[p - 1])).text);
+    }
+    // Pages end with a form feed, as pdftotext does
+    const txt = new TextEncoder().encode(pages.map(t => `${t}\n\f`).join(''));
+    dlBytes(txt, `${baseName()}.txt`, 'text/plain;charset=utf-8');
+    toast(`Exported text of ${pages.length} page(s)!`, 'success');
+  } catch (e) {
+    console.error('exportTextBtn error:', e);
+    toast(`Export failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+/* ─── SEARCH ─────────────────────────────────── */
+/** Query as a RegExp, with the options of the panel whose ids start with prefix. */
+function searchRegex(query, prefix = 'search') {
+  let src = $(`${prefix}Regex`).checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if ($(`${prefix}Word`).checked) src = `(?<![\\p{L}\\p{N}_])(?:${src})(?![\\p{L}\\p{N}_])`;
+  return new RegExp(src, 'gu' + ($(`${prefix}Case`).checked ? '' : 'i'));
+}
+
+async function runSearch() {
+  const query = $('searchInput').value;
+  if (!S.pdfJsDoc || !query) return;
+  loading(true, 'Searching…');
+  try {
+    const re   = searchRegex(query);
+    const hits = [];
+    for (let p = 1; p <= S.totalPages; p++) {
+      loading(true, `Searching page ${p} / ${S.totalPages}…`);
+      const origIdx = S.pageOrder[p - 1];
+      const { text } = await pageText(origIdx);
+      re.lastIndex = 0;
+      for (let m; (m = re.exec(text)); ) {
+        if (!m[0].length) { re.lastIndex++; continue; }
+        hits.push({ origIdx, start: m.index, end: m.index + m[0].length, page: p, text });
+        if (hits.length >= CFG.SEARCH_MAX) break;
+      }
+      if (hits.length >= CFG.SEARCH_MAX) break;
+    }
+    S.search = { doc: S.pdfJsDoc, query, hits, cur: -1 };
+    renderSearchResults();
+    if (hits.length) await goToHit(0);
+    else { drawOverlay(); toast('No matches found.', 'info'); }
+  } catch (e) {
+    console.error('runSearch error:', e);
+    toast(`Search failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+}
+
+function renderSearchResults() {
+  const { hits, cur } = S.search;
+  const list = $('searchResults');
+  list.innerHTML = '';
+  $('searchCount').textContent = !hits.length ? ''
+    : `${cur >= 0 ? `${cur + 1} of ` : ''}${hits.length}${hits.length >= CFG.SEARCH_MAX ? '+' : ''} match(es)`;
+  hits.forEach((h, i) => {
+    const li = document.createElement('li');
+    li.className = 'search-hit' + (i === cur ? ' active' : '');
+    const pg   = Object.assign(document.createElement('span'), { className: 'search-hit-page', textContent: `p. ${h.page}` });
+    const snip = document.createElement('span');
+    const mark = document.createElement('mark');
+    mark.textContent = h.text.slice(h.start, h.end);
+    const before = h.text.slice(Math.max(0, h.start - 30), h.start).replace(/\s+/g, ' ');
+    const after  = h.text.slice(h.end, h.end + 30).replace(/\s+/g, ' ');
+    snip.append(`${h.start > 30 ? '…' : ''}${before}`, mark, `${after}…`);
+    li.append(pg, snip);
+    li.addEventListener('click', () => goToHit(i));
+    list.appendChild(li);
+  });
+  $('searchPrev').disabled = !hits.length;
+  $('searchNext').disabled = !hits.length;
+}
+
+async function goToHit(i) {
+  const { hits, doc } = S.search;
+  if (!hits.length) return;
+  if (doc !== S.pdfJsDoc) { toast('The document changed — search again.', 'info'); return; }
+  S.search.cur = (i + hits.length) % hits.length;
+  const page = S.pageOrder.indexOf(hits[S.search.cur].origIdx) + 1;
+  renderSearchResults();
+  $('searchResults').querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+  if (page < 1) { toast('That page was deleted.', 'info'); return; }
+  if (page !== S.curPage) await previewMain(page);
+  else drawOverlay();
+}
+
+/** Highlight the hits on the previewed page; the current one stands out. */
+function drawSearchHits(ctx) {
+  const { hits, cur, doc } = S.search;
+  if (doc !== S.pdfJsDoc || !textCache.pages.has(S.view.origIdx)) return;
+  const entry = textCache.pages.get(S.view.origIdx);
+  hits.forEach((h, i) => {
+    if (h.origIdx !== S.view.origIdx) return;
+    ctx.fillStyle = i === cur ? 'rgba(255,140,0,.45)' : 'rgba(255,214,0,.38)';
+    textQuads(entry, h.start, h.end).forEach(q => {
+      ctx.beginPath();
+      q.map(([x, y]) => S.view.vp.convertToViewportPoint(x, y))
+        .forEach(([x, y], k) => (k ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.closePath();
+      ctx.fill();
+    });
+  });
+}
+
+$('searchBtn').addEventListener('click', runSearch);
+$('searchPrev').addEventListener('click', () => goToHit(S.search.cur - 1));
+$('searchNext').addEventListener('click', () => goToHit(S.search.cur + 1));
+$('searchInput').addEventListener('keydown', e => {
+  if (e.key !== 'Enter') return;
+  e.preventDefault();
+  // Enter steps through the current results; a new query searches again
+  const fresh = S.search.query !== $('searchInput').value || S.search.doc !== S.pdfJsDoc;
+  if (fresh || !S.search.hits.length) runSearch();
+  else goToHit(S.search.cur + (e.shiftKey ? -1 : 1));
+});
+['searchCase', 'searchWord', 'searchRegex'].forEach(id =>
+  $(id).addEventListener('change', () => { S.search.query = null; }));
+
+document.addEventListener('keydown', e => {
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'f' || !S.pdfJsDoc) return;
+  e.preventDefault();
+  openPanel('search');
+  $('searchInput').focus();
+  $('searchInput').select();
+});
+
+/* ─── CONTENT STREAMS ────────────────────────────
+   A small reader for page content. parseContent() splits a
+   stream into { op, args, raw }, raw being the operator's
+   source text so untouched parts are written back byte for
+   byte. Operands: numbers, { name }, { str } (the bytes as a
+   latin1 string), arrays, { dict } and { kw } (true/false/null).
+   fontMetrics() gives what is needed to place each glyph.
+─────────────────────────────────────────────────── */
+const CS_DELIMS = '()<>[]{}/%';
+const CS_SPACE  = ' \t\r\n\f\0';
+const CS_WORDS  = ['true', 'false', 'null'];
+const IDENTITY  = [1, 0, 0, 1, 0, 0];
+
+function latin1(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return s;
+}
+const latin1Bytes = s => Uint8Array.from(s, c => c.charCodeAt(0));
+const csHex = s => `<${Array.from(s, c => c.charCodeAt(0).toString(16).padStart(2, '0')).join('')}>`;
+const csNum = n => String(+n.toFixed(4));
+
+function parseContent(bytes) {
+  const s = latin1(bytes), n = s.length, ops = [];
+  let i = 0;
+  const space = () => {
+    for (;;) {
+      while (i < n && CS_SPACE.includes(s[i])) i++;
+      if (s[i] !== '%') return;
+      while (i < n && s[i] !== '\n' && s[i] !== '\r') i++;
+    }
+  };
+  const word = () => {
+    const st = i;
+    while (i < n && !CS_SPACE.includes(s[i]) && !CS_DELIMS.includes(s[i])) i++;
+    return s.slice(st, i);
+  };
+  const literal = () => {
+    let out = '', depth = 1;
+    for (i++; i < n; ) {
+      const c = s[i++];
+      if (c === '\\') {
+        const d = s[i++] || '';
+        if (d >= '0' && d <= '7') {
+          let oct = d;
+          while (oct.length < 3 && s[i] >= '0' && s[i] <= '7') oct += s[i++];
+          out += String.fromCharCode(parseInt(oct, 8) & 255);
+        } else if (d === '\r') {
+          if (s[i] === '\n') i++;
+        } else if (d !== '\n') {
+          out += { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[d] ?? d;
+        }
+      } else if (c === '(') { depth++; out += c; }
+      else if (c === ')') { if (!--depth) break; out += c; }
+      else out += c;
+    }
+    return out;
+  };
+  const value = () => {
+    const c = s[i];
+    if (c === '/') {
+      i++;
+      return { name: word().replace(/#([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))) };
+    }
+    if (c === '(') return { str: literal() };
+    if (c === '<' && s[i + 1] === '<') {
+      const dict = {};
+      for (i += 2, space(); i < n && !s.startsWith('>>', i); space()) {
+        const k = value();
+        space();
+        dict[k.name] = value();
+      }
+      i += 2;
+      return { dict };
+    }
+    if (c === '<') {
+      const end = s.indexOf('>', i) < 0 ? n : s.indexOf('>', i);
+      const hex = s.slice(i + 1, end).replace(/[^0-9a-f]/gi, '');
+      i = end + 1;
+      return { str: (hex.length % 2 ? hex + '0' : hex).replace(/../g, h => String.fromCharCode(parseInt(h, 16))) };
+    }
+    if (c === '[') {
+      const arr = [];
+      for (i++, space(); i < n && s[i] !== ']'; space()) arr.push(value());
+      i++;
+      return arr;
+    }
+    const w = word();
+    if (!w) { i++; return { kw: c }; }   // stray delimiter
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(w) ? parseFloat(w) : { kw: w };
+  };
+
+  let args = [], start = -1;
+  for (space(); i < n; space()) {
+    if (start < 0) start = i;
+    const v = value();
+    if (v.kw === undefined || CS_WORDS.includes(v.kw)) { args.push(v); continue; }
+    if (v.kw === 'BI') {
+      // Inline image: key/value pairs up to ID, then binary data up to EI
+      for (space(); i < n && !(s.startsWith('ID', i) && CS_SPACE.includes(s[i + 2] || ' ')); space()) value();
+      const ei = /[ \t\r\n\f\0]EI(?=[ \t\r\n\f\0]|$)/g;
+      ei.lastIndex = i + 2;
+      const m = ei.exec(s);
+      i = m ? m.index + 3 : n;
+    }
+    ops.push({ op: v.kw, args, raw: s.slice(start, i) });
+    args = []; start = -1;
+  }
+  return ops;
+}
+
+/** Decoded bytes of a stream object. */
+function streamBytes(stream) {
+  return stream instanceof PDFLib.PDFRawStream
+    ? PDFLib.decodePDFRawStream(stream).decode()
+    : stream.getUnencodedContents();
+}
+
+/** All content streams of a page, joined. */
+function pageContent(page) {
+  const L   = PDFLib;
+  const c   = page.node.Contents();
+  const all = c instanceof L.PDFArray ? c.asArray().map(r => page.doc.context.lookup(r)) : [c];
+  const nl  = new Uint8Array([10]);
+  return concatBytes(...all.filter(st => st instanceof L.PDFStream).flatMap(st => [streamBytes(st), nl]));
+}
+
+const singleByteCodes = str => Array.from(str, ch => {
+  const code = ch.charCodeAt(0);
+  return { code, cid: code, bytes: ch, space: code === 32 };
+});
+const FONT_FALLBACK = { codes: singleByteCodes, width: () => 0.5, asc: 0.75, desc: -0.2 };
+const fontCache     = new WeakMap();
+
+/**
+ * Glyph metrics of a font resource: codes(str) splits shown
+ * bytes into [{ code, cid, bytes, space }], width(glyph) is the
+ * advance in text space units, asc / desc the vertical extent.
+ */
+function fontMetrics(ctx, font) {
+  const L = PDFLib;
+  if (!(font instanceof L.PDFDict)) return FONT_FALLBACK;
+  if (fontCache.has(font)) return fontCache.get(font);
+  const get  = (d, k) => (d instanceof L.PDFDict ? ctx.lookup(d.get(L.PDFName.of(k))) : undefined);
+  const num  = o => (o instanceof L.PDFNumber ? o.asNumber() : undefined);
+  const list = o => (o instanceof L.PDFArray ? o.asArray().map(v => ctx.lookup(v)) : []);
+  const type = get(font, 'Subtype');
+  let m, described = font;
+  if (type === L.PDFName.of('Type0')) {
+    const cid = list(get(font, 'DescendantFonts'))[0];
+    const dw  = num(get(cid, 'DW')) ?? 1000;
+    const ws  = new Map();
+    const w   = list(get(cid, 'W'));
+    for (let i = 0; i < w.length; ) {
+      const first = num(w[i]);
+      if (w[i + 1] instanceof L.PDFArray) {
+        list(w[i + 1]).forEach((v, k) => ws.set(first + k, num(v)));
+        i += 2;
+      } else {
+        const last = Math.min(num(w[i + 1]), first + 0xFFFF);
+        for (let c = first; c <= last; c++) ws.set(c, num(w[i + 2]));
+        i += 3;
+      }
+    }
+    m = { codes: cmapCodes(ctx, get(font, 'Encoding')), width: g => (ws.get(g.cid) ?? dw) / 1000 };
+    described = cid;
+  } else {
+    const first  = num(get(font, 'FirstChar')) ?? 0;
+    const widths = list(get(font, 'Widths')).map(num);
+    const scale  = type === L.PDFName.of('Type3') ? num(list(get(font, 'FontMatrix'))[0]) ?? 0.001 : 0.001;
+    const miss   = num(get(get(font, 'FontDescriptor'), 'MissingWidth')) ?? 0;
+    const base   = get(font, 'BaseFont');
+    // The standard 14 fonts may come without widths
+    const std    = !widths.length && base instanceof L.PDFName &&
+      Object.values(L.StandardFonts).includes(base.decodeText()) &&
+      L.StandardFontEmbedder.for(base.decodeText());
+    const stdWidth = code => {
+      try { return std.widthOfTextAtSize(String.fromCharCode(code), 1); } catch (e) { return 0.5; }
+    };
+    m = {
+      codes: singleByteCodes,
+      width: g => (std ? stdWidth(g.code) : widths.length ? (widths[g.code - first] ?? miss) * scale : 0.5),
+    };
+  }
+  const desc = get(described, 'FontDescriptor');
+  m.asc  = (num(get(desc, 'Ascent')) || 750) / 1000;
+  m.desc = Math.min(-0.1, (num(get(desc, 'Descent')) || -200) / 1000);
+  fontCache.set(font, m);
+  return m;
+}
+
+/** Code splitter of a Type0 font: by its embedded CMap, else two bytes and CID = code. */
+function cmapCodes(ctx, enc) {
+  const ranges = [], cids = [];
+  if (enc instanceof PDFLib.PDFStream) {
+    const src  = latin1(streamBytes(enc));
+    const hex  = h => parseInt(h, 16);
+    const sect = (tag, re, fn) => {
+      for (const [, body] of src.matchAll(new RegExp(`begin${tag}([\\s\\S]*?)end${tag}`, 'g'))) {
+        for (const m of body.matchAll(re)) fn(m);
+      }
+    };
+    sect('codespacerange', /<([0-9a-f]+)>\s*<([0-9a-f]+)>/gi,
+      ([, lo, hi]) => ranges.push({ len: lo.length / 2, lo: hex(lo), hi: hex(hi) }));
+    sect('cidrange', /<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(\d+)/gi,
+      ([, lo, hi, cid]) => cids.push({ lo: hex(lo), hi: hex(hi), cid: +cid }));
+    sect('cidchar', /<([0-9a-f]+)>\s*(\d+)/gi,
+      ([, code, cid]) => cids.push({ lo: hex(code), hi: hex(code), cid: +cid }));
+  }
+  const value = (str, i, len) => Array.from(str.slice(i, i + len)).reduce((v, ch) => v * 256 + ch.charCodeAt(0), 0);
+  const toCid = code => {
+    if (!cids.length) return code;
+    const r = cids.find(r => code >= r.lo && code <= r.hi);
+    return r ? r.cid + code - r.lo : 0;
+  };
+  return str => {
+    const out = [];
+    for (let i = 0; i < str.length; ) {
+      const len = !ranges.length ? 2
+        : [1, 2, 3, 4].find(l => ranges.some(r => r.len === l && value(str, i, l) >= r.lo && value(str, i, l) <= r.hi)) || 1;
+      const code = value(str, i, len);
+      out.push({ code, cid: toCid(code), bytes: str.slice(i, i + len), space: len === 1 && code === 32 });
+      i += len;
+    }
+    return out;
+  };
+}
+
+/* ─── REDACTION ──────────────────────────────────
+   Marks are object-layer items of kind 'redact'. Applying
+   them rewrites the marked pages of a rebuilt copy: glyphs
+   whose box touches a mark are cut from the text operators
+   (their advance is kept, so the rest of the line stays put),
+   paths and images inside a mark are dropped, images across
+   one get those pixels cleared, other drawings across one are
+   clipped around it, and annotations or form widgets over it
+   are removed. Objects left unreferenced are then deleted so
+   nothing survives in the file, and the text pdf.js extracts
+   from the result is checked against the marks.
+   Rects here are { x0, y0, x1, y1 } in PDF user space.
+─────────────────────────────────────────────────── */
+const PATH_OPS  = new Set(['m', 'l', 'c', 'v', 'y', 're', 'h']);
+const PAINT_OPS = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n']);
+const MATCH_BAND = [-0.15, 0.8];   // line height share marked around matches
+
+function boxOf(pts) {
+  const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+const overlaps = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+const within   = (a, b) => a.x0 >= b.x0 && a.x1 <= b.x1 && a.y0 >= b.y0 && a.y1 <= b.y1;
+const rectPts  = r => [[r.x0, r.y0], [r.x1, r.y0], [r.x1, r.y1], [r.x0, r.y1]];
+
+function drawRedactItem(ctx, it) {
+  ctx.globalAlpha = 0.45;
+  ctx.fillStyle   = $('redactNoFill').checked ? '#ffffff' : $('redactFill').value;
+  ctx.fillRect(it.x, it.top, it.w, it.h);
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = '#f74f6a';
+  ctx.lineWidth   = 1;
+  ctx.setLineDash([3, 2]);
+  ctx.strokeRect(it.x, it.top, it.w, it.h);
+}
+
+function updateRedactCount() {
+  const marks = S.items.filter(it => it.kind === 'redact' && S.pageOrder.includes(it.page));
+  const pages = new Set(marks.map(it => it.page)).size;
+  $('redactCount').textContent = marks.length
+    ? `${marks.length} area(s) marked on ${pages} page(s).` : 'No areas marked.';
+  $('redactApplyBtn').disabled = !marks.length;
+  $('redactClearBtn').disabled = !marks.length;
+}
+
+async function finishRedactDraw() {
+  const { start: [x0, y0], end: [x1, y1] } = S.boxDraw;
+  S.boxDraw = null;
+  const w = Math.abs(x1 - x0), h = Math.abs(y1 - y0);
+  if (w < 2 || h < 2) { drawOverlay(); return; }
+  await addItem({ kind: 'redact', page: S.view.origIdx, x: Math.min(x0, x1), top: Math.min(y0, y1), w, h });
+}
+
+/** Mark every match of the Redact panel's query. */
+async function markMatches() {
+  const query = $('redactInput').value;
+  if (!S.pdfJsDoc || !query) return;
+  loading(true, 'Finding matches…');
+  try {
+    const re    = searchRegex(query, 'redact');
+    const marks = [];
+    let found = 0;
+    for (let p = 1; p <= S.totalPages; p++) {
+      loading(true, `Searching page ${p} / ${S.totalPages}…`);
+      const origIdx = S.pageOrder[p - 1];
+      const entry   = await pageText(origIdx);
+      const view    = (await S.pdfJsDoc.getPage(origIdx + 1)).view;
+      re.lastIndex = 0;
+      for (let m; (m = re.exec(entry.text)); ) {
+        if (!m[0].length) { re.lastIndex++; continue; }
+        found++;
+        textQuads(entry, m.index, m.index + m[0].length, MATCH_BAND).forEach(q => {
+          const b = boxOf(q);
+          marks.push({ kind: 'redact', page: origIdx, x: b.x0 - view[0], top: view[3] - b.y1, w: b.x1 - b.x0, h: b.y1 - b.y0 });
+        });
+      }
+    }
+    if (!found) { toast('No matches found.', 'info'); return; }
+    pushHistory(`Mark “${query}” for redaction`);
+    marks.forEach(it => S.items.push({ ...it, id: ++itemSeq }));
+    updateItemUi();
+    drawOverlay();
+    toast(`Marked ${found} match(es) — review them, then Apply.`, 'success');
+  } catch (e) {
+    console.error('markMatches error:', e);
+    toast(`Marking failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+}
+
+/**
+ * Device components of a fill colour set in colour space cs (a
+ * /ColorSpace resource); null comps gives the space's initial colour.
+ * Separation and DeviceN tints go through an exponential tint
+ * transform into its alternate space, and otherwise become a gray as
+ * dark as the strongest tint. Other spaces are read by component count.
+ */
+function deviceColor(ctx, cs, comps) {
+  const L   = PDFLib;
+  const arr = cs instanceof L.PDFArray ? cs.asArray().map(v => ctx.lookup(v)) : [];
+  const family = arr[0] instanceof L.PDFName ? arr[0].decodeText() : '';
+  if (family !== 'Separation' && family !== 'DeviceN') return comps || [0];
+  const n    = family === 'DeviceN' && arr[1] instanceof L.PDFArray ? arr[1].size() : 1;
+  const tint = comps || Array(n).fill(1);
+  const fn   = arr[3] instanceof L.PDFStream ? arr[3].dict : arr[3];
+  const get  = k => (fn instanceof L.PDFDict ? fn.lookup(L.PDFName.of(k)) : undefined);
+  const nums = (o, d) => (o instanceof L.PDFArray ? o.asArray().map(v => ctx.lookup(v)?.asNumber?.() ?? 0) : d);
+  const alt  = arr[2] instanceof L.PDFArray ? ctx.lookup(arr[2].get(0)) : arr[2];
+  const altOk = ['DeviceGray', 'DeviceRGB', 'DeviceCMYK', 'ICCBased'].includes(alt?.decodeText?.());
+  if (altOk && tint.length === 1 && get('FunctionType')?.asNumber?.() === 2) {
+    const c0 = nums(get('C0'), [0]), c1 = nums(get('C1'), [1]);
+    const t  = Math.max(0, tint[0]) ** (get('N')?.asNumber?.() ?? 1);
+    return c0.map((v, k) => v + t * ((c1[k] ?? 0) - v));
+  }
+  // Tints are ink amounts: 0 is paper, 1 full ink
+  return [1 - Math.min(1, Math.max(0, ...tint))];
+}
+
+/** Clip path (in the space of ctm) that leaves out rect r. */
+function holeClip(r, ctm) {
+  const U = pdfjsLib.Util;
+  if (!(ctm[0] * ctm[3] - ctm[1] * ctm[2])) return '';
+  const inv  = U.inverseTransform(ctm);
+  const B    = 1e5;
+  const poly = pts => pts.map((p, k) => `${U.applyTransform(p, inv).map(csNum).join(' ')} ${k ? 'l' : 'm'}`).join(' ') + ' h';
+  return `${poly([[-B, -B], [B, -B], [B, B], [-B, B]])} ${poly(rectPts(r))} W* n`;
+}
+
+/**
+ * Rewrite a content stream without what lies under rects.
+ * Returns { bytes, res } — res being its own copy of the
+ * resources — or null when nothing was touched.
+ * edit, for text editing: only glyphs centered in a rect are
+ * cut, drawings stay, and edit.style gets how the first one
+ * was set: { font (ref or dict), matrix (size 1 text space →
+ * user space), color (fill components) }.
+ */
+async function redactStream(doc, bytes, res, rects, ctm, stats, depth = 0, edit = null) {
+  const L   = PDFLib;
+  const U   = pdfjsLib.Util;
+  const ctx = doc.context;
+  const resOf = (d, k) => (d instanceof L.PDFDict && k ? d.lookup(L.PDFName.of(k)) : undefined);
+  const fonts = resOf(res, 'Font'), xobjs = resOf(res, 'XObject'), spaces = resOf(res, 'ColorSpace');
+  const num   = v => (typeof v === 'number' ? v : 0);
+  const out = [], added = [], used = new Set(), stack = [];
+  let gs = { ctm, font: FONT_FALLBACK, fontKey: null, fs: 0, tc: 0, tw: 0, th: 1, tl: 0, rise: 0, lw: 1, fill: [0], cs: null };
+  let tm = IDENTITY, tlm = IDENTITY, path = null, changed = false;
+
+  const touching = box => rects.filter(r => overlaps(r, box));
+  const centered = box => {
+    const x = (box.x0 + box.x1) / 2, y = (box.y0 + box.y1) / 2;
+    return rects.some(r => x > r.x0 && x < r.x1 && y > r.y0 && y < r.y1);
+  };
+  const unitBox  = () => boxOf(rectPts({ x0: 0, y0: 0, x1: 1, y1: 1 }).map(p => U.applyTransform(p, gs.ctm)));
+  const nextLine = () => { tlm = tm = U.transform(tlm, [1, 0, 0, 1, 0, -gs.tl]); };
+  const newName  = () => {
+    let k = 1;
+    while (resOf(xobjs, `Redacted${k}`) || added.some(([nm]) => nm === `Redacted${k}`)) k++;
+    return `Redacted${k}`;
+  };
+
+  // Images under a mark are dropped or cleared, forms are rewritten as copies
+  const drawXObject = async (name, raw) => {
+    const xo = resOf(xobjs, name);
+    if (!(xo instanceof L.PDFStream)) return raw;
+    const sub = xo.dict.lookup(L.PDFName.of('Subtype'));
+    if (sub === L.PDFName.of('Image')) {
+      const box = unitBox(), hit = edit ? [] : touching(box);
+      if (!hit.length) return raw;
+      changed = true; stats.images++;
+      const copy = hit.some(r => within(box, r)) ? null : await redactImage(doc, xo, hit, gs.ctm);
+      if (!copy) return null;
+      const nm = newName();
+      added.push([nm, copy]);
+      return `/${nm} Do`;
+    }
+    if (sub !== L.PDFName.of('Form') || depth >= 16) return raw;
+    const nums = o => (o instanceof L.PDFArray ? o.asArray().map(v => ctx.lookup(v)?.asNumber?.() ?? 0) : null);
+    const fctm = U.transform(gs.ctm, nums(xo.dict.lookup(L.PDFName.of('Matrix'))) || IDENTITY);
+    const bbox = nums(xo.dict.lookup(L.PDFName.of('BBox')));
+    if (bbox && !touching(boxOf(rectPts({ x0: bbox[0], y0: bbox[1], x1: bbox[2], y1: bbox[3] })
+      .map(p => U.applyTransform(p, fctm)))).length) return raw;
+    const own  = xo.dict.lookup(L.PDFName.of('Resources'));
+    const done = await redactStream(doc, streamBytes(xo), own instanceof L.PDFDict ? own : res, rects, fctm, stats,
+      depth + 1, edit);
+    if (!done) return raw;
+    const copy = ctx.flateStream(done.bytes);
+    xo.dict.entries().forEach(([k, v]) => {
+      if (!['Length', 'Filter', 'DecodeParms'].includes(k.decodeText())) copy.dict.set(k, v);
+    });
+    copy.dict.set(L.PDFName.of('Resources'), done.res);
+    const nm = newName();
+    added.push([nm, ctx.register(copy)]);
+    changed = true;
+    return `/${nm} Do`;
+  };
+
+  // Glyphs touching a mark become gaps of the same advance in a TJ array
+  const showText = arr => {
+    const { font: f, fs, th } = gs;
+    const parts = [];
+    let cut = 0;
+    const gap  = n => (typeof parts[parts.length - 1] === 'number' ? (parts[parts.length - 1] += n) : parts.push(n));
+    const keep = b => (typeof parts[parts.length - 1] === 'string' ? (parts[parts.length - 1] += b) : parts.push(b));
+    for (const el of Array.isArray(arr) ? arr : []) {
+      if (typeof el === 'number') {
+        tm = U.transform(tm, [1, 0, 0, 1, -el / 1000 * fs * th, 0]);
+        gap(el);
+        continue;
+      }
+      if (!el || typeof el.str !== 'string') continue;
+      for (const g of f.codes(el.str)) {
+        const w   = f.width(g);
+        const adv = (w * fs + gs.tc + (g.space ? gs.tw : 0)) * th;
+        const trm = U.transform(gs.ctm, tm);
+        const box = boxOf(rectPts({ x0: 0, y0: f.desc * fs + gs.rise, x1: w * fs * th, y1: f.asc * fs + gs.rise })
+          .map(p => U.applyTransform(p, trm)));
+        if (edit ? centered(box) : touching(box).length) {
+          cut++; gap(fs * th ? -adv * 1000 / (fs * th) : 0);
+          if (edit && !edit.style) {
+            edit.style = {
+              font:   fonts instanceof L.PDFDict ? fonts.get(L.PDFName.of(gs.fontKey)) : undefined,
+              matrix: U.transform(trm, [fs * th, 0, 0, fs, 0, gs.rise]),
+              color:  gs.fill,
+            };
+          }
+        } else keep(g.bytes);
+        tm = U.transform(tm, [1, 0, 0, 1, adv, 0]);
+      }
+    }
+    stats.glyphs += cut;
+    return cut ? `[${parts.map(p => (typeof p === 'number' ? csNum(p) : csHex(p))).join(' ')}] TJ` : null;
+  };
+
+  for (const { op, args, raw } of parseContent(bytes)) {
+    if (PATH_OPS.has(op) || op === 'W' || op === 'W*') {
+      path = path || { ops: [], pts: [], clip: false };
+      path.ops.push(raw);
+      if (op === 'W' || op === 'W*') path.clip = true;
+      else if (op === 're') {
+        const [x, y, w, h] = args.map(num);
+        path.pts.push(...rectPts({ x0: x, y0: y, x1: x + w, y1: y + h }).map(p => U.applyTransform(p, gs.ctm)));
+      } else {
+        for (let k = 0; k + 1 < args.length; k += 2) path.pts.push(U.applyTransform([num(args[k]), num(args[k + 1])], gs.ctm));
+      }
+      continue;
+    }
+    if (PAINT_OPS.has(op)) {
+      const p   = path || { ops: [], pts: [], clip: false };
+      const pad = gs.lw * Math.max(Math.hypot(gs.ctm[0], gs.ctm[1]), Math.hypot(gs.ctm[2], gs.ctm[3])) / 2;
+      const box = p.pts.length && boxOf(p.pts);
+      const hit = box && op !== 'n' && !edit
+        ? touching({ x0: box.x0 - pad, y0: box.y0 - pad, x1: box.x1 + pad, y1: box.y1 + pad }) : [];
+      path = null;
+      if (!hit.length) { out.push(...p.ops, raw); continue; }
+      changed = true;
+      stats.paths++;
+      if (!p.clip && hit.some(r => within(box, r))) continue;
+      // Keep what lies outside the marks by clipping each one out
+      if (p.clip) out.push(...p.ops, 'n');
+      out.push('q', ...hit.map(r => holeClip(r, gs.ctm)), ...p.ops.filter(o => o !== 'W' && o !== 'W*'), raw, 'Q');
+      continue;
+    }
+
+    let emit = raw;
+    switch (op) {
+      case 'q':  stack.push({ ...gs }); break;
+      case 'Q':  gs = stack.pop() || gs; break;
+      case 'cm': gs.ctm = U.transform(gs.ctm, args.slice(0, 6).map(num)); break;
+      case 'w':  gs.lw = num(args[0]); break;
+      case 'BT': tm = tlm = IDENTITY; break;
+      case 'Tf':
+        gs.font = fontMetrics(ctx, resOf(fonts, args[0]?.name)); gs.fontKey = args[0]?.name; gs.fs = num(args[1]);
+        break;
+      case 'g':
+      case 'rg':
+      case 'k':   gs.fill = args.map(num); gs.cs = null; break;
+      case 'cs':  gs.cs = resOf(spaces, args[0]?.name) ?? null; gs.fill = deviceColor(ctx, gs.cs, null); break;
+      case 'sc':
+      case 'scn': gs.fill = deviceColor(ctx, gs.cs, args.filter(a => typeof a === 'number')); break;
+      case 'Tc': gs.tc = num(args[0]); break;
+      case 'Tw': gs.tw = num(args[0]); break;
+      case 'Tz': gs.th = num(args[0]) / 100; break;
+      case 'TL': gs.tl = num(args[0]); break;
+      case 'Ts': gs.rise = num(args[0]); break;
+      case 'Td':
+      case 'TD':
+        if (op === 'TD') gs.tl = -num(args[1]);
+        tlm = tm = U.transform(tlm, [1, 0, 0, 1, num(args[0]), num(args[1])]);
+        break;
+      case 'Tm': tlm = tm = args.slice(0, 6).map(num); break;
+      case 'T*': nextLine(); break;
+      case 'Tj':
+      case 'TJ':
+      case "'":
+      case '"': {
+        let pre = '';
+        if (op === '"') {
+          gs.tw = num(args[0]); gs.tc = num(args[1]);
+          pre = `${csNum(gs.tw)} Tw ${csNum(gs.tc)} Tc `;
+        }
+        if (op === "'" || op === '"') { nextLine(); pre += 'T* '; }
+        const shown = showText(op === 'TJ' ? args[0] : [args[args.length - 1]]);
+        if (shown) { emit = pre + shown; changed = true; }
+        break;
+      }
+      case 'sh':
+        if (edit) break;
+        // A shading fills the whole clip area: cut the marks out of it
+        emit = ['q', ...rects.map(r => holeClip(r, gs.ctm)), raw, 'Q'].join('\n');
+        changed = true;
+        break;
+      case 'BI': {
+        if (edit || !touching(unitBox()).length) break;
+        emit = null; changed = true; stats.images++;
+        break;
+      }
+      case 'Do':
+        emit = await drawXObject(args[0]?.name, raw);
+        if (emit === raw) used.add(args[0]?.name);
+        break;
+    }
+    if (emit !== null) out.push(emit);
+  }
+  if (!changed) return null;
+
+  // Own resources, so XObjects no longer drawn here are not kept alive
+  const copy  = res instanceof L.PDFDict ? res.clone(ctx) : ctx.obj({});
+  const xcopy = ctx.obj({});
+  if (xobjs instanceof L.PDFDict) {
+    xobjs.entries().forEach(([k, v]) => { if (used.has(k.decodeText())) xcopy.set(k, v); });
+  }
+  added.forEach(([nm, ref]) => xcopy.set(L.PDFName.of(nm), ref));
+  copy.set(L.PDFName.of('XObject'), xcopy);
+  return { bytes: latin1Bytes(out.join('\n')), res: copy };
+}
+
+/** Undo PNG predictors (Predictor ≥ 10), one filter type byte per row. */
+function unpredictPng(data, colors, bpc, columns) {
+  const bpp = Math.max(1, Math.ceil(colors * bpc / 8));
+  const row = Math.ceil(columns * colors * bpc / 8);
+  const rows = Math.floor(data.length / (row + 1));
+  const out = new Uint8Array(rows * row);
+  let prev = new Uint8Array(row);
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * (row + 1)];
+    const src  = data.subarray(r * (row + 1) + 1, (r + 1) * (row + 1));
+    const cur  = out.subarray(r * row, (r + 1) * row);
+    for (let i = 0; i < row; i++) {
+      const a = i >= bpp ? cur[i - bpp] : 0, b = prev[i], c = i >= bpp ? prev[i - bpp] : 0;
+      let x = src[i];
+      if (type === 1) x += a;
+      else if (type === 2) x += b;
+      else if (type === 3) x += (a + b) >> 1;
+      else if (type === 4) {
+        const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        x += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      cur[i] = x & 255;
+    }
+    prev = cur;
+  }
+  return out;
+}
+
+/**
+ * Copy of an image XObject with the pixels under rects cleared,
+ * in its soft mask as well, or null when its encoding cannot be rewritten here (the caller
+ * then drops the image).
+ */
+async function redactImage(doc, img, rects, ctm) {
+  const L   = PDFLib;
+  const U   = pdfjsLib.Util;
+  const ctx = doc.context;
+  const d   = img.dict;
+  const get = k => d.lookup(L.PDFName.of(k));
+  const W   = get('Width')?.asNumber?.(), H = get('Height')?.asNumber?.();
+  if (!W || !H) return null;
+  // The image fills the unit square of ctm, first row at the top
+  const inv = U.inverseTransform(ctm);
+  const px  = rects.map(r => {
+    const b = boxOf(rectPts(r).map(p => U.applyTransform(p, inv)));
+    return {
+      x0: Math.max(0, Math.floor(b.x0 * W)), x1: Math.min(W, Math.ceil(b.x1 * W)),
+      y0: Math.max(0, Math.floor((1 - b.y1) * H)), y1: Math.min(H, Math.ceil((1 - b.y0) * H)),
+    };
+  });
+  const filters = [get('Filter')].flatMap(f => (f instanceof L.PDFArray ? f.asArray() : f ? [f] : []))
+    .map(f => f.decodeText());
+  const parmsOf = () => {
+    const p = get('DecodeParms');
+    return p instanceof L.PDFArray ? ctx.lookup(p.get(p.size() - 1)) : p;
+  };
+  const copyDict = (stream, skip) => {
+    d.entries().forEach(([k, v]) => { if (!skip.includes(k.decodeText())) stream.dict.set(k, v); });
+    return ctx.register(stream);
+  };
+  // A soft mask still has the shape of what was under the marks: clear it there too, or drop it
+  const withMask = async ref => {
+    const sm = get('SMask');
+    if (!(sm instanceof L.PDFStream)) return ref;
+    // A re-encoded JPEG comes back RGB, which a soft mask can't be
+    const cleared = await redactImage(doc, sm, rects, ctm);
+    const gray    = cleared && ctx.lookup(cleared).dict.get(L.PDFName.of('ColorSpace')) === L.PDFName.of('DeviceGray');
+    if (gray) ctx.lookup(ref).dict.set(L.PDFName.of('SMask'), cleared);
+    else ctx.lookup(ref).dict.delete(L.PDFName.of('SMask'));
+    return ref;
+  };
+
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    const cs = get('ColorSpace');
+    if (cs !== L.PDFName.of('DeviceRGB') && cs !== L.PDFName.of('DeviceGray')) return null;
+    const bmp = await createImageBitmap(new Blob([img.getContents()], { type: 'image/jpeg' }));
+    const cv  = Object.assign(document.createElement('canvas'), { width: W, height: H });
+    const c2  = cv.getContext('2d');
+    c2.drawImage(bmp, 0, 0, W, H);
+    c2.fillStyle = '#000';
+    px.forEach(r => c2.fillRect(r.x0, r.y0, r.x1 - r.x0, r.y1 - r.y0));
+    const jpg = new Uint8Array(await (await new Promise(res => cv.toBlob(res, 'image/jpeg', 0.92))).arrayBuffer());
+    const out = ctx.stream(jpg, { Filter: 'DCTDecode', ColorSpace: 'DeviceRGB', BitsPerComponent: 8 });
+    return withMask(copyDict(out, ['Length', 'Filter', 'DecodeParms', 'ColorSpace', 'BitsPerComponent', 'Decode']));
+  }
+  const decodable = ['FlateDecode', 'LZWDecode', 'ASCII85Decode', 'ASCIIHexDecode', 'RunLengthDecode'];
+  if (!filters.every(f => decodable.includes(f))) return null;
+
+  const mask = get('ImageMask') === L.PDFBool.True;
+  const bpc  = mask ? 1 : get('BitsPerComponent')?.asNumber?.() || 8;
+  const comps = (() => {
+    if (mask) return 1;
+    let cs = get('ColorSpace');
+    if (cs instanceof L.PDFArray) {
+      const family = ctx.lookup(cs.get(0))?.decodeText?.();
+      if (family === 'ICCBased') return ctx.lookup(cs.get(1))?.dict?.lookup(L.PDFName.of('N'))?.asNumber?.() || 0;
+      if (family === 'DeviceN') return ctx.lookup(cs.get(1))?.size?.() || 0;
+      if (['Indexed', 'Separation', 'CalGray'].includes(family)) return 1;
+      if (['CalRGB', 'Lab'].includes(family)) return 3;
+      return 0;
+    }
+    return { DeviceGray: 1, DeviceRGB: 3, DeviceCMYK: 4 }[cs?.decodeText?.()] || 0;
+  })();
+  if (!comps) return null;
+  let data = L.decodePDFRawStream(img).decode();
+  const parms = parmsOf();
+  const pred  = parms instanceof L.PDFDict ? parms.lookup(L.PDFName.of('Predictor'))?.asNumber?.() || 1 : 1;
+  if (pred >= 10) data = unpredictPng(data, comps, bpc, W);
+  else if (pred !== 1) return null;
+  const rowBytes = Math.ceil(W * comps * bpc / 8);
+  if (data.length < rowBytes * H) return null;
+  data = data.slice();
+
+  // Cleared samples are 0; for a stencil mask that is "paint", so use 1 unless its Decode is inverted
+  const inverted = get('Decode') instanceof L.PDFArray && ctx.lookup(get('Decode').get(0))?.asNumber?.() === 1;
+  const on = mask && !inverted;
+  const sampleBits = comps * bpc;
+  px.forEach(r => {
+    for (let y = r.y0; y < r.y1; y++) {
+      const rowAt = y * rowBytes;
+      if (sampleBits % 8 === 0) {
+        data.fill(on ? 255 : 0, rowAt + r.x0 * sampleBits / 8, rowAt + r.x1 * sampleBits / 8);
+        continue;
+      }
+      for (let bit = r.x0 * sampleBits; bit < r.x1 * sampleBits; bit++) {
+        const at = rowAt + (bit >> 3), m = 0x80 >> (bit & 7);
+        data[at] = on ? data[at] | m : data[at] & ~m;
+      }
+    }
+  });
+  return withMask(copyDict(ctx.flateStream(data), ['Length', 'Filter', 'DecodeParms']));
+}
+
+/** Unhook a form widget from the field tree, dropping fields left without widgets. */
+function detachWidget(doc, ref, widget) {
+  const L    = PDFLib;
+  const ctx  = doc.context;
+  const acro = doc.catalog.lookup(L.PDFName.of('AcroForm'));
+  for (let node = ref, dict = widget; ;) {
+    const parentRef = dict.get(L.PDFName.of('Parent'));
+    const parent    = parentRef && ctx.lookup(parentRef);
+    const holder    = parent instanceof L.PDFDict ? parent : acro;
+    const list      = holder instanceof L.PDFDict && holder.lookup(L.PDFName.of(holder === acro ? 'Fields' : 'Kids'));
+    if (!(list instanceof L.PDFArray)) return;
+    const idx = list.asArray().indexOf(node);
+    if (idx >= 0) list.remove(idx);
+    if (holder === acro || list.size()) return;
+    node = parentRef; dict = parent;
+  }
+}
+
+/** Remove annotations (with their popups) and form widgets lying over a mark. */
+function redactAnnots(doc, page, rects, stats) {
+  const L      = PDFLib;
+  const ctx    = doc.context;
+  const annots = page.node.Annots();
+  if (!annots) return;
+  const gone = new Set();
+  annots.asArray().forEach(ref => {
+    const a    = ctx.lookup(ref);
+    const rect = a instanceof L.PDFDict && a.lookup(L.PDFName.of('Rect'));
+    if (!(rect instanceof L.PDFArray)) return;
+    const [x0, y0, x1, y1] = rect.asArray().map(v => ctx.lookup(v)?.asNumber?.() ?? 0);
+    if (!touchingAny(rects, boxOf([[x0, y0], [x1, y1]]))) return;
+    gone.add(ref);
+    const popup = a.get(L.PDFName.of('Popup'));
+    if (popup) gone.add(popup);
+    if (ref instanceof L.PDFRef && a.lookup(L.PDFName.of('Subtype')) === L.PDFName.of('Widget')) detachWidget(doc, ref, a);
+  });
+  if (!gone.size) return;
+  stats.annots += gone.size;
+  const live = annots.asArray().filter(r => !gone.has(r));
+  if (live.length) page.node.set(L.PDFName.of('Annots'), ctx.obj(live));
+  else page.node.delete(L.PDFName.of('Annots'));
+}
+const touchingAny = (rects, box) => rects.some(r => overlaps(r, box));
+
+/** Delete every object no longer reachable from the trailer. */
+function pruneUnreachable(doc) {
+  const L    = PDFLib;
+  const ctx  = doc.context;
+  const seen = new Set();
+  const todo = [ctx.trailerInfo.Root, ctx.trailerInfo.Info];
+  while (todo.length) {
+    const o = todo.pop();
+    if (o instanceof L.PDFRef) {
+      if (!seen.has(o)) { seen.add(o); todo.push(ctx.lookup(o)); }
+    } else if (o instanceof L.PDFDict) {
+      o.entries().forEach(([, v]) => todo.push(v));
+    } else if (o instanceof L.PDFArray) {
+      todo.push(...o.asArray());
+    } else if (o instanceof L.PDFStream) {
+      todo.push(o.dict);
+    }
+  }
+  ctx.enumerateIndirectObjects().forEach(([ref]) => { if (!seen.has(ref)) ctx.delete(ref); });
+}
+
+/**
+ * Remove the content under the marked areas of doc.
+ * areas: Map page index → rects. fill: colour painted over them, or null.
+ */
+async function redactDoc(doc, areas, fill) {
+  const L     = PDFLib;
+  const ctx   = doc.context;
+  const stats = { glyphs: 0, paths: 0, images: 0, annots: 0 };
+  for (const [i, rects] of areas) {
+    const page = doc.getPage(i);
+    redactAnnots(doc, page, rects, stats);
+    const done = await redactStream(doc, pageContent(page), page.node.Resources(), rects, IDENTITY, stats);
+    if (done) {
+      page.node.set(L.PDFName.of('Contents'), ctx.obj([ctx.register(ctx.flateStream(done.bytes))]));
+      page.node.set(L.PDFName.of('Resources'), done.res);
+    }
+    page.node.delete(L.PDFName.of('Thumb'));
+    if (fill) {
+      rects.forEach(r => page.drawRectangle({
+        x: r.x0, y: r.y0, width: r.x1 - r.x0, height: r.y1 - r.y0, color: fill, borderWidth: 0,
+      }));
+    }
+  }
+  pruneUnreachable(doc);
+  return stats;
+}
+
+/** Re-extract the text of the redacted pages: what still sits under a mark? */
+async function verifyRedaction(areas) {
+  const leaks = [];
+  for (const [i, rects] of areas) {
+    const entry = await pageText(i);
+    entry.items.forEach((it, k) => {
+      let run = '';
+      for (let c = 0; c <= it.str.length; c++) {
+        const ch   = it.str[c];
+        const quad = ch && /\S/.test(ch) && textQuads(entry, entry.starts[k] + c, entry.starts[k] + c + 1)[0];
+        const mid  = quad && [(quad[0][0] + quad[2][0]) / 2, (quad[0][1] + quad[2][1]) / 2];
+        if (mid && rects.some(r => mid[0] > r.x0 && mid[0] < r.x1 && mid[1] > r.y0 && mid[1] < r.y1)) {
+          run += ch;
+        } else if (run) {
+          leaks.push({ page: i + 1, text: run });
+          run = '';
+        }
+      }
+    });
+  }
+  return leaks;
+}
+
+function renderRedactReport(stats, leaks, count) {
+  const box = $('redactReport');
+  box.innerHTML = '';
+  box.classList.toggle('leak', leaks.length > 0);
+  const line = txt => box.appendChild(Object.assign(document.createElement('span'), { textContent: txt }));
+  line(`Redacted ${count} area(s): removed ${stats.glyphs} glyph(s), ${stats.paths} drawing(s), `
+    + `${stats.images} image(s) and ${stats.annots} annotation(s).`);
+  if (!leaks.length) {
+    line('✓ Verified: no extractable text remains under the marks.');
+  } else {
+    line(`⚠ ${leaks.length} piece(s) of text can still be extracted under the marks:`);
+    leaks.slice(0, 20).forEach(l => {
+      const code = document.createElement('code');
+      code.textContent = `p. ${l.page}: ${l.text}`;
+      box.appendChild(code);
+    });
+  }
+  show(box);
+}
+
+$('redactApplyBtn').addEventListener('click', async () => {
+  const marks = S.items.filter(it => it.kind === 'redact' && S.pageOrder.includes(it.page));
+  if (!marks.length) return;
+  if (!confirm(`Permanently remove everything under ${marks.length} marked area(s)?`)) return;
+  loading(true, 'Redacting…');
+  try {
+    const L   = PDFLib;
+    const doc = await L.PDFDocument.load(await rebuild(), { ignoreEncryption: true, updateMetadata: false });
+    // The rebuilt copy has the pages in display order
+    const areas = new Map();
+    marks.forEach(it => {
+      const i  = S.pageOrder.indexOf(it.page);
+      const cb = doc.getPage(i).getCropBox();
+      const y1 = cb.y + cb.height - it.top;
+      if (!areas.has(i)) areas.set(i, []);
+      areas.get(i).push({ x0: cb.x + it.x, y0: y1 - it.h, x1: cb.x + it.x + it.w, y1 });
+    });
+    const c     = hexToRgb($('redactFill').value);
+    const fill  = $('redactNoFill').checked ? null : L.rgb(c.r / 255, c.g / 255, c.b / 255);
+    const stats = await redactDoc(doc, areas, fill);
+    await applyEdit(await doc.save(), `Redact ${marks.length} area(s)`);
+    S.items = S.items.filter(it => it.kind !== 'redact');
+    if (!selectedItem()) S.selItem = null;
+    updateItemUi();
+    drawOverlay();
+    loading(true, 'Verifying…');
+    const leaks = await verifyRedaction(areas);
+    renderRedactReport(stats, leaks, marks.length);
+    toast(leaks.length ? 'Redacted, but some text is still extractable — see the report.' : 'Redaction applied and verified!',
+      leaks.length ? 'error' : 'success');
+  } catch (e) {
+    console.error('redactApplyBtn error:', e);
+    toast(`Redaction failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+$('redactClearBtn').addEventListener('click', () => {
+  pushHistory('Clear redaction marks');
+  S.items = S.items.filter(it => it.kind !== 'redact');
+  if (!selectedItem()) S.selItem = null;
+  updateItemUi();
+  drawOverlay();
+});
+
+$('redactFindBtn').addEventListener('click', markMatches);
+$('redactInput').addEventListener('keydown', e => { if (e.key === 'Enter') { e.preventDefault(); markMatches(); } });
+['redactFill', 'redactNoFill'].forEach(id => $(id).addEventListener('input', drawOverlay));
+
+/* ─── TEXT EDITING ───────────────────────────────
+   Existing text is edited one pdf.js text run at a time: in
+   the 'edittext' mode a click opens an input over the run.
+   Saving rewrites a rebuilt copy the way a redaction does (see
+   redactStream's edit mode): the run's glyphs are cut from the
+   content and the new text is set where the first one was, at
+   its size, angle and color. The original font is reused when
+   it is embedded and has every character; otherwise the
+   closest standard font stands in.
+─────────────────────────────────────────────────── */
+const EDIT_SPACE = 250;   // word gap, thousandths of an em, for fonts without a space glyph
+let textEditor = null;    // { el, origIdx, box, old } while a run is being edited
+
+/** Unicode character → code bytes (latin1 string) of a font, from its ToUnicode CMap. */
+function unicodeCodes(font) {
+  const L   = PDFLib;
+  const map = new Map();
+  const cm  = font.lookup(L.PDFName.of('ToUnicode'));
+  if (!(cm instanceof L.PDFStream)) return map;
+  const src   = latin1(streamBytes(cm));
+  const bytes = hex => hex.replace(/../g, h => String.fromCharCode(parseInt(h, 16)));
+  const units = hex => (hex.match(/.{4}/g) || []).map(u => parseInt(u, 16));
+  const add   = (code, text) => { if (text && !map.has(text)) map.set(text, bytes(code)); };
+  const sect  = (tag, re, fn) => {
+    for (const [, body] of src.matchAll(new RegExp(`begin${tag}([\\s\\S]*?)end${tag}`, 'g'))) {
+      for (const m of body.matchAll(re)) fn(m);
+    }
+  };
+  sect('bfchar', /<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi, ([, code, dst]) => add(code, String.fromCharCode(...units(dst))));
+  sect('bfrange', /<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi, ([, lo, hi, dst]) => {
+    const a = parseInt(lo, 16), b = Math.min(parseInt(hi, 16), a + 0xFFFF);
+    const list = dst[0] === '[' ? [...dst.matchAll(/<([0-9a-f]*)>/gi)].map(m => units(m[1])) : null;
+    for (let c = a; c <= b; c++) {
+      const u = list ? list[c - a] : units(dst.slice(1, -1));
+      if (!u) break;
+      if (!list) u[u.length - 1] += c - a;
+      add(c.toString(16).padStart(lo.length, '0'), String.fromCharCode(...u));
+    }
+  });
+  return map;
+}
+
+function fontDescriptor(font) {
+  const L   = PDFLib;
+  const own = f => (f instanceof L.PDFDict ? f.lookup(L.PDFName.of('FontDescriptor')) : undefined);
+  if (font.lookup(L.PDFName.of('Subtype')) !== L.PDFName.of('Type0')) return own(font);
+  const kids = font.lookup(L.PDFName.of('DescendantFonts'));
+  return kids instanceof L.PDFArray ? own(kids.lookup(0)) : undefined;
+}
+
+function fontEmbedded(font) {
+  const L    = PDFLib;
+  const desc = fontDescriptor(font);
+  return font.lookup(L.PDFName.of('Subtype')) === L.PDFName.of('Type3') ||
+    (desc instanceof L.PDFDict && ['FontFile', 'FontFile2', 'FontFile3'].some(k => desc.has(L.PDFName.of(k))));
+}
+
+/** The standard font closest to a font, by its name and descriptor. */
+function closeStdFont(font) {
+  const L    = PDFLib;
+  const desc = font instanceof L.PDFDict ? fontDescriptor(font) : undefined;
+  const num  = k => (desc instanceof L.PDFDict ? desc.lookup(L.PDFName.of(k))?.asNumber?.() || 0 : 0);
+  const base = font instanceof L.PDFDict ? font.lookup(L.PDFName.of('BaseFont'))?.decodeText?.().replace(/^[A-Z]{6}\+/, '') || '' : '';
+  const flags  = num('Flags');   // bit 1 fixed pitch, 2 serif, 7 italic, 19 force bold
+  const family = /courier|mono|consol/i.test(base) || flags & 1 ? 'Courier'
+    : /times|roman|serif|georgia|garamond|cambria|minion/i.test(base) && !/sans/i.test(base) || flags & 2 ? 'Times'
+    : 'Helvetica';
+  const bold   = /bold|black|heavy|semibold|demi/i.test(base) || num('FontWeight') >= 600 || !!(flags & 1 << 18);
+  const italic = /italic|oblique/i.test(base) || num('ItalicAngle') !== 0 || !!(flags & 1 << 6);
+  return L.StandardFonts[STD_FAMILIES[family].faces[+bold + 2 * italic]];
+}
+
+/** TJ showing text in an existing font, or null when the font cannot show it. */
+function runOperator(ctx, font, text) {
+  const L = PDFLib;
+  if (!(font instanceof L.PDFDict) || !fontEmbedded(font)) return null;
+  const codes = unicodeCodes(font);
+  const parts = [];
+  for (const ch of text) {
+    const code = codes.get(ch);
+    if (code !== undefined) {
+      if (typeof parts[parts.length - 1] === 'string') parts[parts.length - 1] += code;
+      else parts.push(code);
+    } else if (ch === ' ') {
+      parts.push(-EDIT_SPACE);
+    } else {
+      return null;
+    }
+  }
+  return L.PDFOperator.of(L.PDFOperatorNames.ShowTextAdjusted,
+    [ctx.obj(parts.map(p => (typeof p === 'string' ? L.PDFHexString.of(csHex(p).slice(1, -1)) : p)))]);
+}
+
+/** Set text on page in the style edit.style recorded; returns the stand-in font used, if any. */
+async function writeRun(doc, page, style, text) {
+  const L    = PDFLib;
+  const ctx  = doc.context;
+  const orig = style.font && ctx.lookup(style.font);
+  let ref  = style.font instanceof L.PDFRef ? style.font : null;
+  let show = ref && runOperator(ctx, orig, text);
+  let stand = null;
+  if (!show) {
+    stand = closeStdFont(orig);
+    const font = await doc.embedFont(stand);
+    try { show = L.showText(font.encodeText(text)); } catch (e) {
+      throw new Error('the new text has characters neither the original font nor the standard fonts have');
+    }
+    ref = font.ref;
+  }
+  const c = style.color.map(v => Math.min(1, Math.max(0, v)));
+  page.pushOperators(
+    L.pushGraphicsState(),
+    L.setFillingColor(c.length === 4 ? L.cmyk(...c) : c.length === 3 ? L.rgb(...c) : L.grayscale(c[0] ?? 0)),
+    L.beginText(),
+    L.setFontAndSize(page.node.newFontDictionary('Edited', ref), 1),
+    L.setTextMatrix(...style.matrix),
+    show,
+    L.endText(),
+    L.popGraphicsState(),
+  );
+  return stand;
+}
+
+/** Replace the text run in box (user space) of a page with text; '' deletes it. */
+async function replaceTextRun(origIdx, box, old, text) {
+  const L     = PDFLib;
+  const doc   = await L.PDFDocument.load(await rebuild(), { ignoreEncryption: true, updateMetadata: false });
+  const ctx   = doc.context;
+  // The rebuilt copy has the pages in display order
+  const page  = doc.getPage(S.pageOrder.indexOf(origIdx));
+  const stats = { glyphs: 0, paths: 0, images: 0, annots: 0 };
+  const edit  = { style: null };
+  const done  = await redactStream(doc, pageContent(page), page.node.Resources(), [box], IDENTITY, stats, 0, edit);
+  if (!done || !edit.style) throw new Error('this text is not in the page content (it may be part of an image or a form field)');
+  // Balanced, so the new text starts from the default graphics state
+  const body = concatBytes(latin1Bytes('q\n'), done.bytes, latin1Bytes('\nQ\n'));
+  page.node.set(L.PDFName.of('Contents'), ctx.obj([ctx.register(ctx.flateStream(body))]));
+  page.node.set(L.PDFName.of('Resources'), done.res);
+  const stand = text.trim() ? await writeRun(doc, page, edit.style, text) : null;
+  const short = old.length > 24 ? `${old.slice(0, 24)}…` : old;
+  await applyEdit(await doc.save(), text.trim() ? `Edit text “${short}”` : `Delete text “${short}”`);
+  return stand;
+}
+
+/** Open the editor on the text run under canvas point (cx, cy). */
+async function editTextAt(cx, cy) {
+  const origIdx = S.view.origIdx;
+  const [x, y]  = pdfjsLib.Util.applyInverseTransform([cx, cy], S.view.vp.transform);
+  const entry   = await pageText(origIdx);
+  const area    = b => (b.x1 - b.x0) * (b.y1 - b.y0);
+  const hits    = entry.items
+    .map((it, k) => ({ it, box: textQuads(entry, entry.starts[k], entry.starts[k] + it.str.length).map(boxOf)[0] }))
+    .filter(h => h.box && /\S/.test(h.it.str) && x >= h.box.x0 && x <= h.box.x1 && y >= h.box.y0 && y <= h.box.y1);
+  if (!hits.length) { toast('No text there — click on a line of text.', 'info', 2500); return; }
+  const { it, box } = hits.reduce((a, b) => (area(b.box) < area(a.box) ? b : a));
+  openTextEditor(origIdx, it.str, box);
+}
+
+function openTextEditor(origIdx, old, box) {
+  closeTextEditor();
+  const [a, b, c, d] = S.view.vp.convertToViewportRectangle([box.x0, box.y0, box.x1, box.y1]);
+  const h  = Math.abs(d - b);
+  const el = Object.assign(document.createElement('input'), {
+    type: 'text', value: old, className: 'text-edit-box', size: old.length + 1,
+  });
+  Object.assign(el.style, {
+    left: `${Math.min(a, c)}px`, top: `${Math.min(b, d)}px`, minWidth: `${Math.abs(c - a)}px`,
+    height: `${h}px`, fontSize: `${Math.max(8, h * 0.7)}px`,
+  });
+  textEditor = { el, origIdx, box, old };
+  el.addEventListener('input', () => { el.size = Math.max(old.length, el.value.length) + 1; });
+  el.addEventListener('keydown', e => {
+    if (e.key === 'Enter')  { e.preventDefault(); el.blur(); }
+    if (e.key === 'Escape') { e.preventDefault(); closeTextEditor(); }
+  });
+  // Leaving the input saves, unless it went away with a re-render of the page
+  el.addEventListener('blur', () => {
+    if (textEditor?.el !== el) return;
+    if (el.isConnected) commitTextEdit(textEditor);
+    else textEditor = null;
+  });
+  $('formLayer').appendChild(el);
+  el.focus();
+  el.select();
+}
+
+function closeTextEditor() {
+  const ed = textEditor;
+  textEditor = null;
+  if (ed) ed.el.remove();
+}
+
+async function commitTextEdit(ed) {
+  const text = ed.el.value;
+  closeTextEditor();
+  if (text === ed.old) return;
+  loading(true, 'Editing text…');
+  try {
+    const stand = await replaceTextRun(ed.origIdx, ed.box, ed.old, text);
+    toast(stand ? `Text replaced — the original font is not embedded or lacks these characters, so ${stand} stands in.`
+      : text.trim() ? 'Text replaced.' : 'Text deleted.', stand ? 'info' : 'success');
+  } catch (e) {
+    console.error('commitTextEdit error:', e);
+    toast(`Text edit failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+}
+
+$('textEditBtn').addEventListener('click', () => setPlaceMode('edittext', 'textEditBtn'));
+
+/* ─── PROPERTIES ─────────────────────────────────
+   The panel edits the document info dictionary, which
+   rebuild() carries over unchanged along with the XMP stream.
+   Saving writes both: the properties replace their XMP
+   counterparts inside the existing packet, and whatever else
+   it holds (PDF/A claims, app data) stays. Fields are read
+   through PDF.js, falling back to the XMP for files that only
+   have that. Custom keys are mirrored as pdfx: properties, the
+   way Acrobat does.
+─────────────────────────────────────────────────── */
+const PROP_FIELDS = {
+  Title: 'propTitle', Author: 'propAuthor', Subject: 'propSubject',
+  Keywords: 'propKeywords', Creator: 'propCreator', Producer: 'propProducer',
+};
+const PROP_DATES = { CreationDate: 'propCreated', ModDate: 'propModified' };
+const PROP_KEEP  = ['Trapped'];      // standard keys the panel leaves alone
+const XMP_NS = {
+  x:    'adobe:ns:meta/',
+  rdf:  'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  dc:   'http://purl.org/dc/elements/1.1/',
+  xmp:  'http://ns.adobe.com/xap/1.0/',
+  pdf:  'http://ns.adobe.com/pdf/1.3/',
+  pdfx: 'http://ns.adobe.com/pdfx/1.3/',
+};
+// XMP properties written from the info dictionary (all of pdfx: too)
+const XMP_MANAGED = [
+  ['dc', 'title'], ['dc', 'creator'], ['dc', 'description'], ['dc', 'subject'], ['pdf', 'Keywords'],
+  ['pdf', 'Producer'], ['xmp', 'CreatorTool'], ['xmp', 'CreateDate'], ['xmp', 'ModifyDate'], ['xmp', 'MetadataDate'],
+];
+
+/** Give dest the info dictionary and XMP stream of src — or none, when src has none. */
+function copyDocMetadata(dest, src) {
+  const L      = PDFLib;
+  const ctx    = dest.context;
+  const copier = L.PDFObjectCopier.for(src.context, ctx);
+  if (ctx.trailerInfo.Info instanceof L.PDFRef) ctx.delete(ctx.trailerInfo.Info);
+  const info = src.context.lookup(src.context.trailerInfo.Info);
+  ctx.trailerInfo.Info = info instanceof L.PDFDict ? ctx.register(copier.copy(info)) : undefined;
+  const xmp = src.catalog.get(L.PDFName.of('Metadata'));
+  if (xmp) dest.catalog.set(L.PDFName.of('Metadata'), copier.copy(xmp));
+}
+
+/** Remove the info dictionary, every XMP stream and app private data (PieceInfo). */
+function stripMetadata(doc) {
+  const L   = PDFLib;
+  const ctx = doc.context;
+  if (ctx.trailerInfo.Info instanceof L.PDFRef) ctx.delete(ctx.trailerInfo.Info);
+  ctx.trailerInfo.Info = undefined;
+  ctx.enumerateIndirectObjects().forEach(([, o]) => {
+    const d = o instanceof L.PDFStream ? o.dict : o;
+    if (d instanceof L.PDFDict) ['Metadata', 'PieceInfo'].forEach(k => d.delete(L.PDFName.of(k)));
+  });
+}
+
+const dateInput = d => (d && !isNaN(d) ? new Date(d - d.getTimezoneOffset() * 60000).toISOString().slice(0, 19) : '');
+
+/**
+ * Managed XMP properties of a packet as 'prefix:name' → text,
+ * lists joined with '; '. PDF.js's own reader skips properties
+ * written as attributes, which many writers use.
+ */
+function xmpValues(xml) {
+  const out = {};
+  const x   = xml && new DOMParser().parseFromString(xml.replace(/<\?xpacket[^>]*\?>/g, '').trim(), 'application/xml');
+  if (!x) return out;
+  const prefix = n => Object.keys(XMP_NS).find(p => XMP_NS[p] === n.namespaceURI);
+  [...x.getElementsByTagNameNS(XMP_NS.rdf, 'Description')].forEach(d => {
+    [...d.attributes, ...d.children].forEach(n => {
+      const p = prefix(n);
+      if (!p || p === 'rdf' || p === 'x') return;
+      const items = n.getElementsByTagNameNS?.(XMP_NS.rdf, 'li');
+      out[`${p}:${n.localName}`] = (items?.length ? [...items].map(li => li.textContent.trim()).join('; ') : n.textContent.trim());
+    });
+  });
+  return out;
+}
+
+/** Properties of the open document, dates as Date, custom as [[key, value]]. */
+async function readProps() {
+  const { info = {}, metadata } = await S.pdfJsDoc.getMetadata();
+  const xv   = xmpValues(metadata?.getRaw());
+  const xmp  = k => xv[k] || '';
+  const date = (v, alt) => (v && pdfjsLib.PDFDateString.toDateObject(v)) || (alt && !isNaN(new Date(alt)) ? new Date(alt) : null);
+  return {
+    Title:        info.Title    || xmp('dc:title'),
+    Author:       info.Author   || xmp('dc:creator'),
+    Subject:      info.Subject  || xmp('dc:description'),
+    Keywords:     info.Keywords || xmp('pdf:Keywords'),
+    Creator:      info.Creator  || xmp('xmp:CreatorTool'),
+    Producer:     info.Producer || xmp('pdf:Producer'),
+    CreationDate: date(info.CreationDate, xmp('xmp:CreateDate')),
+    ModDate:      date(info.ModDate, xmp('xmp:ModifyDate')),
+    custom:       Object.entries(info.Custom || {}).map(([k, v]) => [k, typeof v === 'object' ? v?.name ?? '' : String(v)]),
+  };
+}
+
+async function renderProps() {
+  const p = S.pdfJsDoc ? await readProps() : { custom: [] };
+  Object.entries(PROP_FIELDS).forEach(([k, id]) => { $(id).value = p[k] || ''; });
+  Object.entries(PROP_DATES).forEach(([k, id]) => { $(id).value = dateInput(p[k]); });
+  $('propCustom').innerHTML = '';
+  p.custom.forEach(([k, v]) => addPropRow(k, v));
+}
+
+function addPropRow(key = '', value = '') {
+  const input = (cls, ph, v) => Object.assign(document.createElement('input'), { type: 'text', className: `input ${cls}`, placeholder: ph, value: v });
+  const row = Object.assign(document.createElement('div'), { className: 'prop-row' });
+  const k   = input('prop-key', 'Name', key);
+  const del = Object.assign(document.createElement('button'), { className: 'icon-btn danger', title: 'Remove' });
+  del.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+  del.addEventListener('click', () => row.remove());
+  row.append(k, input('prop-value', 'Value', value), del);
+  $('propCustom').appendChild(row);
+  return k;
+}
+
+/** The panel's values; throws on clashing custom names. */
+function formProps() {
+  const props = { custom: [] };
+  Object.entries(PROP_FIELDS).forEach(([k, id]) => { props[k] = $(id).value.trim(); });
+  Object.entries(PROP_DATES).forEach(([k, id]) => { props[k] = $(id).value ? new Date($(id).value) : null; });
+  const seen = new Set();
+  document.querySelectorAll('#propCustom .prop-row').forEach(row => {
+    // Custom names are both PDF names and XML element names
+    const key = row.querySelector('.prop-key').value.trim().replace(/[^\w.-]/g, '_').replace(/^(?=[\d.-])/, '_');
+    if (!key) return;
+    if (key in PROP_FIELDS || key in PROP_DATES || PROP_KEEP.includes(key)) throw new Error(`“${key}” is a standard property`);
+    if (seen.has(key)) throw new Error(`“${key}” is listed twice`);
+    seen.add(key);
+    props.custom.push([key, row.querySelector('.prop-value').value.trim()]);
+  });
+  return props;
+}
+
+/** XMP packet: old (or a new one) with the managed properties set from props. */
+function xmpPacket(old, props) {
+  const NS    = XMP_NS;
+  const parse = src => {
+    const x = new DOMParser().parseFromString(src, 'application/xml');
+    return x.getElementsByTagNameNS(NS.rdf, 'RDF')[0] ? x : null;
+  };
+  const x = (old && parse(old.replace(/<\?xpacket[^>]*\?>/g, '').trim()))
+    || parse(`<x:xmpmeta xmlns:x="${NS.x}"><rdf:RDF xmlns:rdf="${NS.rdf}"/></x:xmpmeta>`);
+  const rdf     = x.getElementsByTagNameNS(NS.rdf, 'RDF')[0];
+  const managed = n => n.namespaceURI === NS.pdfx || XMP_MANAGED.some(([p, l]) => NS[p] === n.namespaceURI && l === n.localName);
+  // Properties can be child elements or attributes of any rdf:Description
+  [...rdf.getElementsByTagNameNS(NS.rdf, 'Description')].forEach(d => {
+    [...d.attributes].filter(managed).forEach(a => d.removeAttributeNode(a));
+    [...d.children].filter(managed).forEach(c => c.remove());
+    if (!d.children.length && [...d.attributes].every(a => a.name === 'rdf:about' || a.name.startsWith('xmlns'))) d.remove();
+  });
+
+  const el = (p, name, text) => {
+    const e = x.createElementNS(NS[p], `${p}:${name}`);
+    if (text !== undefined) e.textContent = text;
+    return e;
+  };
+  const list = (type, items) => {
+    const c = el('rdf', type);
+    items.forEach(t => {
+      const li = c.appendChild(el('rdf', 'li', t));
+      if (type === 'Alt') li.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:lang', 'x-default');
+    });
+    return c;
+  };
+  const desc = el('rdf', 'Description');
+  desc.setAttributeNS(NS.rdf, 'rdf:about', '');
+  ['dc', 'xmp', 'pdf', 'pdfx'].forEach(p => desc.setAttributeNS('http://www.w3.org/2000/xmlns/', `xmlns:${p}`, NS[p]));
+  const add = (p, name, v) => {
+    const e = desc.appendChild(el(p, name));
+    if (typeof v === 'string') e.textContent = v;
+    else e.appendChild(v);
+  };
+  const words = s => s.split(/\s*[,;]\s*/).filter(Boolean);
+  if (props.Title)        add('dc', 'title', list('Alt', [props.Title]));
+  if (props.Author)       add('dc', 'creator', list('Seq', props.Author.split(/\s*;\s*/).filter(Boolean)));
+  if (props.Subject)      add('dc', 'description', list('Alt', [props.Subject]));
+  if (props.Keywords)     add('dc', 'subject', list('Bag', words(props.Keywords)));
+  if (props.Keywords)     add('pdf', 'Keywords', props.Keywords);
+  if (props.Producer)     add('pdf', 'Producer', props.Producer);
+  if (props.Creator)      add('xmp', 'CreatorTool', props.Creator);
+  if (props.CreationDate) add('xmp', 'CreateDate', props.CreationDate.toISOString());
+  if (props.ModDate)      add('xmp', 'ModifyDate', props.ModDate.toISOString());
+  add('xmp', 'MetadataDate', new Date().toISOString());
+  props.custom.forEach(([k, v]) => add('pdfx', k, v));
+  rdf.appendChild(desc);
+  return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n'
+    + `${new XMLSerializer().serializeToString(x.documentElement)}\n<?xpacket end="w"?>`;
+}
+
+/** Write props into the info dictionary and XMP stream of doc. */
+function writeProps(doc, props) {
+  const L   = PDFLib;
+  const ctx = doc.context;
+  let info  = ctx.lookup(ctx.trailerInfo.Info);
+  if (!(info instanceof L.PDFDict)) {
+    info = ctx.obj({});
+    ctx.trailerInfo.Info = ctx.register(info);
+  }
+  info.keys().forEach(k => { if (!PROP_KEEP.includes(k.decodeText())) info.delete(k); });
+  Object.keys(PROP_FIELDS).forEach(k => { if (props[k]) info.set(L.PDFName.of(k), L.PDFHexString.fromText(props[k])); });
+  Object.keys(PROP_DATES).forEach(k => { if (props[k]) info.set(L.PDFName.of(k), L.PDFString.fromDate(props[k])); });
+  props.custom.forEach(([k, v]) => info.set(L.PDFName.of(k), L.PDFHexString.fromText(v)));
+
+  const ref = doc.catalog.get(L.PDFName.of('Metadata'));
+  const old = ctx.lookup(ref);
+  const xml = xmpPacket(old instanceof L.PDFStream ? new TextDecoder().decode(streamBytes(old)) : null, props);
+  // Left uncompressed so tools that scan files for XMP find it
+  const stream = ctx.stream(new TextEncoder().encode(xml), { Type: 'Metadata', Subtype: 'XML' });
+  if (ref instanceof L.PDFRef) ctx.assign(ref, stream);
+  else doc.catalog.set(L.PDFName.of('Metadata'), ctx.register(stream));
+}
+
+$('propAddBtn').addEventListener('click', () => addPropRow().focus());
+
+$('propSaveBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  loading(true, 'Saving properties…');
+  try {
+    const props = formProps();
+    const doc   = await PDFLib.PDFDocument.load(await rebuild(), { ignoreEncryption: true, updateMetadata: false });
+    writeProps(doc, props);
+    await applyEdit(await doc.save(), 'Edit properties');
+    await renderProps();
+    toast('Properties saved.', 'success');
+  } catch (e) {
+    console.error('propSaveBtn error:', e);
+    toast(`Saving properties failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+$('sanitizeBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  loading(true, 'Sanitizing…');
+  try {
+    const L       = PDFLib;
+    const authors = $('sanitizeAuthors').checked;
+    const doc     = await L.PDFDocument.load(await rebuild(), { ignoreEncryption: true, updateMetadata: false });
+    stripMetadata(doc);
+    if (authors) {
+      // A widget's /T is its field name, not an author
+      doc.getPages().forEach(p => p.node.Annots()?.asArray().forEach(ref => {
+        const a = doc.context.lookup(ref);
+        if (a instanceof L.PDFDict && a.lookup(L.PDFName.of('Subtype')) !== L.PDFName.of('Widget')) a.delete(L.PDFName.of('T'));
+      }));
+    }
+    pruneUnreachable(doc);
+    await applyEdit(await doc.save(), 'Sanitize metadata');
+    if (authors) {
+      S.items = S.items.map(it => (it.kind !== 'annot' ? it
+        : { ...it, author: '', replies: (it.replies || []).map(r => ({ ...r, author: '' })) }));
+      updateItemUi();
+    }
+    await renderProps();
+    toast(authors ? 'Metadata and comment authors removed.' : 'Metadata removed.', 'success');
+  } catch (e) {
+    console.error('sanitizeBtn error:', e);
+    toast(`Sanitize failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+/* ─── MERGE ──────────────────────────────────── */
+function refreshMergeList() {
+  const list = $('mergeList');
+  list.innerHTML = '';
+  S.mergeFiles.forEach((f, i) => {
+    const li = document.createElement('li');
+    li.className = 'merge-item' + (i === S.mergeCurDoc ? ' merge-item-active' : '');
+    li.innerHTML = `
+      <i class="fa-solid fa-grip-vertical merge-handle" title="Drag to reorder"></i>
+      <i class="fa-solid fa-file-pdf"></i>
+      <span class="merge-item-name" title="${f.name}">${f.name}</span>
+      <small class="merge-item-size">${fmtSize(f.size)}</small>
+      <button class="icon-btn" onclick="switchMergeDoc(${i})" title="Preview"><i class="fa-solid fa-eye"></i></button>
+      <button class="icon-btn danger" onclick="removeMergeFile(${i})" title="Remove"><i class="fa-solid fa-xmark"></i></button>`;
+    const range = Object.assign(document.createElement('input'), {
+      type:        'text',
+      className:   'input merge-item-range',
+      value:       S.mergeRanges[i] || '',
+      placeholder: `All ${S.mergeJsDocs[i].numPages} pages — or e.g. 1-3,5`,
+    });
+    range.addEventListener('change', () => { S.mergeRanges[i] = range.value; });
+    li.appendChild(range);
+    list.appendChild(li);
+  });
+  $('mergeBtn').disabled = !S.mergeFiles.length;
+
+  const total  = S.mergeJsDocs.length;
+  const curDoc = S.mergeJsDocs[S.mergeCurDoc];
+  const curPgs = curDoc ? curDoc.numPages : 0;
+  $('mergeDocLabel').textContent = total
+    ? `File ${S.mergeCurDoc + 1}/${total} — Page ${S.mergeCurPg}/${curPgs}`
+    : 'No PDFs added';
+  $('mergePrevDoc').disabled = S.mergeCurDoc <= 0;
+  $('mergeNextDoc').disabled = S.mergeCurDoc >= total - 1;
+  $('mergePrevPg').disabled  = S.mergeCurPg <= 1;
+  $('mergeNextPg').disabled  = !curDoc || S.mergeCurPg >= curPgs;
+}
+
+window.switchMergeDoc = i => {
+  S.mergeCurDoc = i; S.mergeCurPg = 1;
+  renderMergePreview(); refreshMergeList();
+};
+
+window.removeMergeFile = i => {
+  S.mergeFiles.splice(i, 1);
+  S.mergeBytes.splice(i, 1);
+  S.mergeJsDocs.splice(i, 1);
+  S.mergeRanges.splice(i, 1);
+  S.mergeCurDoc = Math.max(0, Math.min(S.mergeCurDoc, S.mergeFiles.length - 1));
+  S.mergeCurPg  = 1;
+  renderMergePreview(); refreshMergeList();
+};
+
+async function addMergeFiles(files) {
+  loading(true, 'Adding files…');
+  try {
+    for (const f of Array.from(files)) {
+      if (f.type !== 'application/pdf') { toast(`Not a PDF: ${f.name}`, 'error'); continue; }
+      if (!okSize(f)) continue;
+      const opened = await unlockPdf(new Uint8Array(await f.arrayBuffer()), f.name);
+      if (!opened) { toast(`Skipped (no password): ${f.name}`, 'info'); continue; }
+      const jsDoc = await pdfjsLib.getDocument({ data: opened.bytes.slice() }).promise;
+      S.mergeFiles.push(f);
+      S.mergeBytes.push(opened.bytes);
+      S.mergeJsDocs.push(jsDoc);
+      S.mergeRanges.push('');
+    }
+    S.mergeCurDoc = Math.max(0, S.mergeFiles.length - 1);
+    S.mergeCurPg  = 1;
+    await renderMergePreview();
+    refreshMergeList();
+  } catch (e) {
+    console.error('addMergeFiles:', e);
+    toast(`Error: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+}
+
+async function renderMergePreview() {
+  const cv = $('mergePreviewCanvas');
+  const ph = $('mergePreviewPlaceholder');
+  if (!S.mergeJsDocs.length) { hide(cv); show(ph); refreshMergeList(); return; }
+  const doc = S.mergeJsDocs[S.mergeCurDoc];
+  if (!doc) return;
   S.mergeCurPg = Math.max(1, Math.min(S.mergeCurPg, doc.numPages));
   const pg = await doc.getPage(S.mergeCurPg);
   const vp = pg.getViewport({ scale: CFG.PREVIEW_SCALE });
@@ -445,349 +3162,5277 @@ async function renderMergePreview() {
   refreshMergeList();
 }
 
-$('mergeInput').addEventListener('change', async e => {
-  await addMergeFiles(e.target.files); e.target.value = '';
+$('mergeInput').addEventListener('change', async e => {
+  await addMergeFiles(e.target.files); e.target.value = '';
+});
+const mdz = $('mergeDropZone');
+mdz.addEventListener('dragover',  e => { e.preventDefault(); mdz.classList.add('drag-over'); });
+mdz.addEventListener('dragleave', () => mdz.classList.remove('drag-over'));
+mdz.addEventListener('drop', async e => {
+  e.preventDefault(); mdz.classList.remove('drag-over');
+  await addMergeFiles(e.dataTransfer.files);
+});
+$('mergePrevDoc').addEventListener('click', () => { S.mergeCurDoc--; S.mergeCurPg = 1; renderMergePreview(); });
+$('mergeNextDoc').addEventListener('click', () => { S.mergeCurDoc++; S.mergeCurPg = 1; renderMergePreview(); });
+$('mergePrevPg' ).addEventListener('click', () => { S.mergeCurPg--; renderMergePreview(); });
+$('mergeNextPg' ).addEventListener('click', () => { S.mergeCurPg++; renderMergePreview(); });
+
+Sortable.create($('mergeList'), {
+  animation:  150,
+  handle:     '.merge-handle',
+  ghostClass: 'sortable-ghost',
+  onEnd(ev) {
+    if (ev.oldIndex === ev.newIndex) return;
+    const cur = S.mergeJsDocs[S.mergeCurDoc];
+    [S.mergeFiles, S.mergeBytes, S.mergeJsDocs, S.mergeRanges].forEach(arr =>
+      arr.splice(ev.newIndex, 0, arr.splice(ev.oldIndex, 1)[0]));
+    S.mergeCurDoc = S.mergeJsDocs.indexOf(cur);
+    refreshMergeList();
+  },
+});
+
+$('mergeMode').addEventListener('change', () =>
+  $('mergeReverseRow').classList.toggle('hidden', $('mergeMode').value !== 'interleave'));
+
+$('mergeTarget').addEventListener('change', () => {
+  const intoDoc = $('mergeTarget').value === 'current';
+  $('mergeAt').disabled = !intoDoc;
+  $('mergeAt').max      = S.totalPages;
+  $('mergeBtnLabel').textContent = intoDoc ? 'Merge into Document' : 'Merge & Download';
+});
+
+/** 0-based page indices picked from merge file i by its range expression. */
+function mergePages(i) {
+  const n    = S.mergeJsDocs[i].numPages;
+  const expr = (S.mergeRanges[i] || '').trim();
+  if (!expr) return pageRange(0, n - 1);
+  try {
+    return parseRanges(expr, n).flatMap(([a, b]) => pageRange(a - 1, b - 1));
+  } catch (e) {
+    throw new Error(`${S.mergeFiles[i].name}: ${e.message}`);
+  }
+}
+
+/** Output order as [fileIdx, pageIdx] pairs. */
+function mergePlan() {
+  const lists = S.mergeFiles.map((_, i) => mergePages(i));
+  if ($('mergeMode').value !== 'interleave') return lists.flatMap((l, f) => l.map(p => [f, p]));
+
+  // Duplex scans: file 1 holds the fronts, file 2 the backs
+  if (lists.length !== 2) throw new Error('Interleaving needs exactly two files — fronts, then backs');
+  const fronts = lists[0];
+  const backs  = $('mergeReverseBacks').checked ? [...lists[1]].reverse() : lists[1];
+  const plan   = [];
+  for (let i = 0; i < Math.max(fronts.length, backs.length); i++) {
+    if (i < fronts.length) plan.push([0, fronts[i]]);
+    if (i < backs.length)  plan.push([1, backs[i]]);
+  }
+  return plan;
+}
+
+/**
+ * Insert the planned pages into dest at page index at, carrying
+ * over the form fields and outline of every source file.
+ */
+async function mergeInto(dest, plan, at) {
+  const outline = mapOutlinePages(readOutline(dest), p => (p < at ? p : p + plan.length));
+  const placed  = new Array(plan.length);
+  const labels  = readPageLabels(dest);
+  const added   = new Array(plan.length).fill(null);
+
+  for (let f = 0; f < S.mergeBytes.length; f++) {
+    const ks = plan.flatMap(([g], k) => (g === f ? [k] : []));
+    if (!ks.length) continue;
+    const src    = await PDFLib.PDFDocument.load(S.mergeBytes[f].slice(), { updateMetadata: false });
+    const copied = await copyPagesWithForms(dest, src, ks.map(k => plan[k][1]));
+    ks.forEach((k, j) => { placed[k] = copied[j]; });
+    const srcLabels = readPageLabels(src);
+    if (srcLabels) ks.forEach(k => { added[k] = srcLabels[plan[k][1]]; });
+    // Bookmarks follow the first copy of their page
+    outline.push(...mapOutlinePages(readOutline(src), p => {
+      const k = ks.find(k => plan[k][1] === p);
+      return k === undefined ? -1 : at + k;
+    }));
+  }
+  const own = labels || new Array(dest.getPageCount()).fill(null);
+  placed.forEach((page, k) => dest.insertPage(at + k, page));
+  writeOutline(dest, outline);
+  if (labels || added.some(Boolean)) writePageLabels(dest, [...own.slice(0, at), ...added, ...own.slice(at)]);
+}
+
+$('mergeBtn').addEventListener('click', async () => {
+  if (!S.mergeFiles.length) return;
+  const intoDoc = $('mergeTarget').value === 'current';
+  loading(true, `Merging ${S.mergeFiles.length} PDF(s)…`);
+  try {
+    if (intoDoc && !S.rawBytes) throw new Error('Open a PDF first to merge into it');
+    const plan = mergePlan();
+    if (!plan.length) throw new Error('No pages selected');
+
+    if (intoDoc) {
+      const after = parseInt($('mergeAt').value, 10);
+      const at    = Number.isNaN(after) ? S.totalPages : Math.max(0, Math.min(after, S.totalPages));
+      const dest  = await PDFLib.PDFDocument.load(await rebuild(), { updateMetadata: false });
+      await mergeInto(dest, plan, at);
+      const pageMap = S.pageOrder.map((_, i) => (i < at ? i : i + plan.length));
+      await applyEdit(await dest.save(), `Merge ${plan.length} page(s)`, pageMap);
+      toast(`Inserted ${plan.length} page(s) after page ${at}!`, 'success');
+    } else {
+      const merged = await PDFLib.PDFDocument.create();
+      await mergeInto(merged, plan, 0);
+      dlBytes(await merged.save(), 'merged.pdf');
+      toast(`Merged ${S.mergeFiles.length} PDF(s) — ${plan.length} pages!`, 'success');
+    }
+  } catch (e) {
+    console.error('mergeBtn error:', e);
+    toast(`Merge failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+/* ─── OUTLINES ───────────────────────────────────
+   Bookmarks are read into plain trees of
+   { title, page, view, open, children } — page indexes
+   doc.getPages() (-1 when the target is not in the document)
+   and view is the rest of the destination array, e.g.
+   [/XYZ left top zoom]. Writing replaces the catalog's tree.
+─────────────────────────────────────────────────── */
+
+/** Look up a named destination in /Dests (names) or the /Names tree (strings). */
+function namedDest(doc, key) {
+  const L   = PDFLib;
+  const cat = doc.catalog;
+  if (key instanceof L.PDFName) {
+    const dests = cat.lookup(L.PDFName.of('Dests'));
+    return dests instanceof L.PDFDict ? dests.lookup(key) : undefined;
+  }
+  const names = cat.lookup(L.PDFName.of('Names'));
+  const root  = names instanceof L.PDFDict ? names.lookup(L.PDFName.of('Dests')) : undefined;
+  const want  = key.decodeText();
+  const search = (node, depth) => {
+    if (!(node instanceof L.PDFDict) || depth > 32) return undefined;
+    const pairs = node.lookup(L.PDFName.of('Names'));
+    if (pairs instanceof L.PDFArray) {
+      for (let i = 0; i + 1 < pairs.size(); i += 2) {
+        const k = pairs.lookup(i);
+        if (k && k.decodeText && k.decodeText() === want) return pairs.lookup(i + 1);
+      }
+    }
+    const kids = node.lookup(L.PDFName.of('Kids'));
+    if (!(kids instanceof L.PDFArray)) return undefined;
+    for (let i = 0; i < kids.size(); i++) {
+      const hit = search(kids.lookup(i), depth + 1);
+      if (hit !== undefined) return hit;
+    }
+    return undefined;
+  };
+  return search(root, 0);
+}
+
+/** Resolve a /Dest value (array, name or string) to a JS array, or null. */
+function resolveDest(doc, dest) {
+  const L = PDFLib;
+  let d = doc.context.lookup(dest);
+  if (d instanceof L.PDFName || d instanceof L.PDFString || d instanceof L.PDFHexString) {
+    d = doc.context.lookup(namedDest(doc, d));
+  }
+  if (d instanceof L.PDFDict) d = d.lookup(L.PDFName.of('D'));
+  return d instanceof L.PDFArray ? d.asArray() : null;
+}
+
+/** Destination of an outline item or link: /Dest, or a GoTo action's /D. */
+function itemDest(item) {
+  const L = PDFLib;
+  const dest = item.get(L.PDFName.of('Dest'));
+  if (dest) return dest;
+  const action = item.lookup(L.PDFName.of('A'));
+  if (action instanceof L.PDFDict && action.get(L.PDFName.of('S')) === L.PDFName.of('GoTo')) {
+    return action.get(L.PDFName.of('D'));
+  }
+  return null;
+}
+
+/** { page, view } of a resolved destination; page indexes pageIdx (page ref → index), -1 if not found. */
+function destTarget(dest, pageIdx) {
+  const L = PDFLib;
+  let page = -1;
+  if (dest && dest[0] instanceof L.PDFRef) page = pageIdx.get(dest[0]) ?? -1;
+  else if (dest && dest[0] instanceof L.PDFNumber) page = dest[0].asNumber();
+  return { page, view: dest ? dest.slice(1).filter(v => !(v instanceof L.PDFRef)) : [] };
+}
+
+function readOutline(doc) {
+  const L   = PDFLib;
+  const ctx = doc.context;
+  const root = doc.catalog.lookup(L.PDFName.of('Outlines'));
+  if (!(root instanceof L.PDFDict)) return [];
+  const pageIdx = new Map(doc.getPages().map((p, i) => [p.ref, i]));
+  const seen    = new Set();
+
+  const walk = first => {
+    const nodes = [];
+    for (let ref = first; ref && !seen.has(ref); ) {
+      seen.add(ref);
+      const item = ctx.lookup(ref);
+      if (!(item instanceof L.PDFDict)) break;
+      const title = item.lookup(L.PDFName.of('Title'));
+      const count = item.lookup(L.PDFName.of('Count'));
+      nodes.push({
+        title:    title && title.decodeText ? title.decodeText() : '',
+        ...destTarget(resolveDest(doc, itemDest(item)), pageIdx),
+        open:     count instanceof L.PDFNumber && count.asNumber() > 0,
+        children: walk(item.get(L.PDFName.of('First'))),
+      });
+      ref = item.get(L.PDFName.of('Next'));
+    }
+    return nodes;
+  };
+  return walk(root.get(L.PDFName.of('First')));
+}
+
+/** Copy of an outline tree with every page index passed through fn. */
+function mapOutlinePages(nodes, fn) {
+  return nodes.map(n => ({
+    ...n,
+    page:     n.page < 0 ? -1 : fn(n.page),
+    children: mapOutlinePages(n.children, fn),
+  }));
+}
+
+/** Replace doc's outline. Items whose page is gone are dropped unless they have children. */
+function writeOutline(doc, nodes) {
+  const L     = PDFLib;
+  const ctx   = doc.context;
+  const pages = doc.getPages();
+  const N     = k => L.PDFName.of(k);
+  const prune = list => list.flatMap(n => {
+    const children = prune(n.children);
+    const page     = pages[n.page] ? n.page : -1;
+    return page >= 0 || children.length ? [{ ...n, page, children }] : [];
+  });
+  const tree = prune(nodes);
+  if (!tree.length) { doc.catalog.delete(N('Outlines')); return; }
+
+  // Returns the first/last refs of the level and its visible item count
+  const build = (list, parentRef) => {
+    const refs = list.map(() => ctx.nextRef());
+    let visible = 0;
+    list.forEach((n, i) => {
+      const dict = ctx.obj({});
+      dict.set(N('Title'),  L.PDFHexString.fromText(n.title));
+      dict.set(N('Parent'), parentRef);
+      if (i > 0)               dict.set(N('Prev'), refs[i - 1]);
+      if (i < refs.length - 1) dict.set(N('Next'), refs[i + 1]);
+      if (n.page >= 0) {
+        dict.set(N('Dest'), ctx.obj([pages[n.page].ref, ...(n.view.length ? n.view : [N('Fit')])]));
+      }
+      if (n.children.length) {
+        const sub = build(n.children, refs[i]);
+        dict.set(N('First'), sub.first);
+        dict.set(N('Last'),  sub.last);
+        dict.set(N('Count'), ctx.obj(n.open ? sub.visible : -sub.visible));
+        if (n.open) visible += sub.visible;
+      }
+      ctx.assign(refs[i], dict);
+      visible++;
+    });
+    return { first: refs[0], last: refs[refs.length - 1], visible };
+  };
+
+  const rootRef = ctx.nextRef();
+  const top     = build(tree, rootRef);
+  ctx.assign(rootRef, ctx.obj({ Type: 'Outlines', First: top.first, Last: top.last, Count: top.visible }));
+  doc.catalog.set(N('Outlines'), rootRef);
+}
+
+/* ─── BOOKMARKS ──────────────────────────────────
+   S.outline is the tree readOutline() gives for rawBytes,
+   with pages as original indexes like placed items: reorder
+   and delete need no bookkeeping, since rebuild() maps the
+   tree onto the output order and drops bookmarks into
+   deleted pages. Edits go through history like page edits;
+   expanding and collapsing is view state and does not.
+─────────────────────────────────────────────────── */
+const cloneOutline = nodes => nodes.map(n => ({ ...n, view: [...n.view], children: cloneOutline(n.children) }));
+/** Comparable form of a bookmark tree, to tell whether it was edited; expanding is not an edit. */
+const outlineKey   = nodes => JSON.stringify(nodes.map(n => [n.title, n.page, n.view.map(String), outlineKey(n.children)]));
+
+/** Read the bookmarks and page labels of rawBytes. */
+async function loadOutline() {
+  S.outline     = [];
+  S.outlineSel  = null;
+  S.outlineRead = '[]';
+  S.pageLabels  = null;
+  if (S.rawBytes) {
+    try {
+      const doc = await PDFLib.PDFDocument.load(S.rawBytes.slice(), { ignoreEncryption: true, updateMetadata: false });
+      S.outline     = readOutline(doc);
+      S.outlineRead = outlineKey(S.outline);
+      S.pageLabels  = readPageLabels(doc)?.map(labelText) || null;
+    } catch (e) {
+      console.error('loadOutline error:', e);
+      toast(`Bookmarks could not be read: ${e.message}`, 'error');
+    }
+  }
+  renderOutline();
+}
+
+/** { list, i, node } of the bookmark at path, or null. */
+function outlineAt(path) {
+  if (!path || !path.length) return null;
+  let list = S.outline;
+  for (const i of path.slice(0, -1)) {
+    list = list[i]?.children;
+    if (!list) return null;
+  }
+  const i = path[path.length - 1];
+  return list[i] ? { list, i, node: list[i] } : null;
+}
+
+function renderOutline() {
+  const tree = $('bmTree');
+  const el   = (tag, cls, text) => Object.assign(document.createElement(tag), { className: cls, textContent: text ?? '' });
+  const at   = outlineAt(S.outlineSel);
+  if (!at) S.outlineSel = null;
+  const sel  = (S.outlineSel || []).join('.');
+  let count  = 0;
+  const build = (nodes, path, ul) => nodes.forEach((n, i) => {
+    const p    = [...path, i];
+    const disp = S.pageOrder.indexOf(n.page);
+    const li   = el('li', '');
+    const row  = el('div', 'bm-item' + (p.join('.') === sel ? ' active' : '') + (disp < 0 ? ' gone' : ''));
+    const tog  = el('button', 'icon-btn');
+    tog.innerHTML = `<i class="fa-solid fa-chevron-${n.open ? 'down' : 'right'}"></i>`;
+    tog.disabled  = !n.children.length;
+    tog.addEventListener('click', () => { n.open = !n.open; renderOutline(); });
+    row.title = disp < 0 ? 'Its page was deleted' : '';
+    row.append(tog, el('span', 'bm-title', n.title || '(untitled)'), el('span', 'bm-page', disp < 0 ? '—' : `p. ${disp + 1}`));
+    row.addEventListener('click', e => { if (!e.target.closest('button')) selectBookmark(p); });
+    li.append(row);
+    count++;
+    if (n.children.length && n.open) {
+      const sub = el('ul', '');
+      build(n.children, p, sub);
+      li.append(sub);
+    } else {
+      count += outlineSize(n.children);
+    }
+    ul.append(li);
+  });
+  tree.innerHTML = '';
+  build(S.outline, [], tree);
+  $('bmCount').textContent = !S.rawBytes ? 'Upload a PDF to see its bookmarks.'
+    : count ? `${count} bookmark(s)` : 'No bookmarks yet. Add one for the current page.';
+
+  const path = S.outlineSel;
+  $('bmChildBtn').disabled   = !at;
+  $('bmUpBtn').disabled      = !at || at.i === 0;
+  $('bmDownBtn').disabled    = !at || at.i === at.list.length - 1;
+  $('bmIndentBtn').disabled  = !at || at.i === 0;
+  $('bmOutdentBtn').disabled = !at || path.length < 2;
+  $('bmDelBtn').disabled     = !at;
+  if (!at) { hide($('bmEdit')); return; }
+  show($('bmEdit'));
+  const disp = S.pageOrder.indexOf(at.node.page);
+  $('bmTitle').value = at.node.title;
+  $('bmPage').max    = S.totalPages;
+  $('bmPage').value  = disp < 0 ? '' : disp + 1;
+}
+
+const outlineSize = nodes => nodes.reduce((n, b) => n + 1 + outlineSize(b.children), 0);
+
+async function selectBookmark(path) {
+  S.outlineSel = path;
+  renderOutline();
+  const page = S.pageOrder.indexOf(outlineAt(path).node.page) + 1;
+  if (page && page !== S.curPage) await previewMain(page);
+}
+
+/** Record history, let fn change S.outline (and the selection), re-render. */
+function editOutline(label, fn) {
+  pushHistory(label);
+  fn();
+  renderOutline();
+}
+
+/** New bookmark to the current page: after the selection, or inside it. */
+function addBookmark(child) {
+  if (!S.rawBytes) return;
+  const node = { title: `Page ${S.curPage}`, page: S.pageOrder[S.curPage - 1], view: [], open: false, children: [] };
+  const at   = outlineAt(S.outlineSel);
+  editOutline('Add bookmark', () => {
+    if (child && at) {
+      at.node.children.push(node);
+      at.node.open = true;
+      S.outlineSel = [...S.outlineSel, at.node.children.length - 1];
+    } else if (at) {
+      at.list.splice(at.i + 1, 0, node);
+      S.outlineSel = [...S.outlineSel.slice(0, -1), at.i + 1];
+    } else {
+      S.outline.push(node);
+      S.outlineSel = [S.outline.length - 1];
+    }
+  });
+  $('bmTitle').focus();
+  $('bmTitle').select();
+}
+
+$('bmAddBtn').addEventListener('click',   () => addBookmark(false));
+$('bmChildBtn').addEventListener('click', () => addBookmark(true));
+
+/** Swap the selection with its neighbour d (-1 above, +1 below). */
+function moveBookmark(d) {
+  const at = outlineAt(S.outlineSel);
+  const j  = at ? at.i + d : -1;
+  if (j < 0 || j >= at.list.length) return;
+  editOutline('Move bookmark', () => {
+    [at.list[at.i], at.list[j]] = [at.list[j], at.list[at.i]];
+    S.outlineSel = [...S.outlineSel.slice(0, -1), j];
+  });
+}
+
+$('bmUpBtn').addEventListener('click',   () => moveBookmark(-1));
+$('bmDownBtn').addEventListener('click', () => moveBookmark(1));
+
+$('bmIndentBtn').addEventListener('click', () => {
+  const at = outlineAt(S.outlineSel);
+  if (!at || at.i === 0) return;
+  const prev = at.list[at.i - 1];
+  editOutline('Nest bookmark', () => {
+    at.list.splice(at.i, 1);
+    prev.children.push(at.node);
+    prev.open = true;
+    S.outlineSel = [...S.outlineSel.slice(0, -1), at.i - 1, prev.children.length - 1];
+  });
+});
+
+$('bmOutdentBtn').addEventListener('click', () => {
+  const at     = outlineAt(S.outlineSel);
+  const parent = at && outlineAt(S.outlineSel.slice(0, -1));
+  if (!parent) return;
+  editOutline('Unnest bookmark', () => {
+    at.list.splice(at.i, 1);
+    parent.list.splice(parent.i + 1, 0, at.node);
+    S.outlineSel = [...S.outlineSel.slice(0, -2), parent.i + 1];
+  });
+});
+
+$('bmDelBtn').addEventListener('click', () => {
+  const at = outlineAt(S.outlineSel);
+  if (!at) return;
+  editOutline('Delete bookmark', () => {
+    at.list.splice(at.i, 1);
+    S.outlineSel = at.list.length ? [...S.outlineSel.slice(0, -1), Math.min(at.i, at.list.length - 1)] : S.outlineSel.slice(0, -1);
+    if (!S.outlineSel.length) S.outlineSel = null;
+  });
+});
+
+$('bmTitle').addEventListener('change', () => {
+  const at    = outlineAt(S.outlineSel);
+  const title = $('bmTitle').value.trim();
+  if (!at || !title || title === at.node.title) { renderOutline(); return; }
+  editOutline('Rename bookmark', () => { at.node.title = title; });
+});
+
+$('bmPage').addEventListener('change', async () => {
+  const at   = outlineAt(S.outlineSel);
+  const page = parseInt($('bmPage').value, 10);
+  if (at && !(page >= 1 && page <= S.totalPages)) toast(`Enter a page from 1 to ${S.totalPages}`, 'error');
+  if (!at || !(page >= 1 && page <= S.totalPages) || S.pageOrder[page - 1] === at.node.page) { renderOutline(); return; }
+  // A new page drops the old position on it
+  editOutline('Retarget bookmark', () => { at.node.page = S.pageOrder[page - 1]; at.node.view = []; });
+  await previewMain(page);
+});
+
+/* ─── LINKS ──────────────────────────────────────
+   Internal links (a /Dest or GoTo action on an annotation)
+   are detached before pages are copied: their target becomes
+   [source page index, …view], so the copier does not drag the
+   target pages along, and relinkPages() then points them at
+   the copies. Named destinations are carried as their own
+   table. Links drawn here are object-layer items of kind
+   'link' — { linkTo: 'url' | 'page', url, target (orig index) }
+   — written as Link annotations on output.
+─────────────────────────────────────────────────── */
+
+/** Set an annotation's /Dest, or the /D of its GoTo action. */
+function setItemDest(item, value) {
+  const L = PDFLib;
+  if (item.has(L.PDFName.of('Dest'))) item.set(L.PDFName.of('Dest'), value);
+  else item.lookup(L.PDFName.of('A')).set(L.PDFName.of('D'), value);
+}
+
+/** Turn the internal link targets on src pages idxs into page indexes (-1 when unresolvable). */
+function detachLinks(src, idxs) {
+  const L       = PDFLib;
+  const pageIdx = new Map(src.getPages().map((p, i) => [p.ref, i]));
+  new Set(idxs).forEach(i => src.getPage(i).node.Annots()?.asArray().forEach(ref => {
+    const a    = src.context.lookup(ref);
+    const dest = a instanceof L.PDFDict ? itemDest(a) : null;
+    if (!dest) return;
+    const { page, view } = destTarget(resolveDest(src, dest), pageIdx);
+    setItemDest(a, src.context.obj([page, ...view]));
+  }));
+}
+
+/**
+ * Point the links detached by detachLinks() on pages at
+ * target(source page index), a page ref of doc. Links whose
+ * target is null are removed; other annotations (buttons)
+ * just lose the action.
+ */
+function relinkPages(doc, pages, target) {
+  const L   = PDFLib;
+  const N   = k => L.PDFName.of(k);
+  const ctx = doc.context;
+  pages.forEach(page => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    const keep = annots.asArray().filter(ref => {
+      const a    = ctx.lookup(ref);
+      const dest = a instanceof L.PDFDict ? ctx.lookup(itemDest(a)) : null;
+      if (!(dest instanceof L.PDFArray) || !(dest.get(0) instanceof L.PDFNumber)) return true;
+      const to   = dest.get(0).asNumber() >= 0 ? target(dest.get(0).asNumber()) : null;
+      const view = dest.asArray().slice(1);
+      if (to) { setItemDest(a, ctx.obj([to, ...(view.length ? view : [N('Fit')])])); return true; }
+      if (a.get(N('Subtype')) === N('Link')) return false;
+      a.delete(N('Dest'));
+      a.delete(N('A'));
+      return true;
+    });
+    if (keep.length < annots.size()) page.node.set(N('Annots'), ctx.obj(keep));
+  });
+}
+
+/**
+ * Every named destination of doc as { key, page, view }: key is
+ * the PDFName of a /Dests entry or the string object of a
+ * /Names tree entry, page indexes doc.getPages() or is -1.
+ */
+function readNamedDests(doc) {
+  const L       = PDFLib;
+  const N       = k => L.PDFName.of(k);
+  const pageIdx = new Map(doc.getPages().map((p, i) => [p.ref, i]));
+  const out     = [];
+  const add     = (key, value) => {
+    const dest = resolveDest(doc, value);
+    if (dest) out.push({ key, ...destTarget(dest, pageIdx) });
+  };
+  const dests = doc.catalog.lookup(N('Dests'));
+  if (dests instanceof L.PDFDict) dests.entries().forEach(([k, v]) => add(k, v));
+  const walk = (node, depth) => {
+    if (!(node instanceof L.PDFDict) || depth > 32) return;
+    const pairs = node.lookup(N('Names'));
+    if (pairs instanceof L.PDFArray) {
+      for (let i = 0; i + 1 < pairs.size(); i += 2) {
+        const k = pairs.lookup(i);
+        if (k instanceof L.PDFString || k instanceof L.PDFHexString) add(k, pairs.get(i + 1));
+      }
+    }
+    const kids = node.lookup(N('Kids'));
+    if (kids instanceof L.PDFArray) for (let i = 0; i < kids.size(); i++) walk(kids.lookup(i), depth + 1);
+  };
+  const names = doc.catalog.lookup(N('Names'));
+  if (names instanceof L.PDFDict) walk(names.lookup(N('Dests')), 0);
+  return out;
+}
+
+/** Replace doc's named destinations (see readNamedDests); those whose page is gone are dropped. */
+function writeNamedDests(doc, list) {
+  const L     = PDFLib;
+  const N     = k => L.PDFName.of(k);
+  const ctx   = doc.context;
+  const pages = doc.getPages();
+  const dest  = d => ctx.obj([pages[d.page].ref, ...(d.view.length ? d.view : [N('Fit')])]);
+  const live  = list.filter(d => pages[d.page]);
+  const byName = live.filter(d => d.key instanceof L.PDFName);
+  // A name tree leaf must be sorted by key
+  const byString = live.filter(d => !(d.key instanceof L.PDFName))
+    .sort((a, b) => (a.key.decodeText() < b.key.decodeText() ? -1 : a.key.decodeText() > b.key.decodeText() ? 1 : 0));
+  doc.catalog.delete(N('Dests'));
+  if (byName.length) {
+    const dict = ctx.obj({});
+    byName.forEach(d => dict.set(d.key, dest(d)));
+    doc.catalog.set(N('Dests'), ctx.register(dict));
+  }
+  let names = doc.catalog.lookup(N('Names'));
+  if (names instanceof L.PDFDict) names.delete(N('Dests'));
+  if (byString.length) {
+    if (!(names instanceof L.PDFDict)) doc.catalog.set(N('Names'), names = ctx.obj({}));
+    names.set(N('Dests'), ctx.register(ctx.obj({ Names: byString.flatMap(d => [d.key, dest(d)]) })));
+  }
+}
+
+/** Absolute, ASCII-only URI for a typed address; bare hosts get https://. */
+function linkHref(url) {
+  const full = /^[a-z][\w+.-]*:/i.test(url) ? url : `https://${url}`;
+  try {
+    return new URL(full).href;
+  } catch (e) {
+    return encodeURI(full);
+  }
+}
+
+const linkLabel = it => (it.linkTo === 'page'
+  ? (S.pageOrder.includes(it.target) ? `→ page ${S.pageOrder.indexOf(it.target) + 1}` : '→ deleted page')
+  : it.url || '(no URL)');
+
+function drawLinkItem(ctx, it) {
+  ctx.fillStyle   = 'rgba(79,142,247,.12)';
+  ctx.fillRect(it.x, it.top, it.w, it.h);
+  ctx.strokeStyle = '#4f8ef7';
+  ctx.lineWidth   = 1;
+  ctx.setLineDash([3, 2]);
+  ctx.strokeRect(it.x, it.top, it.w, it.h);
+  ctx.setLineDash([]);
+  ctx.fillStyle   = '#4f8ef7';
+  ctx.font        = '9px monospace';
+  ctx.fillText(linkLabel(it), it.x + 2, Math.min(it.top + it.h - 3, it.top + 10));
+}
+
+function updateLinkPanel() {
+  const page = $('linkType').value === 'page';
+  page ? hide($('linkUrlRow')) : show($('linkUrlRow'));
+  page ? show($('linkTargetRow')) : hide($('linkTargetRow'));
+  $('linkTarget').max = S.totalPages || 1;
+}
+
+function loadLinkFields(it) {
+  $('linkType').value   = it.linkTo;
+  $('linkUrl').value    = it.url;
+  $('linkTarget').value = S.pageOrder.indexOf(it.target) + 1 || '';
+  updateLinkPanel();
+}
+
+function readLinkFields(it) {
+  it.linkTo = $('linkType').value;
+  it.url    = $('linkUrl').value.trim();
+  const pg  = parseInt($('linkTarget').value, 10);
+  if (pg >= 1 && pg <= S.totalPages) it.target = S.pageOrder[pg - 1];
+  updateLinkPanel();
+}
+
+$('linkType').addEventListener('change', updateLinkPanel);
+
+async function finishLinkDraw() {
+  const { start: [x0, y0], end: [x1, y1] } = S.boxDraw;
+  S.boxDraw = null;
+  const w = Math.abs(x1 - x0), h = Math.abs(y1 - y0);
+  if (w < 2 || h < 2) { drawOverlay(); return; }
+  if ($('linkType').value === 'url' && !$('linkUrl').value.trim()) toast('Enter the URL for the new link.', 'info');
+  const it = { kind: 'link', page: S.view.origIdx, x: Math.min(x0, x1), top: Math.min(y0, y1), w, h, target: S.pageOrder[0] };
+  readLinkFields(it);
+  await addItem(it);
+}
+
+/** Write every link item into doc, whose pages follow order. Links without a URL or live target are skipped. */
+function addLinks(doc, order) {
+  const L   = PDFLib;
+  const N   = k => L.PDFName.of(k);
+  const ctx = doc.context;
+  S.items.filter(it => it.kind === 'link' && order.includes(it.page)).forEach(it => {
+    const target = order.indexOf(it.target);
+    if (it.linkTo === 'page' ? target < 0 : !it.url) return;
+    const page = doc.getPage(order.indexOf(it.page));
+    const cb   = page.getCropBox();
+    const x0   = cb.x + it.x, y1 = cb.y + cb.height - it.top;
+    const dict = ctx.obj({
+      Type:    'Annot',
+      Subtype: 'Link',
+      Rect:    [x0, y1 - it.h, x0 + it.w, y1],
+      Border:  [0, 0, 0],
+      F:       4,
+      P:       page.ref,
+    });
+    if (it.linkTo === 'page') dict.set(N('Dest'), ctx.obj([doc.getPage(target).ref, 'Fit']));
+    else dict.set(N('A'), ctx.obj({ S: 'URI', URI: L.PDFString.of(linkHref(it.url)) }));
+    page.node.addAnnot(ctx.register(dict));
+  });
+}
+
+/* ─── PAGE LABELS ────────────────────────────────
+   Labels (i, ii, iii, 1, 2…) are read per page as
+   { style, prefix, n } from the /PageLabels number tree, so
+   each page keeps its own label wherever it moves; writing
+   starts a new range wherever the sequence breaks.
+─────────────────────────────────────────────────── */
+
+/** Label of every page of doc, or null when it has no /PageLabels. */
+function readPageLabels(doc) {
+  const L    = PDFLib;
+  const N    = k => L.PDFName.of(k);
+  const root = doc.catalog.lookup(N('PageLabels'));
+  if (!(root instanceof L.PDFDict)) return null;
+  const ranges = [];
+  const walk = (node, depth) => {
+    if (!(node instanceof L.PDFDict) || depth > 32) return;
+    const nums = node.lookup(N('Nums'));
+    if (nums instanceof L.PDFArray) {
+      for (let i = 0; i + 1 < nums.size(); i += 2) {
+        const k = nums.lookup(i), d = nums.lookup(i + 1);
+        if (k instanceof L.PDFNumber && d instanceof L.PDFDict) ranges.push([k.asNumber(), d]);
+      }
+    }
+    const kids = node.lookup(N('Kids'));
+    if (kids instanceof L.PDFArray) for (let i = 0; i < kids.size(); i++) walk(kids.lookup(i), depth + 1);
+  };
+  walk(root, 0);
+  if (!ranges.length) return null;
+  ranges.sort((a, b) => a[0] - b[0]);
+  return doc.getPages().map((_, i) => {
+    const hit = ranges.filter(([k]) => k <= i).pop();
+    if (!hit) return null;
+    const [k, d] = hit;
+    const style  = d.lookup(N('S'));
+    const prefix = d.lookup(N('P'));
+    const start  = d.lookup(N('St'));
+    return {
+      style:  style instanceof L.PDFName ? style.decodeText() : '',
+      prefix: prefix && prefix.decodeText ? prefix.decodeText() : '',
+      n:      (start instanceof L.PDFNumber ? start.asNumber() : 1) + i - k,
+    };
+  });
+}
+
+/** Write one label per page of doc as /PageLabels; pages labelled null continue the page before. */
+function writePageLabels(doc, labels) {
+  const L    = PDFLib;
+  const N    = k => L.PDFName.of(k);
+  const ctx  = doc.context;
+  const nums = [];
+  let prev = null;
+  labels.forEach((label, i) => {
+    const l = label || (prev ? { ...prev, n: prev.n + 1 } : { style: 'D', prefix: '', n: 1 });
+    if (!prev || l.style !== prev.style || l.prefix !== prev.prefix || l.n !== prev.n + 1) {
+      const range = ctx.obj({});
+      if (l.style)    range.set(N('S'), N(l.style));
+      if (l.prefix)   range.set(N('P'), L.PDFHexString.fromText(l.prefix));
+      if (l.n !== 1)  range.set(N('St'), ctx.obj(l.n));
+      nums.push(ctx.obj(i), range);
+    }
+    prev = l;
+  });
+  if (nums.length) doc.catalog.set(N('PageLabels'), ctx.obj({ Nums: nums }));
+  else doc.catalog.delete(N('PageLabels'));
+}
+
+/** Display text of a label from readPageLabels(). */
+function labelText(l) {
+  if (!l) return '';
+  const roman = n => {
+    let out = '';
+    [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+     [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']].forEach(([v, s]) => {
+      for (; n >= v; n -= v) out += s;
+    });
+    return out;
+  };
+  // A, B … Z, AA, BB … ZZ, AAA …
+  const letters = n => String.fromCharCode(65 + (n - 1) % 26).repeat(Math.ceil(n / 26));
+  const body = l.n < 1 ? '' : {
+    D: () => String(l.n),
+    R: () => roman(l.n),
+    r: () => roman(l.n).toLowerCase(),
+    A: () => letters(l.n),
+    a: () => letters(l.n).toLowerCase(),
+  }[l.style]?.() ?? '';
+  return l.prefix + body;
+}
+
+/* ─── FORM FIELDS ACROSS DOCUMENTS ────────────── */
+
+/**
+ * dest.copyPages() that keeps the AcroForm fields whose widgets
+ * land on the copied pages. Fields whose names are already taken
+ * in dest get a numeric suffix. Internal links go to the first
+ * copy of their target page, or to linkTarget(source index) when
+ * given, and are removed when their target is not in dest.
+ */
+async function copyPagesWithForms(dest, src, idxs, linkTarget = null) {
+  const L   = PDFLib;
+  const N   = k => L.PDFName.of(k);
+  const annots = page => {
+    const arr = page.node.Annots();
+    if (!arr) return [];
+    return arr.asArray()
+      .map(ref => [ref, page.node.context.lookup(ref)])
+      .filter(([, a]) => a instanceof L.PDFDict);
+  };
+  const widgets = page => annots(page).filter(([, a]) => a.get(N('Subtype')) === N('Widget'));
+
+  // An annotation's /P points at its page; left in place, copying would
+  // drag the source page tree along with every field and comment.
+  src.getPages().forEach(p => annots(p).forEach(([, a]) => a.delete(N('P'))));
+  detachLinks(src, idxs);
+  const copied  = await dest.copyPages(src, idxs);
+  copied.forEach(page => annots(page).forEach(([, a]) => a.set(N('P'), page.ref)));
+  relinkPages(dest, copied, linkTarget || (i => copied[idxs.indexOf(i)]?.ref || null));
+  const srcForm = src.catalog.lookup(N('AcroForm'));
+  if (!(srcForm instanceof L.PDFDict)) return copied;
+
+  const ctx    = dest.context;
+  const onPage = new Set();
+  const roots  = new Set();
+  copied.forEach(page => widgets(page).forEach(([ref, w]) => {
+    onPage.add(ref);
+    let top = ref;
+    for (let parent = w.get(N('Parent')), depth = 0; parent instanceof L.PDFRef && depth < 32; depth++) {
+      top    = parent;
+      parent = ctx.lookup(parent).get(N('Parent'));
+    }
+    roots.add(top);
+  }));
+  if (!roots.size) return copied;
+
+  // Kids pointing at widgets on pages that were not copied are dropped
+  const prune = ref => {
+    const node = ctx.lookup(ref);
+    const kids = node instanceof L.PDFDict ? node.lookup(N('Kids')) : null;
+    if (!(kids instanceof L.PDFArray)) return onPage.has(ref);
+    const keep = kids.asArray().filter(prune);
+    node.set(N('Kids'), ctx.obj(keep));
+    return keep.length > 0;
+  };
+
+  const acro  = dest.catalog.getOrCreateAcroForm();
+  const taken = new Set(acro.getFields().map(([f]) => f.getPartialName()).filter(Boolean));
+  roots.forEach(ref => {
+    if (!prune(ref)) return;
+    const field = ctx.lookup(ref);
+    const t     = field.lookup(N('T'));
+    if (t && t.decodeText) {
+      let name = t.decodeText();
+      for (let k = 2; taken.has(name); k++) name = `${t.decodeText()}_${k}`;
+      if (name !== t.decodeText()) field.set(N('T'), L.PDFHexString.fromText(name));
+      taken.add(name);
+    }
+    acro.addField(ref);
+  });
+
+  // Fonts and defaults the copied appearances and /DA strings rely on
+  const copier = L.PDFObjectCopier.for(src.context, ctx);
+  const srcDR  = srcForm.lookup(N('DR'));
+  const destDR = acro.dict.lookup(N('DR'));
+  if (srcDR instanceof L.PDFDict && !(destDR instanceof L.PDFDict)) {
+    acro.dict.set(N('DR'), copier.copy(srcDR));
+  } else if (srcDR instanceof L.PDFDict) {
+    const srcFonts = srcDR.lookup(N('Font'));
+    let destFonts  = destDR.lookup(N('Font'));
+    if (srcFonts instanceof L.PDFDict) {
+      if (!(destFonts instanceof L.PDFDict)) destDR.set(N('Font'), destFonts = ctx.obj({}));
+      srcFonts.entries().forEach(([k, v]) => { if (!destFonts.has(k)) destFonts.set(k, copier.copy(v)); });
+    }
+  }
+  if (!acro.dict.has(N('DA')) && srcForm.has(N('DA'))) acro.dict.set(N('DA'), copier.copy(srcForm.get(N('DA'))));
+  if (srcForm.lookup(N('NeedAppearances')) === L.PDFBool.True) acro.dict.set(N('NeedAppearances'), L.PDFBool.True);
+  return copied;
+}
+
+/* ─── SPLIT ──────────────────────────────────────
+   Every mode produces a list of parts — arrays of 1-based
+   display page numbers — which are cut from the current
+   working document (order, rotations and placed items
+   applied) and zipped when there is more than one.
+─────────────────────────────────────────────────── */
+function updateSplitHint() {
+  $('splitPageCount').textContent = S.totalPages ? `Document has ${S.totalPages} pages` : '';
+}
+
+$('splitMode').addEventListener('change', () => {
+  document.querySelectorAll('.split-opt').forEach(el =>
+    el.classList.toggle('hidden', el.dataset.mode !== $('splitMode').value));
+});
+
+const pageRange = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+/**
+ * Parse "1-3,5,8-" into [[1,3],[5,5],[8,total]] (1-based, inclusive).
+ * Throws on malformed or out-of-range input.
+ */
+function parseRanges(expr, total) {
+  const out = [];
+  for (const raw of expr.split(',')) {
+    const part = raw.trim();
+    if (!part) continue;
+    const m = /^(\d*)\s*-\s*(\d*)$|^(\d+)$/.exec(part);
+    if (!m) throw new Error(`Bad range "${part}"`);
+    const from = m[3] ? +m[3] : (m[1] ? +m[1] : 1);
+    const to   = m[3] ? +m[3] : (m[2] ? +m[2] : total);
+    if (from < 1 || to > total || from > to) throw new Error(`Range "${part}" is outside 1–${total}`);
+    out.push([from, to]);
+  }
+  if (!out.length) throw new Error('Enter at least one page range');
+  return out;
+}
+
+function outlineParts() {
+  if (!S.outline.length) throw new Error('This document has no bookmarks');
+  const starts = [];
+  for (const n of S.outline) {
+    const page = S.pageOrder.indexOf(n.page) + 1;
+    if (page && !starts.some(st => st.page === page)) starts.push({ page, title: n.title });
+  }
+  if (!starts.length) throw new Error('No bookmark points at a page in this document');
+  starts.sort((a, b) => a.page - b.page);
+  if (starts[0].page > 1) starts.unshift({ page: 1, title: 'Front matter' });
+  return starts.map((st, i) => ({
+    pages: pageRange(st.page, i + 1 < starts.length ? starts[i + 1].page - 1 : S.totalPages),
+    title: st.title,
+  }));
+}
+
+/** Fraction of non-white pixels on a low-res render of a display page. */
+async function pageInk(pageNum) {
+  const pg  = await S.pdfJsDoc.getPage(S.pageOrder[pageNum - 1] + 1);
+  const vp  = pg.getViewport({ scale: CFG.BLANK_SCALE });
+  const cv  = document.createElement('canvas');
+  cv.width  = Math.ceil(vp.width);
+  cv.height = Math.ceil(vp.height);
+  const ctx = cv.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, cv.width, cv.height);
+  await pg.render({ canvasContext: ctx, viewport: vp }).promise;
+  const d = ctx.getImageData(0, 0, cv.width, cv.height).data;
+  let ink = 0;
+  for (let i = 0; i < d.length; i += 4) if (d[i] + d[i + 1] + d[i + 2] < 600) ink++;
+  return ink / (d.length / 4);
+}
+
+async function blankParts(maxInk) {
+  const parts = [];
+  let cur = [];
+  for (let p = 1; p <= S.totalPages; p++) {
+    loading(true, `Checking page ${p} / ${S.totalPages}…`);
+    if (await pageInk(p) <= maxInk) {
+      // Blank pages are separators — dropped from the output
+      if (cur.length) parts.push({ pages: cur });
+      cur = [];
+    } else {
+      cur.push(p);
+    }
+  }
+  if (cur.length) parts.push({ pages: cur });
+  if (!parts.length) throw new Error('Every page looks blank');
+  return parts;
+}
+
+async function splitParts() {
+  const mode = $('splitMode').value;
+  if (mode === 'ranges') {
+    return parseRanges($('splitRanges').value, S.totalPages).map(([a, b]) => ({ pages: pageRange(a, b) }));
+  }
+  if (mode === 'every') {
+    const n = parseInt($('splitEvery').value, 10);
+    if (!(n >= 1)) throw new Error('Pages per file must be 1 or more');
+    const parts = [];
+    for (let p = 1; p <= S.totalPages; p += n) parts.push({ pages: pageRange(p, Math.min(p + n - 1, S.totalPages)) });
+    return parts;
+  }
+  if (mode === 'outline') return outlineParts();
+  return blankParts(Math.max(0, parseFloat($('splitBlankInk').value) || 0) / 100);
+}
+
+const baseName = () => (S.fileName || 'document').replace(/\.pdf$/i, '');
+
+function partFileName(template, part, i, count) {
+  const tokens = {
+    name:  baseName(),
+    n:     String(i + 1).padStart(String(count).length, '0'),
+    from:  part.pages[0],
+    to:    part.pages[part.pages.length - 1],
+    title: part.title || `part ${i + 1}`,
+  };
+  const name = template.replace(/\{(\w+)\}/g, (m, k) => (k in tokens ? tokens[k] : m))
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').trim() || `part_${i + 1}`;
+  return /\.pdf$/i.test(name) ? name : `${name}.pdf`;
+}
+
+$('splitBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  loading(true, 'Splitting…');
+  try {
+    const parts = await splitParts();
+    loading(true, `Writing ${parts.length} file(s)…`);
+    const src   = await PDFLib.PDFDocument.load(await rebuild({ flatten: true }), { updateMetadata: false });
+    const marks = readOutline(src);
+    const named = readNamedDests(src);
+    const labels = readPageLabels(src);
+    const tpl   = $('splitTemplate').value || '{name}_{n}';
+    const used  = new Set();
+    const files = [];
+    for (const [i, part] of parts.entries()) {
+      const dest = await PDFLib.PDFDocument.create();
+      const pgs  = await copyPagesWithForms(dest, src, part.pages.map(p => p - 1));
+      pgs.forEach(p => dest.addPage(p));
+      writeOutline(dest, mapOutlinePages(marks, p => part.pages.indexOf(p + 1)));
+      writeNamedDests(dest, named.map(d => ({ ...d, page: part.pages.indexOf(d.page + 1) })));
+      if (labels) writePageLabels(dest, part.pages.map(p => labels[p - 1]));
+      let name = partFileName(tpl, part, i, parts.length);
+      for (let k = 2; used.has(name); k++) name = name.replace(/(?: \(\d+\))?\.pdf$/i, ` (${k}).pdf`);
+      used.add(name);
+      files.push({ name, bytes: await dest.save() });
+    }
+    if (files.length === 1) dlBytes(files[0].bytes, files[0].name);
+    else dlBytes(makeZip(files), `${baseName()}_split.zip`, 'application/zip');
+    $('splitPageCount').textContent = `Document has ${S.totalPages} pages · last split: ${files.length} file(s)`;
+    toast(`Split into ${files.length} file(s)!`, 'success');
+  } catch (e) {
+    console.error('splitBtn error:', e);
+    toast(`Split failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+/* ─── PAGE GRID ──────────────────────────────── */
+let sortable = null;
+
+/** Caption of the i-th grid thumbnail, with the page's label when it isn't just its number. */
+function thumbLabel(i) {
+  const label = S.pageLabels?.[S.pageOrder[i]];
+  return `Page ${i + 1}` + (label && label !== String(i + 1) ? ` · ${label}` : '');
+}
+
+async function renderGrid() {
+  if (!S.pdfJsDoc) return;
+  const grid = $('pageGrid');
+  grid.innerHTML = '';
+  loading(true, 'Rendering thumbnails…');
+  try {
+    for (let i = 0; i < S.pageOrder.length; i++) {
+      const origIdx = S.pageOrder[i];
+      const pg      = await S.pdfJsDoc.getPage(origIdx + 1);
+      const addRot  = S.pageRots[origIdx] || 0;
+      const vp      = pg.getViewport({ scale: CFG.THUMB_SCALE, rotation: (pg.rotate + addRot) % 360 });
+      const cv      = document.createElement('canvas');
+      cv.width = vp.width; cv.height = vp.height;
+      await pg.render({ canvasContext: cv.getContext('2d'), viewport: vp }).promise;
+
+      const thumb = document.createElement('div');
+      thumb.className   = 'page-thumb' + (S.selectedPgs.has(i) ? ' selected' : '');
+      thumb.dataset.idx = i;
+
+      const lbl = document.createElement('div');
+      lbl.className   = 'page-thumb-label';
+      lbl.textContent = thumbLabel(i);
+
+      const chk = document.createElement('div');
+      chk.className = 'page-thumb-select';
+      chk.innerHTML = '<i class="fa-solid fa-check" style="font-size:.6rem"></i>';
+
+      thumb.append(cv, lbl, chk);
+
+      if (addRot) {
+        const rb = document.createElement('div');
+        rb.className   = 'page-rotation-badge';
+        rb.textContent = `${addRot}°`;
+        thumb.appendChild(rb);
+      }
+
+      thumb.addEventListener('click', () => {
+        const idx = +thumb.dataset.idx;
+        if (S.selectedPgs.has(idx)) { S.selectedPgs.delete(idx); thumb.classList.remove('selected'); }
+        else                        { S.selectedPgs.add(idx);    thumb.classList.add('selected'); }
+        updateGridBtns();
+      });
+      grid.appendChild(thumb);
+    }
+
+    if (sortable) sortable.destroy();
+    sortable = Sortable.create(grid, {
+      animation: 150,
+      ghostClass: 'sortable-ghost',
+      onEnd(ev) {
+        if (ev.oldIndex === ev.newIndex) return;
+        pushHistory('Reorder pages');
+        const moved = S.pageOrder.splice(ev.oldIndex, 1)[0];
+        S.pageOrder.splice(ev.newIndex, 0, moved);
+        grid.querySelectorAll('.page-thumb').forEach((el, i) => {
+          el.dataset.idx = i;
+          el.querySelector('.page-thumb-label').textContent = thumbLabel(i);
+        });
+        S.selectedPgs.clear();
+        toast('Reordered. Download to save.', 'info');
+      },
+    });
+  } finally { loading(false); }
+  updateGridBtns();
+}
+
+function updateGridBtns() {
+  const has = S.selectedPgs.size > 0;
+  $('deleteSelectedBtn').disabled = !has;
+  $('rotateLeftBtn').disabled     = !has;
+  $('rotateRightBtn').disabled    = !has;
+  $('duplicateBtn').disabled      = !has;
+}
+
+$('selectAllBtn').addEventListener('click', () => {
+  S.pageOrder.forEach((_, i) => S.selectedPgs.add(i));
+  document.querySelectorAll('.page-thumb').forEach(t => t.classList.add('selected'));
+  updateGridBtns();
+});
+$('deselectAllBtn').addEventListener('click', () => {
+  S.selectedPgs.clear();
+  document.querySelectorAll('.page-thumb').forEach(t => t.classList.remove('selected'));
+  updateGridBtns();
+});
+$('deleteSelectedBtn').addEventListener('click', async () => {
+  if (!S.selectedPgs.size || S.selectedPgs.size >= S.pageOrder.length) {
+    toast('Cannot delete all pages.', 'error'); return;
+  }
+  if (!confirm(`Delete ${S.selectedPgs.size} page(s)?`)) return;
+  pushHistory(`Delete ${S.selectedPgs.size} page(s)`);
+  [...S.selectedPgs].sort((a, b) => b - a).forEach(i => S.pageOrder.splice(i, 1));
+  S.selectedPgs.clear();
+  S.totalPages = S.pageOrder.length;
+  S.curPage    = Math.min(S.curPage, S.totalPages);
+  updateNav(); updateSplitHint();
+  await renderGrid(); previewMain(S.curPage);
+  toast('Deleted.', 'success');
+});
+async function rotateSel(deg) {
+  if (!S.selectedPgs.size) return;
+  const cnt = S.selectedPgs.size;
+  pushHistory(`Rotate ${cnt} page(s) ${deg > 0 ? 'right' : 'left'}`);
+  S.selectedPgs.forEach(i => {
+    const orig = S.pageOrder[i];
+    S.pageRots[orig] = ((S.pageRots[orig] || 0) + deg + 360) % 360;
+  });
+  S.selectedPgs.clear();
+  await renderGrid(); previewMain(S.curPage);
+  toast(`Rotated ${cnt} page(s).`, 'success');
+}
+$('rotateLeftBtn').addEventListener('click',  () => rotateSel(-90));
+$('rotateRightBtn').addEventListener('click', () => rotateSel(90));
+
+/* New pages are added to a rebuilt copy and applied as an edit,
+   like Merge into the open document: from then on they are
+   ordinary pages of rawBytes that undo, rotate, move and delete
+   like any other. */
+
+/** [width, height] for a page added before display index at of doc. */
+function newPageSize(doc, at, size) {
+  if (size !== 'match') return [...PDFLib.PageSizes[size]];
+  const page = doc.getPage(Math.min(Math.max(at - 1, 0), doc.getPageCount() - 1));
+  const { width, height } = page.getCropBox();
+  // As the neighbour is displayed — the new page itself is not rotated
+  return page.getRotation().angle % 180 ? [height, width] : [width, height];
+}
+
+/** Display indices 0…n-1 with count new pages (null) before index at. */
+const layoutWith = (n, at, count) => [...pageRange(0, at - 1), ...Array(count).fill(null), ...pageRange(at, n - 1)];
+
+/**
+ * Add pages to the working document. fill(doc, bytes) adds them to
+ * a rebuilt copy and returns its page layout: the old display index
+ * of every page, null for the new ones. Selects the new pages.
+ */
+async function insertPages(label, fill) {
+  const bytes  = await rebuild();
+  const doc    = await PDFLib.PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  const labels = readPageLabels(doc);
+  const layout = await fill(doc, bytes);
+  const added  = layout.flatMap((old, i) => (old === null ? [i] : []));
+  if (!added.length) return 0;
+  if (labels) writePageLabels(doc, layout.map(old => (old === null ? null : labels[old])));
+  await applyEdit(await doc.save(), label(added.length), S.pageOrder.map((_, i) => layout.indexOf(i)));
+  S.selectedPgs.clear();
+  added.forEach(i => S.selectedPgs.add(i));
+  await renderGrid();
+  return added.length;
+}
+
+/** Insert the pages of PDF and PNG / JPEG files before display index at. */
+async function insertFiles(files, at) {
+  const n = S.pageOrder.length;
+  return insertPages(k => `Insert ${k} page(s)`, async doc => {
+    const outline = readOutline(doc);
+    const [w, h]  = newPageSize(doc, at, 'match');
+    const marks   = [];
+    let count = 0;
+    for (const f of files) {
+      if (f.type === 'application/pdf') {
+        if (!okSize(f)) continue;
+        const opened = await unlockPdf(new Uint8Array(await f.arrayBuffer()), f.name);
+        if (!opened) { toast(`Skipped (no password): ${f.name}`, 'info'); continue; }
+        const src    = await PDFLib.PDFDocument.load(opened.bytes.slice(), { updateMetadata: false });
+        const copied = await copyPagesWithForms(doc, src, src.getPageIndices());
+        copied.forEach((page, k) => doc.insertPage(at + count + k, page));
+        marks.push(...mapOutlinePages(readOutline(src), p => at + count + p));
+        count += copied.length;
+      } else if (f.type === 'image/png' || f.type === 'image/jpeg') {
+        if (!okSize(f)) continue;
+        const bytes = new Uint8Array(await f.arrayBuffer());
+        const img   = f.type === 'image/png' ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+        // Neighbour's size, turned to the image's orientation; the image is fitted and centered
+        const [pw, ph] = (img.width > img.height) === (w > h) ? [w, h] : [h, w];
+        const s     = Math.min(pw / img.width, ph / img.height);
+        const page  = doc.insertPage(at + count, [pw, ph]);
+        page.drawImage(img, { x: (pw - img.width * s) / 2, y: (ph - img.height * s) / 2, width: img.width * s, height: img.height * s });
+        count++;
+      } else {
+        toast(`Not a PDF, PNG or JPEG: ${f.name}`, 'error');
+      }
+    }
+    if (count) writeOutline(doc, [...mapOutlinePages(outline, p => (p < at ? p : p + count)), ...marks]);
+    return layoutWith(n, at, count);
+  });
+}
+
+$('insertBlankBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  const n  = S.pageOrder.length;
+  const at = S.selectedPgs.size ? Math.max(...S.selectedPgs) + 1 : n;
+  loading(true, 'Inserting page…');
+  try {
+    await insertPages(() => 'Insert blank page', doc => {
+      doc.insertPage(at, newPageSize(doc, at, $('blankSize').value));
+      return layoutWith(n, at, 1);
+    });
+    toast(`Blank page inserted as page ${at + 1}.`, 'success');
+  } catch (e) {
+    console.error('insertBlankBtn error:', e);
+    toast(`Insert failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+$('duplicateBtn').addEventListener('click', async () => {
+  const sel = [...S.selectedPgs].sort((a, b) => a - b);
+  if (!sel.length) return;
+  loading(true, 'Duplicating…');
+  try {
+    const count = await insertPages(k => `Duplicate ${k} page(s)`, async (doc, bytes) => {
+      // Copies come from a second load so their form fields become fields of their own
+      const src    = await PDFLib.PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+      // Their links keep pointing at the original pages
+      const refs   = doc.getPages().map(p => p.ref);
+      const copies = await copyPagesWithForms(doc, src, sel, i => refs[i]);
+      copies.forEach((page, k) => doc.insertPage(sel[k] + 1 + k, page));
+      return S.pageOrder.flatMap((_, i) => (sel.includes(i) ? [i, null] : [i]));
+    });
+    toast(`Duplicated ${count} page(s).`, 'success');
+  } catch (e) {
+    console.error('duplicateBtn error:', e);
+    toast(`Duplicate failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+/* Files dropped on the grid go in before or after the thumbnail under the pointer */
+function gridDropIndex(e) {
+  const thumbs = [...$('pageGrid').querySelectorAll('.page-thumb')];
+  const over   = e.target.closest && e.target.closest('.page-thumb');
+  if (!over) return { at: thumbs.length, thumb: thumbs[thumbs.length - 1], after: true };
+  const r     = over.getBoundingClientRect();
+  const after = e.clientX > r.left + r.width / 2;
+  return { at: +over.dataset.idx + (after ? 1 : 0), thumb: over, after };
+}
+
+function clearDropMark() {
+  $('pageGrid').querySelectorAll('.drop-before, .drop-after').forEach(t => t.classList.remove('drop-before', 'drop-after'));
+}
+
+const hasFiles = e => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+
+$('pageGrid').addEventListener('dragover', e => {
+  if (!hasFiles(e) || !S.rawBytes) return;
+  e.preventDefault();
+  const { thumb, after } = gridDropIndex(e);
+  clearDropMark();
+  if (thumb) thumb.classList.add(after ? 'drop-after' : 'drop-before');
+});
+$('pageGrid').addEventListener('dragleave', e => {
+  if (!$('pageGrid').contains(e.relatedTarget)) clearDropMark();
+});
+$('pageGrid').addEventListener('drop', async e => {
+  if (!hasFiles(e) || !S.rawBytes) return;
+  e.preventDefault();
+  clearDropMark();
+  const { at } = gridDropIndex(e);
+  loading(true, 'Inserting pages…');
+  try {
+    const count = await insertFiles([...e.dataTransfer.files], at);
+    if (count) toast(`Inserted ${count} page(s) as page ${at + 1}${count > 1 ? `–${at + count}` : ''}.`, 'success');
+  } catch (err) {
+    console.error('pageGrid drop error:', err);
+    toast(`Insert failed: ${err.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+/* ─── PAGE LAYOUT ────────────────────────────────
+   Crop and trim set each page's CropBox; resize maps the
+   crop box onto a new MediaBox with a cm in front of the
+   content and moves the annotations along. Page space is
+   measured from the crop box, so placed items are shifted
+   and scaled with the page to stay on the same content.
+   Print sheets embed the flattened pages as form XObjects
+   and replace the document.
+─────────────────────────────────────────────────── */
+const TRIM_WHITE = 720;                                     // r + g + b above this is paper, not content
+const NUP_GRID   = { 2: [2, 1], 4: [2, 2], booklet: [2, 1] };   // columns × rows of pages per sheet
+const boxTop     = b => b.y + b.height;
+
+/** 0-based display pages the crop, trim and resize tools work on. */
+function layoutTargets() {
+  const scope = $('layoutScope').value;
+  if (scope === 'all')  return pageRange(0, S.pageOrder.length - 1);
+  if (scope === 'page') return [S.curPage - 1];
+  if (!S.selectedPgs.size) throw new Error('Select pages in Manage Pages first');
+  return [...S.selectedPgs].sort((a, b) => a - b);
+}
+
+/**
+ * Run fn(page) on display pages idxs of a rebuilt copy and apply
+ * the result as one edit. fn returns how page space moved, as
+ * [scale, dx, dy], or null when it left the page alone.
+ */
+async function editPages(label, idxs, fn) {
+  const doc   = await PDFLib.PDFDocument.load(await rebuild(), { ignoreEncryption: true, updateMetadata: false });
+  const moves = new Map();
+  for (const i of idxs) {
+    const mv = await fn(doc.getPage(i), i);
+    if (mv) moves.set(i, mv);
+  }
+  if (!moves.size) return 0;
+  await applyEdit(await doc.save(), label(moves.size));
+  // applyEdit put the items on display indices
+  S.items.forEach(it => {
+    const mv = moves.get(it.page);
+    if (!mv) return;
+    const [s, dx, dy] = mv;
+    Object.assign(it, { x: it.x * s + dx, top: it.top * s + dy, w: it.w * s, h: it.h * s });
+    if (it.size) it.size *= s;
+  });
+  drawOverlay();
+  return moves.size;
+}
+
+/** Crop page to page-space box b, within its current crop box. */
+function cropTo(page, b) {
+  const cb = page.getCropBox();
+  const x0 = Math.max(0, b.x), y0 = Math.max(0, b.top);
+  const x1 = Math.min(cb.width, b.x + b.w), y1 = Math.min(cb.height, b.top + b.h);
+  if (x1 - x0 < 1 || y1 - y0 < 1) return null;
+  page.setCropBox(cb.x + x0, boxTop(cb) - y1, x1 - x0, y1 - y0);
+  return [1, -x0, -y0];
+}
+
+function uncrop(page) {
+  const mb = page.getMediaBox(), cb = page.getCropBox();
+  if (['x', 'y', 'width', 'height'].every(k => Math.abs(mb[k] - cb[k]) < 0.01)) return null;
+  page.setCropBox(mb.x, mb.y, mb.width, mb.height);
+  return [1, cb.x - mb.x, boxTop(mb) - boxTop(cb)];
+}
+
+/** Page-space box around the rendered content of display page i; null when blank. */
+async function contentBox(i) {
+  const pg  = await S.pdfJsDoc.getPage(S.pageOrder[i] + 1);
+  const vp  = pg.getViewport({ scale: CFG.TRIM_SCALE, rotation: 0 });
+  const cv  = document.createElement('canvas');
+  cv.width  = Math.ceil(vp.width);
+  cv.height = Math.ceil(vp.height);
+  const ctx = cv.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, cv.width, cv.height);
+  await pg.render({ canvasContext: ctx, viewport: vp }).promise;
+  const d = ctx.getImageData(0, 0, cv.width, cv.height).data;
+  let x0 = cv.width, y0 = cv.height, x1 = -1, y1 = -1;
+  for (let y = 0; y < cv.height; y++) {
+    for (let x = 0; x < cv.width; x++) {
+      const k = (y * cv.width + x) * 4;
+      if (d[k] + d[k + 1] + d[k + 2] > TRIM_WHITE) continue;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      y1 = y;
+    }
+  }
+  if (x1 < 0) return null;
+  const s = CFG.TRIM_SCALE;
+  return { x: x0 / s, top: y0 / s, w: (x1 + 1 - x0) / s, h: (y1 + 1 - y0) / s };
+}
+
+/** Map annotation geometry through m, a scale-and-move matrix. */
+function transformAnnots(page, m) {
+  const L   = PDFLib;
+  const N   = k => L.PDFName.of(k);
+  const ctx = page.doc.context;
+  const arr = page.node.Annots();
+  if (!arr) return;
+  const nums = v => (v instanceof L.PDFArray ? v.asArray().map(n => ctx.lookup(n)) : []);
+  const move = v => {
+    const xs = nums(v).map(n => (n instanceof L.PDFNumber ? n.asNumber() : 0));
+    return ctx.obj(xs.map((n, k) => (k % 2 ? m[3] * n + m[5] : m[0] * n + m[4])));
+  };
+  arr.asArray().forEach(ref => {
+    const a = ctx.lookup(ref);
+    if (!(a instanceof L.PDFDict)) return;
+    ['Rect', 'QuadPoints', 'L', 'Vertices', 'CL'].forEach(k => {
+      const v = a.lookup(N(k));
+      if (v instanceof L.PDFArray) a.set(N(k), move(v));
+    });
+    const ink = a.lookup(N('InkList'));
+    if (ink instanceof L.PDFArray) a.set(N('InkList'), ctx.obj(nums(ink).map(move)));
+  });
+}
+
+/** Scale page's crop box onto a fresh page of paper size [w, h], fitted or filled and centered. */
+function resizePage(page, [w, h], fill) {
+  const L  = PDFLib;
+  const cb = page.getCropBox();
+  // Paper turned like the page; /Rotate then shows both the same way
+  const [pw, ph] = cb.width > cb.height ? [Math.max(w, h), Math.min(w, h)] : [Math.min(w, h), Math.max(w, h)];
+  const s  = (fill ? Math.max : Math.min)(pw / cb.width, ph / cb.height);
+  const ox = (pw - cb.width * s) / 2, oy = (ph - cb.height * s) / 2;
+  const m  = [s, 0, 0, s, ox - s * cb.x, oy - s * cb.y];
+  const fmt = n => +n.toFixed(4);
+  const ctx = page.doc.context;
+  // Clipped to the old crop box so nothing it hid shows up in the new margins
+  const head = ctx.register(ctx.stream(`q ${m.map(fmt).join(' ')} cm ${[cb.x, cb.y, cb.width, cb.height].map(fmt).join(' ')} re W n\n`));
+  const tail = ctx.register(ctx.stream('\nQ\n'));
+  page.node.wrapContentStreams(head, tail);
+  transformAnnots(page, m);
+  ['CropBox', 'BleedBox', 'TrimBox', 'ArtBox'].forEach(k => page.node.delete(L.PDFName.of(k)));
+  page.setMediaBox(0, 0, pw, ph);
+  return [s, ox, oy];
+}
+
+/** Reading order of the pages of a saddle-stitched booklet, null for padding blanks. */
+function bookletOrder(n) {
+  const m   = Math.ceil(n / 4) * 4;
+  const at  = i => (i < n ? i : null);
+  const out = [];
+  // Each sheet: outside (last, first), inside (second, second-to-last)
+  for (let i = 0; i < m / 2; i += 2) out.push(at(m - 1 - i), at(i), at(i + 1), at(m - 2 - i));
+  return out;
+}
+
+/** Draw embedded page emb, shown turned by rot like its page, fitted and centered in a cell. */
+function placeCell(sheet, emb, rot, X, Y, cw, ch) {
+  const turned = rot % 180 !== 0;
+  const dw  = turned ? emb.height : emb.width, dh = turned ? emb.width : emb.height;
+  const s   = Math.min(cw / dw, ch / dh);
+  const rad = -rot * Math.PI / 180, cos = Math.cos(rad), sin = Math.sin(rad);
+  // drawPage turns about the embedded page's origin: find where its corners end up
+  const corners = [[0, 0], [emb.width, 0], [0, emb.height], [emb.width, emb.height]];
+  const minX = Math.min(...corners.map(([x, y]) => (x * cos - y * sin) * s));
+  const minY = Math.min(...corners.map(([x, y]) => (x * sin + y * cos) * s));
+  sheet.drawPage(emb, {
+    x: X + (cw - dw * s) / 2 - minX, y: Y + (ch - dh * s) / 2 - minY,
+    xScale: s, yScale: s, rotate: PDFLib.degrees(-rot),
+  });
+}
+
+/** The working document imposed on sheets: 2 or 4 pages per sheet, or a booklet. */
+async function imposeSheets(mode, paper) {
+  const L     = PDFLib;
+  const src   = await L.PDFDocument.load(await rebuild({ flatten: true }), { ignoreEncryption: true, updateMetadata: false });
+  const out   = await L.PDFDocument.create({ updateMetadata: false });
+  copyDocMetadata(out, src);
+  const pages = src.getPages();
+  const boxes = pages.map(p => { const cb = p.getCropBox(); return { left: cb.x, bottom: cb.y, right: cb.x + cb.width, top: boxTop(cb) }; });
+  const embs  = await out.embedPages(pages, boxes);
+  const [cols, rows] = NUP_GRID[mode];
+  const [a, b] = L.PageSizes[paper];
+  const [W, H] = cols > rows ? [Math.max(a, b), Math.min(a, b)] : [Math.min(a, b), Math.max(a, b)];
+  const cw = W / cols, ch = H / rows, per = cols * rows;
+  const order = mode === 'booklet' ? bookletOrder(pages.length) : pages.map((_, i) => i);
+  for (let k = 0; k < order.length; k += per) {
+    const sheet = out.addPage([W, H]);
+    order.slice(k, k + per).forEach((i, c) => {
+      if (i === null) return;
+      const rot = ((pages[i].getRotation().angle % 360) + 360) % 360;
+      placeCell(sheet, embs[i], rot, (c % cols) * cw, H - (Math.floor(c / cols) + 1) * ch, cw, ch);
+    });
+  }
+  return out.save();
+}
+
+/* Crop box on the preview */
+function drawCropBox(ctx, m) {
+  const b = S.cropBox;
+  if (!b || !$('panel-layout').classList.contains('active')) return;
+  const [x0, y0, x1, y1] = S.view.view;
+  ctx.save();
+  ctx.setTransform(...m);
+  ctx.fillStyle = 'rgba(0,0,0,.35)';
+  ctx.beginPath();
+  ctx.rect(0, 0, x1 - x0, y1 - y0);
+  ctx.rect(b.x, b.top, b.w, b.h);
+  ctx.fill('evenodd');
+  ctx.strokeStyle = '#4f8ef7'; ctx.lineWidth = 1.5; ctx.setLineDash([6, 3]);
+  ctx.strokeRect(b.x, b.top, b.w, b.h);
+  ctx.restore();
+}
+
+function loadCropFields() {
+  const b = S.cropBox;
+  [['cropX', 'x'], ['cropY', 'top'], ['cropW', 'w'], ['cropH', 'h']].forEach(([id, k]) => { $(id).value = b ? Math.round(b[k]) : ''; });
+}
+
+function finishCropDraw() {
+  const { start: [x0, y0], end: [x1, y1] } = S.boxDraw;
+  S.boxDraw = null;
+  const w = Math.abs(x1 - x0), h = Math.abs(y1 - y0);
+  setPlaceMode(null);
+  if (w < 4 || h < 4) { toast('Drag a larger box.', 'error'); return; }
+  S.cropBox = { x: Math.min(x0, x1), top: Math.min(y0, y1), w, h };
+  loadCropFields();
+  drawOverlay();
+}
+
+$('cropDrawBtn').addEventListener('click', () => setPlaceMode('crop', 'cropDrawBtn'));
+
+['cropX', 'cropY', 'cropW', 'cropH'].forEach(id => $(id).addEventListener('input', () => {
+  const [x, top, w, h] = ['cropX', 'cropY', 'cropW', 'cropH'].map(k => parseFloat($(k).value));
+  if ([x, top, w, h].every(Number.isFinite) && w > 0 && h > 0) S.cropBox = { x, top, w, h };
+  drawOverlay();
+}));
+
+/** Click handler running a page edit with the usual loading / error handling. */
+const layoutAction = (btn, busy, what, run) => $(btn).addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  loading(true, busy);
+  try {
+    await run();
+  } catch (e) {
+    console.error(`${btn} error:`, e);
+    toast(`${what} failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+layoutAction('cropApplyBtn', 'Cropping…', 'Crop', async () => {
+  const b = S.cropBox;
+  if (!b) throw new Error('draw a crop box on the preview first');
+  const n = await editPages(k => `Crop ${k} page(s)`, layoutTargets(), page => cropTo(page, b));
+  S.cropBox = null;
+  loadCropFields();
+  drawOverlay();
+  toast(n ? `Cropped ${n} page(s).` : 'The box is outside the page(s).', n ? 'success' : 'error');
+});
+
+layoutAction('cropResetBtn', 'Uncropping…', 'Uncrop', async () => {
+  const n = await editPages(k => `Uncrop ${k} page(s)`, layoutTargets(), uncrop);
+  toast(n ? `Restored the full page on ${n} page(s).` : 'Not cropped.', 'info');
+});
+
+layoutAction('trimBtn', 'Trimming…', 'Trim', async () => {
+  const idxs  = layoutTargets();
+  const pad   = Math.max(0, parseFloat($('trimPad').value) || 0);
+  const boxes = new Map();
+  for (const i of idxs) boxes.set(i, await contentBox(i));
+  const n = await editPages(k => `Trim ${k} page(s)`, idxs, (page, i) => {
+    const b = boxes.get(i);
+    return b && cropTo(page, { x: b.x - pad, top: b.top - pad, w: b.w + 2 * pad, h: b.h + 2 * pad });
+  });
+  toast(n ? `Trimmed ${n} page(s).` : 'Nothing to trim.', n ? 'success' : 'info');
+});
+
+layoutAction('resizeBtn', 'Resizing…', 'Resize', async () => {
+  const size = $('resizeSize').value;
+  const fill = $('resizeMode').value === 'fill';
+  const n = await editPages(k => `Resize ${k} page(s) to ${size}`, layoutTargets(),
+    page => resizePage(page, PDFLib.PageSizes[size], fill));
+  toast(`Resized ${n} page(s) to ${size}.`, 'success');
+});
+
+layoutAction('nupBtn', 'Imposing…', 'Print sheets', async () => {
+  const mode  = $('nupMode').value;
+  const bytes = await imposeSheets(mode, $('nupSheet').value);
+  const count = S.pageOrder.length;
+  await applyEdit(bytes, mode === 'booklet' ? `Booklet of ${count} page(s)` : `${mode} pages per sheet`);
+  // Placed objects and form values are part of the sheets now
+  S.items = []; S.selItem = null; S.formValues = {};
+  updateItemUi();
+  drawOverlay();
+  toast(`${count} page(s) on ${S.totalPages} sheet side(s).`, 'success');
+});
+
+/* ─── TEXT OVERLAY ───────────────────────────────
+   Text items: { text, size, color, font, bold, italic, align,
+   lineH, wrap, rotate, opacity }. font names a standard family
+   or 'user:N', a TTF / OTF uploaded this session, embedded as
+   a subset on output. Lines are measured with the PDF font's
+   own metrics, so wrapping and alignment on the preview match
+   the output. wrap is the box width in points (0: lines only
+   break at newlines); rotate turns the box about its center,
+   counter-clockwise like PDF.
+─────────────────────────────────────────────────── */
+const STD_FAMILIES = {
+  // Faces by bold + 2 × italic
+  Helvetica: { css: FONT_CSS,                           faces: ['Helvetica', 'HelveticaBold', 'HelveticaOblique', 'HelveticaBoldOblique'] },
+  Times:     { css: '"Times New Roman", Times, serif',  faces: ['TimesRoman', 'TimesRomanBold', 'TimesRomanItalic', 'TimesRomanBoldItalic'] },
+  Courier:   { css: '"Courier New", Courier, monospace', faces: ['Courier', 'CourierBold', 'CourierOblique', 'CourierBoldOblique'] },
+};
+const userFonts = new Map();   // 'user:N' → { name, bytes, family, fk }
+const textFaces = new Map();   // face key → { css, width(s) at size 1, has(ch), std }
+let userFontSeq = 0;
+
+/** Metrics and canvas font of an item's face. */
+function textFace(it) {
+  const user = userFonts.get(it.font);
+  const fam  = STD_FAMILIES[it.font] || STD_FAMILIES.Helvetica;
+  const key  = user ? it.font : fam.faces[+!!it.bold + 2 * !!it.italic];
+  let face = textFaces.get(key);
+  if (face) return face;
+  if (user) {
+    const upm = user.fk.unitsPerEm;
+    face = {
+      css:   `"${user.family}"`,
+      width: s => user.fk.layout(s).advanceWidth / upm,
+      has:   ch => user.fk.hasGlyphForCodePoint(ch.codePointAt(0)),
+    };
+  } else {
+    const emb = PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts[key]);
+    const has = ch => { try { emb.encodeText(ch); return true; } catch (e) { return false; } };
+    face = {
+      std:   PDFLib.StandardFonts[key],
+      css:   `${it.italic ? 'italic ' : ''}${it.bold ? 'bold ' : ''}%spx ${fam.css}`,
+      // Characters WinAnsi lacks are measured as the '?' they would need instead
+      width: s => emb.widthOfTextAtSize(Array.from(s, ch => (has(ch) ? ch : '?')).join(''), 1),
+      has,
+    };
+  }
+  textFaces.set(key, face);
+  return face;
+}
+
+const canvasFont = (face, size) => (face.std ? face.css.replace('%s', size) : `${size}px ${face.css}`);
+
+/** Characters of the item's text its font cannot show, space separated. */
+function missingChars(it) {
+  const face = textFace(it);
+  return [...new Set(it.text.replace(/\n/g, ''))].filter(ch => !face.has(ch)).join(' ');
+}
+
+function wrapPara(para, max, width) {
+  const lines = [];
+  let line = '';
+  for (const word of para.match(/\S+\s*|\s+/g) || []) {
+    if (width((line + word).trimEnd()) <= max) { line += word; continue; }
+    if (line) lines.push(line.trimEnd());
+    line = '';
+    // Words longer than the box, and scripts written without spaces, break anywhere
+    for (const ch of word) {
+      if (line && width((line + ch).trimEnd()) > max) { lines.push(line.trimEnd()); line = ''; }
+      line += ch;
+    }
+  }
+  lines.push(line.trimEnd());
+  return lines;
+}
+
+/** Lines with their offset from the box's left edge and baseline from its top. */
+function textLines(it) {
+  const face  = textFace(it);
+  const width = s => face.width(s) * it.size;
+  const lines = it.text.split('\n').flatMap(p => (it.wrap > 0 ? wrapPara(p, it.wrap, width) : [p]))
+    .map(text => ({ text, width: width(text) }));
+  const boxW  = it.wrap > 0 ? it.wrap : Math.max(...lines.map(l => l.width), it.size * 0.5);
+  const shift = { left: 0, center: 0.5, right: 1 }[it.align] || 0;
+  return lines.map((l, i) => ({
+    ...l, dx: (boxW - l.width) * shift, baseline: it.size * (1 + i * it.lineH),
+  }));
+}
+
+function measureText(it) {
+  const lines = textLines(it);
+  it.w = it.wrap > 0 ? it.wrap : Math.max(...lines.map(l => l.width), it.size * 0.5);
+  it.h = it.size * (it.lineH * (lines.length - 1) + 1.2);
+}
+
+function drawTextItem(ctx, it) {
+  const face = textFace(it);
+  ctx.translate(it.x + it.w / 2, it.top + it.h / 2);
+  ctx.rotate(-(it.rotate || 0) * Math.PI / 180);
+  ctx.globalAlpha = it.opacity;
+  ctx.fillStyle   = it.color;
+  ctx.font        = canvasFont(face, it.size);
+  textLines(it).forEach(l => ctx.fillText(l.text, l.dx - it.w / 2, l.baseline - it.h / 2));
+}
+
+/** Draw a text item on page; fonts caches the embedded fonts of doc. */
+async function drawTextPdf(doc, page, it, left, topY, fonts) {
+  const L    = PDFLib;
+  const lost = missingChars(it);
+  if (lost) throw new Error(`The font of text "${it.text.slice(0, 20)}" lacks ${lost} — upload a font that has them`);
+  const face = textFace(it);
+  const key  = face.std || it.font;
+  if (!fonts.has(key)) {
+    if (face.std) fonts.set(key, await doc.embedFont(face.std));
+    else {
+      doc.registerFontkit(fontkit);
+      fonts.set(key, await doc.embedFont(userFonts.get(it.font).bytes, { subset: true }));
+    }
+  }
+  const col = hexToRgb(it.color);
+  const rad = (it.rotate || 0) * Math.PI / 180, cos = Math.cos(rad), sin = Math.sin(rad);
+  const cx  = left + it.w / 2, cy = topY - it.h / 2;
+  textLines(it).forEach(l => {
+    if (!l.text) return;
+    // Offset from the box center, y down, turned counter-clockwise in PDF space
+    const ox = l.dx - it.w / 2, oy = l.baseline - it.h / 2;
+    page.drawText(l.text, {
+      x: cx + ox * cos + oy * sin, y: cy + ox * sin - oy * cos,
+      size: it.size, font: fonts.get(key), rotate: L.degrees(it.rotate || 0), opacity: it.opacity,
+      color: L.rgb(col.r / 255, col.g / 255, col.b / 255),
+    });
+  });
+}
+
+/* Panel */
+function loadTextFields(it) {
+  $('overlayText').value = it.text;
+  $('textSize').value    = +it.size.toFixed(1);
+  $('textColor').value   = it.color;
+  $('textFont').value    = it.font;
+  $('textBold').checked  = it.bold;
+  $('textItalic').checked = it.italic;
+  $('textAlign').value   = it.align;
+  $('textLineH').value   = it.lineH;
+  $('textWrap').value    = Math.round(it.wrap);
+  $('textRotate').value  = it.rotate;
+  $('textOpacity').value = Math.round(it.opacity * 100);
+  updateTextFontUi();
+}
+
+function readTextFields(it, num) {
+  it.text    = $('overlayText').value || ' ';
+  it.size    = Math.max(1, num('textSize', it.size));
+  it.color   = $('textColor').value;
+  it.font    = $('textFont').value;
+  it.bold    = $('textBold').checked;
+  it.italic  = $('textItalic').checked;
+  it.align   = $('textAlign').value;
+  it.lineH   = Math.min(5, Math.max(0.5, num('textLineH', it.lineH)));
+  it.wrap    = Math.max(0, num('textWrap', it.wrap));
+  it.rotate  = num('textRotate', it.rotate) % 360;
+  it.opacity = Math.min(1, Math.max(0.05, num('textOpacity', it.opacity * 100) / 100));
+  updateTextFontUi();
+}
+
+// Uploaded fonts come in one face; bold and italic are separate files
+function updateTextFontUi() {
+  const user = userFonts.has($('textFont').value);
+  ['textBold', 'textItalic'].forEach(id => { $(id).disabled = user; });
+}
+
+$('textFont').addEventListener('change', updateTextFontUi);
+
+$('textFontInput').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  if (!file) return;
+  loading(true, 'Loading font…');
+  try {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let fk;
+    try { fk = fontkit.create(bytes); } catch (err) { throw new Error('not a TrueType or OpenType font'); }
+    if (!fk.unitsPerEm || fk.fonts) throw new Error('font collections are not supported, pick a single font');
+    const id     = `user:${++userFontSeq}`;
+    const family = `user-font-${userFontSeq}`;
+    document.fonts.add(await new FontFace(family, bytes).load());
+    const name = fk.fullName || fk.familyName || file.name.replace(/\.\w+$/, '');
+    userFonts.set(id, { name, bytes, family, fk });
+    ['textFont', 'stampFont'].forEach(sel => $(sel).appendChild(new Option(name, id)));
+    $('textFont').value = id;
+    // A selected text item takes the new font, like any other panel edit
+    $('textFont').dispatchEvent(new Event('input'));
+    updateTextFontUi();
+    toast(`Font ${name} ready.`, 'success');
+  } catch (err) {
+    console.error('textFontInput error:', err);
+    toast(`Font failed: ${err.message}`, 'error');
+  } finally {
+    e.target.value = '';
+    loading(false);
+  }
+});
+
+$('addTextBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  const text = $('overlayText').value.trim();
+  if (!text) { toast('Enter some text first.', 'error'); return; }
+  const pgNum = parseInt($('textPage').value, 10);
+  if (!okPage(pgNum)) return;
+  const it = {
+    kind:  'text',
+    page:  S.pageOrder[pgNum - 1],
+    x:     parseFloat($('textX').value) || 0,
+    top:   parseFloat($('textY').value) || 0,
+    size:  24, lineH: LINE_H, wrap: 0, rotate: 0, opacity: 1,
+  };
+  readTextFields(it, (id, d) => { const v = parseFloat($(id).value); return Number.isFinite(v) ? v : d; });
+  it.text = text;
+  const lost = missingChars(it);
+  if (lost) { toast(`${$('textFont').selectedOptions[0].text} lacks ${lost} — upload a font that has them.`, 'error'); return; }
+  await addItem(it);
+  toast('Text placed — drag to move, download to apply.', 'success');
+});
+
+/* ─── IMAGE OVERLAY ──────────────────────────── */
+$('addImageBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  const fi = $('overlayImageInput');
+  if (!fi.files[0]) { toast('Select an image file.', 'error'); return; }
+  const f     = fi.files[0];
+  if (f.type !== 'image/png' && f.type !== 'image/jpeg') { toast('Image must be PNG or JPEG.', 'error'); return; }
+  const pgNum = parseInt($('imgPage').value, 10);
+  if (!okPage(pgNum)) return;
+  const bytes = new Uint8Array(await f.arrayBuffer());
+  await addItem({
+    kind:  'image',
+    page:  S.pageOrder[pgNum - 1],
+    x:     parseFloat($('imgX').value) || 0,
+    top:   parseFloat($('imgY').value) || 0,
+    w:     parseFloat($('imgW').value) || 150,
+    h:     parseFloat($('imgH').value) || 100,
+    bytes, mime: f.type,
+    img:   imageElement(bytes, f.type),
+  });
+  toast('Image placed — drag to move, download to apply.', 'success');
+});
+
+/* ─── STAMPS ─────────────────────────────────────
+   Watermarks, headers / footers and Bates numbers are burned
+   into one rebuilt copy and applied as a single undoable edit.
+   Layout happens on the page as displayed — the crop box turned
+   by /Rotate — so a footer lands at the visible bottom of a
+   landscape scan too. Text goes through drawTextPdf, so the
+   fonts uploaded in Add Text work here as well.
+─────────────────────────────────────────────────── */
+const HF_SLOTS  = { Left: 0, Center: 0.5, Right: 1 };   // share of the free width left of the text
+const TILE_GAP  = 0.3;                                  // space between tiles, share of a tile
+
+$('stampWmType').addEventListener('change', () => {
+  document.querySelectorAll('.stamp-opt').forEach(el =>
+    el.classList.toggle('hidden', !el.dataset.type.split(' ').includes($('stampWmType').value)));
+});
+
+// Like Add Text: an uploaded font is a single face
+$('stampFont').addEventListener('change', () => { $('stampBold').disabled = userFonts.has($('stampFont').value); });
+
+$('stampPages').addEventListener('change', () => {
+  document.querySelector('.stamp-range').classList.toggle('hidden', $('stampPages').value !== 'range');
+});
+
+/** 1-based display pages the stamp goes on. */
+function stampTargets() {
+  const mode = $('stampPages').value;
+  if (mode === 'range') {
+    const pages = parseRanges($('stampRange').value, S.totalPages).flatMap(([a, b]) => pageRange(a, b));
+    return [...new Set(pages)].sort((a, b) => a - b);
+  }
+  return pageRange(1, S.totalPages).filter(n => mode === 'all' || n % 2 === (mode === 'odd' ? 1 : 0));
+}
+
+/** Stamp settings from the panel; throws when there is nothing to stamp. */
+async function readStamp() {
+  const num  = (id, d) => { const v = parseFloat($(id).value); return Number.isFinite(v) ? v : d; };
+  const font = { font: $('stampFont').value, bold: $('stampBold').checked, italic: false };
+  const st   = { pages: stampTargets(), font, hf: [], wm: null };
+  const type = $('stampWmType').value;
+  if (type !== 'none') {
+    st.wm = {
+      type,
+      angle:   $('stampWmAngle').value,
+      opacity: Math.min(1, Math.max(0.05, num('stampWmOpacity', 25) / 100)),
+      tile:    $('stampWmTile').checked,
+    };
+    if (type === 'text') {
+      st.wm.text  = $('stampWmText').value.trim();
+      st.wm.size  = Math.max(4, num('stampWmSize', 72));
+      st.wm.color = $('stampWmColor').value;
+      if (!st.wm.text) throw new Error('Enter the watermark text.');
+    } else {
+      const f = $('stampWmImage').files[0];
+      if (!f) throw new Error('Choose a watermark image.');
+      if (f.type !== 'image/png' && f.type !== 'image/jpeg') throw new Error('Watermark image must be PNG or JPEG.');
+      st.wm.bytes = new Uint8Array(await f.arrayBuffer());
+      st.wm.mime  = f.type;
+      st.wm.scale = Math.min(1, Math.max(0.01, num('stampWmScale', 50) / 100));
+    }
+  }
+  for (const edge of ['Header', 'Footer']) {
+    for (const slot of Object.keys(HF_SLOTS)) {
+      const text = $(`stamp${edge}${slot}`).value.trim();
+      if (text) st.hf.push({ text, slot, footer: edge === 'Footer' });
+    }
+  }
+  if (!st.wm && !st.hf.length) throw new Error('Set a watermark, header or footer first.');
+  st.hfSize  = Math.max(4, num('stampHfSize', 10));
+  st.hfColor = $('stampHfColor').value;
+  st.margin  = Math.max(0, num('stampMargin', 24));
+  st.bates   = {
+    prefix: $('stampBatesPrefix').value,
+    start:  Math.max(0, Math.floor(num('stampBatesStart', 1))),
+    digits: Math.min(12, Math.max(1, Math.floor(num('stampBatesDigits', 6)))),
+  };
+  return st;
+}
+
+/** Point of the displayed page (y down) in PDF user space. */
+function viewToUser(cb, rot, vx, vy) {
+  switch (rot) {
+    case 90:  return [cb.x + vy, cb.y + vx];
+    case 180: return [cb.x + cb.width - vx, cb.y + vy];
+    case 270: return [cb.x + cb.width - vy, cb.y + cb.height - vx];
+    default:  return [cb.x + vx, cb.y + cb.height - vy];
+  }
+}
+
+/** Centers of the copies of a w × h box turned by deg on a W × H page. */
+function stampCenters(W, H, w, h, deg, tile) {
+  if (!tile) return [[W / 2, H / 2]];
+  const rad = deg * Math.PI / 180;
+  const bw  = Math.abs(w * Math.cos(rad)) + Math.abs(h * Math.sin(rad));
+  const bh  = Math.abs(w * Math.sin(rad)) + Math.abs(h * Math.cos(rad));
+  const sx  = bw * (1 + TILE_GAP), sy = bh * (1 + TILE_GAP);
+  const nx  = Math.ceil(W / 2 / sx), ny = Math.ceil(H / 2 / sy);
+  const out = [];
+  for (let j = -ny; j <= ny; j++) {
+    // Every other row shifts by half a tile, like a brick wall
+    for (let i = -nx - 1; i <= nx; i++) out.push([W / 2 + (i + (j & 1) / 2) * sx, H / 2 + j * sy]);
+  }
+  return out.filter(([x, y]) => Math.abs(x - W / 2) < (W + bw) / 2 && Math.abs(y - H / 2) < (H + bh) / 2);
+}
+
+/** Burn the stamp st into doc, whose pages are in display order. */
+async function stampDoc(doc, st) {
+  const L     = PDFLib;
+  const fonts = new Map();
+  const date  = new Date().toLocaleDateString();
+  const image = st.wm && st.wm.type === 'image'
+    ? await (st.wm.mime === 'image/png' ? doc.embedPng(st.wm.bytes) : doc.embedJpg(st.wm.bytes)) : null;
+  // A text item centered at (vx, vy) of the displayed page, turned by deg on it
+  const putText = async (page, view, it, vx, vy, deg = 0) => {
+    measureText(it);
+    const [ux, uy] = viewToUser(view.cb, view.rot, vx, vy);
+    await drawTextPdf(doc, page, { ...it, rotate: (view.rot + deg) % 360 }, ux - it.w / 2, uy + it.h / 2, fonts);
+  };
+  const putImage = (page, view, w, h, vx, vy, deg) => {
+    const rad = (view.rot + deg) * Math.PI / 180, cos = Math.cos(rad), sin = Math.sin(rad);
+    const [ux, uy] = viewToUser(view.cb, view.rot, vx, vy);
+    // drawImage turns about the lower left corner
+    page.drawImage(image, {
+      x: ux - (w * cos - h * sin) / 2, y: uy - (w * sin + h * cos) / 2,
+      width: w, height: h, rotate: L.degrees(view.rot + deg), opacity: st.wm.opacity,
+    });
+  };
+
+  for (const [n, pageNum] of st.pages.entries()) {
+    const page = doc.getPage(pageNum - 1);
+    const cb   = page.getCropBox();
+    const rot  = ((page.getRotation().angle % 360) + 360) % 360;
+    const view = { cb, rot, W: rot % 180 ? cb.height : cb.width, H: rot % 180 ? cb.width : cb.height };
+    const tokens = {
+      page: pageNum, total: S.totalPages, date, filename: S.fileName,
+      bates: st.bates.prefix + String(st.bates.start + n).padStart(st.bates.digits, '0'),
+    };
+    const fill = tpl => tpl.replace(/\{(\w+)\}/g, (m, k) => (k in tokens ? tokens[k] : m));
+    const item = (text, size, color, opacity) => ({
+      kind: 'text', text, size, color, opacity, ...st.font, align: 'left', lineH: LINE_H, wrap: 0, rotate: 0,
+    });
+
+    if (st.wm) {
+      const deg = st.wm.angle === 'diagonal' ? Math.atan2(view.H, view.W) * 180 / Math.PI : +st.wm.angle;
+      if (image) {
+        const w = view.W * st.wm.scale, h = w * image.height / image.width;
+        stampCenters(view.W, view.H, w, h, deg, st.wm.tile).forEach(([x, y]) => putImage(page, view, w, h, x, y, deg));
+      } else {
+        const it = item(fill(st.wm.text), st.wm.size, st.wm.color, st.wm.opacity);
+        measureText(it);
+        for (const [x, y] of stampCenters(view.W, view.H, it.w, it.h, deg, st.wm.tile)) await putText(page, view, it, x, y, deg);
+      }
+    }
+    for (const hf of st.hf) {
+      const it = item(fill(hf.text), st.hfSize, st.hfColor, 1);
+      measureText(it);
+      const x = st.margin + (view.W - 2 * st.margin - it.w) * HF_SLOTS[hf.slot] + it.w / 2;
+      const y = hf.footer ? view.H - st.margin - it.h / 2 : st.margin + it.h / 2;
+      await putText(page, view, it, x, y);
+    }
+  }
+}
+
+$('stampApplyBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  let st;
+  try { st = await readStamp(); } catch (e) { toast(e.message, 'error'); return; }
+  loading(true, 'Stamping…');
+  try {
+    const doc = await PDFLib.PDFDocument.load(await rebuild(), { ignoreEncryption: true, updateMetadata: false });
+    await stampDoc(doc, st);
+    await applyEdit(await doc.save(), `Stamp ${st.pages.length} page(s)`);
+    // The next document of a production continues the Bates range
+    if ([st.wm && st.wm.text, ...st.hf.map(hf => hf.text)].some(t => t && t.includes('{bates}'))) $('stampBatesStart').value = st.bates.start + st.pages.length;
+    toast(`Stamped ${st.pages.length} page(s).`, 'success');
+  } catch (e) {
+    console.error('stampApplyBtn error:', e);
+    toast(`Stamp failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+/* ─── SIGNATURE ──────────────────────────────────
+   Signatures are drawn, typed or uploaded on the pad and
+   placed as items of kind 'signature' whose sig says what
+   they paint:
+     { type: 'ink',   w, h, strokes: [[[x, y, width], …], …] }
+     { type: 'text',  text, font }
+     { type: 'image', w, h, bytes }   background-free PNG
+   Ink is kept as vector strokes whose width follows the pen
+   pressure, and typed names use an embedded handwriting
+   font, so both print sharp at any size. Saved signatures
+   and initials live in IndexedDB for reuse across sessions.
+─────────────────────────────────────────────────── */
+const sigCv  = $('sigCanvas');
+const sigCtx = sigCv.getContext('2d');
+
+const SIG_FONTS = { 'Dancing Script': 'dancing-script', 'Great Vibes': 'great-vibes', 'Sacramento': 'sacramento' };
+const SIG_BOX   = { signature: [200, 80], initials: [80, 40] };    // default fit box, points
+const SIG_EMPTY = { draw: 'Draw a signature first.', type: 'Type your name first.', upload: 'Choose an image first.' };
+const SIG_STEP  = 0.75;     // min pad px between captured points
+const SIG_IMG_MAX = 1200;   // longest edge of an uploaded signature, px
+const BG_NEAR   = 40;       // color distance below which a pixel is background …
+const BG_FAR    = 100;      // … and above which it is fully kept
+const SIG_DB    = 'pdfStudio';
+const SIG_STORE = 'signatures';
+
+// Pressure 0.5 (mice and pens without pressure) draws the chosen stroke width
+const penWidth = (base, p) => base * (0.3 + 1.4 * p);
+
+/* Fonts: fetched once, registered for the canvas and parsed by fontkit for metrics */
+const webFonts = new Map();   // name → { promise, font: { bytes, family, fk } }
+
+function loadFont(name) {
+  let entry = webFonts.get(name);
+  if (!entry || entry.failed) {
+    entry = { font: null };
+    entry.promise = (async () => {
+      const res = await fetch(CFG.FONT_CDN.replace('{id}', SIG_FONTS[name]));
+      if (!res.ok) throw new Error(`font ${name} unavailable (HTTP ${res.status})`);
+      const bytes  = new Uint8Array(await res.arrayBuffer());
+      const family = `sig-${SIG_FONTS[name]}`;
+      document.fonts.add(await new FontFace(family, bytes).load());
+      return (entry.font = { bytes, family, fk: fontkit.create(bytes) });
+    })();
+    entry.promise.catch(() => { entry.failed = true; });   // placing or saving tries again
+    webFonts.set(name, entry);
+  }
+  return entry.promise;
+}
+
+/** The font if it is ready; otherwise start loading it and repaint once it is. */
+function readyFont(name) {
+  const entry = webFonts.get(name);
+  if (entry) return entry.font;
+  loadFont(name).then(refreshSigViews, e => toast(`Font failed: ${e.message}`, 'error'));
+  return null;
+}
+
+/** Size-1 metrics of text in font f, in font units scaled to 1 pt. */
+function textMetrics(f, text) {
+  const upm = f.fk.unitsPerEm;
+  const asc = f.fk.ascent / upm;
+  return { width: f.fk.layout(text).advanceWidth / upm, asc, height: asc - f.fk.descent / upm };
+}
+
+/** Font size and baseline that center text in a w × h box at (x, y). */
+function textLayout(f, text, x, y, w, h) {
+  const m    = textMetrics(f, text);
+  const size = Math.min(w / m.width, h / m.height);
+  return { size, x: x + (w - m.width * size) / 2, baseline: y + (h - m.height * size) / 2 + m.asc * size };
+}
+
+/** Natural proportions of a signature, or null while its font loads. */
+function sigDims(sig) {
+  if (sig.type !== 'text') return [sig.w, sig.h];
+  const f = readyFont(sig.font);
+  if (!f) return null;
+  const m = textMetrics(f, sig.text);
+  return [m.width, m.height];
+}
+
+async function sigSize(sig) {
+  if (sig.type === 'text') await loadFont(sig.font);
+  return sigDims(sig);
+}
+
+/* Painting, shared by the pad, the library and the object layer */
+function paintInk(ctx, strokes, color) {
+  ctx.strokeStyle = ctx.fillStyle = color;
+  ctx.lineCap = ctx.lineJoin = 'round';
+  strokes.forEach(st => {
+    if (st.length === 1) {
+      const [x, y, w] = st[0];
+      ctx.beginPath(); ctx.arc(x, y, w / 2, 0, Math.PI * 2); ctx.fill();
+      return;
+    }
+    for (let i = 1; i < st.length; i++) {
+      ctx.lineWidth = (st[i - 1][2] + st[i][2]) / 2;
+      ctx.beginPath(); ctx.moveTo(st[i - 1][0], st[i - 1][1]); ctx.lineTo(st[i][0], st[i][1]); ctx.stroke();
+    }
+  });
+}
+
+function paintSig(ctx, sig, color, x, y, w, h, img) {
+  if (sig.type === 'ink') {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.scale(w / sig.w, h / sig.h);
+    paintInk(ctx, sig.strokes, color);
+    ctx.restore();
+  } else if (sig.type === 'text') {
+    const f = readyFont(sig.font);
+    if (!f) return;
+    const t = textLayout(f, sig.text, x, y, w, h);
+    ctx.fillStyle = color;
+    ctx.font      = `${t.size}px "${f.family}"`;
+    ctx.fillText(sig.text, t.x, t.baseline);
+  } else if (img && img.complete) {
+    ctx.drawImage(img, x, y, w, h);
+  }
+}
+
+/** Paint sig centered in a W × H canvas with margin m. */
+function paintFitted(ctx, sig, color, img, W, H, m) {
+  const d = sigDims(sig);
+  if (!d) return;
+  const k = Math.min((W - 2 * m) / d[0], (H - 2 * m) / d[1]);
+  const w = d[0] * k, h = d[1] * k;
+  paintSig(ctx, sig, color, (W - w) / 2, (H - h) / 2, w, h, img);
+}
+
+const drawSigItem = (ctx, it) => paintSig(ctx, it.sig, it.color, it.x, it.top, it.w, it.h, it.img);
+
+/* Pad */
+function drawSigPad() {
+  sigCtx.clearRect(0, 0, sigCv.width, sigCv.height);
+  const color = $('sigColor').value;
+  if (S.sigMode === 'draw') {
+    const base = +$('sigStroke').value;
+    paintInk(sigCtx, S.sigStrokes.map(st => st.map(([x, y, p]) => [x, y, penWidth(base, p)])), color);
+  } else {
+    const sig = padSig();
+    if (sig) paintFitted(sigCtx, sig, color, S.sigUpload?.img, sigCv.width, sigCv.height, 20);
+  }
+}
+
+function refreshSigViews() {
+  drawSigPad();
+  drawSigThumbs();
+  drawOverlay();
+}
+
+/** The signature on the pad, cropped to its ink, or null if there is none. */
+function padSig() {
+  if (S.sigMode === 'type') {
+    const text = $('sigText').value.trim();
+    return text ? { type: 'text', text, font: $('sigFont').value } : null;
+  }
+  if (S.sigMode === 'upload') return S.sigUpload?.sig || null;
+  if (!S.sigStrokes.length) return null;
+  const base = +$('sigStroke').value;
+  const pts  = S.sigStrokes.map(st => st.map(([x, y, p]) => [x, y, penWidth(base, p)]));
+  const b    = boxOf(pts.flat());
+  const pad  = Math.max(...pts.flat().map(p => p[2])) / 2;
+  return {
+    type: 'ink',
+    w: b.x1 - b.x0 + 2 * pad,
+    h: b.y1 - b.y0 + 2 * pad,
+    strokes: pts.map(st => st.map(([x, y, w]) => [x - b.x0 + pad, y - b.y0 + pad, w])),
+  };
+}
+
+function setSigMode(mode) {
+  S.sigMode = mode;
+  document.querySelectorAll('[data-sig-mode]').forEach(b => b.classList.toggle('active-pick', b.dataset.sigMode === mode));
+  document.querySelectorAll('#panel-signature .sig-opt').forEach(el => el.classList.toggle('hidden', el.dataset.for !== mode));
+  sigCv.style.cursor = mode === 'draw' ? '' : 'default';
+  drawSigPad();
+}
+
+function sigPos(e) {
+  const r = sigCv.getBoundingClientRect();
+  return [
+    (e.clientX - r.left) * (sigCv.width  / r.width),
+    (e.clientY - r.top)  * (sigCv.height / r.height),
+    e.pointerType === 'mouse' || !e.pressure ? 0.5 : e.pressure,
+  ];
+}
+
+sigCv.addEventListener('pointerdown', e => {
+  if (S.sigMode !== 'draw') return;
+  e.preventDefault();
+  sigCv.setPointerCapture(e.pointerId);
+  S.sigDrawing = true;
+  S.sigStrokes.push([sigPos(e)]);
+  drawSigPad();
+});
+sigCv.addEventListener('pointermove', e => {
+  if (!S.sigDrawing) return;
+  const stroke = S.sigStrokes[S.sigStrokes.length - 1];
+  // Coalesced events keep fast strokes smooth on high-rate pens
+  const evs = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+  (evs.length ? evs : [e]).forEach(ev => {
+    const pt = sigPos(ev), last = stroke[stroke.length - 1];
+    if (Math.hypot(pt[0] - last[0], pt[1] - last[1]) >= SIG_STEP) stroke.push(pt);
+  });
+  drawSigPad();
+});
+['pointerup', 'pointercancel'].forEach(t => sigCv.addEventListener(t, () => { S.sigDrawing = false; }));
+
+/* Upload */
+/**
+ * Make the background of an uploaded signature transparent, in
+ * place. The background color is the median of the image border,
+ * where a scan or photo shows only paper; pixels fade out as their
+ * color approaches it. Returns the box of what is left, or null.
+ */
+function clearBackground({ data, width, height }) {
+  const border = [];
+  for (let x = 0; x < width; x++)  border.push(x, (height - 1) * width + x);
+  for (let y = 0; y < height; y++) border.push(y * width, y * width + width - 1);
+  const median = c => border.map(i => data[i * 4 + c]).sort((a, b) => a - b)[border.length >> 1];
+  const bg = [median(0), median(1), median(2)];
+  let x0 = width, y0 = height, x1 = -1, y1 = -1;
+  for (let i = 0, o = 0; i < width * height; i++, o += 4) {
+    const d = Math.max(Math.abs(data[o] - bg[0]), Math.abs(data[o + 1] - bg[1]), Math.abs(data[o + 2] - bg[2]));
+    data[o + 3] = Math.round(data[o + 3] * Math.min(1, Math.max(0, (d - BG_NEAR) / (BG_FAR - BG_NEAR))));
+    if (data[o + 3] < 24) continue;
+    const x = i % width, y = (i - x) / width;
+    x0 = Math.min(x0, x); x1 = Math.max(x1, x);
+    y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+  }
+  return x1 < 0 ? null : { x0, y0, x1: x1 + 1, y1: y1 + 1 };
+}
+
+async function loadSigImage(file, removeBg) {
+  const url = URL.createObjectURL(file);
+  const img = await new Promise((resolve, reject) => {
+    const im = new Image();
+    im.onload  = () => resolve(im);
+    im.onerror = () => reject(new Error('not a readable image'));
+    im.src = url;
+  }).finally(() => URL.revokeObjectURL(url));
+  const k  = Math.min(1, SIG_IMG_MAX / Math.max(img.naturalWidth, img.naturalHeight));
+  const cv = Object.assign(document.createElement('canvas'), {
+    width: Math.round(img.naturalWidth * k), height: Math.round(img.naturalHeight * k),
+  });
+  const c = cv.getContext('2d');
+  c.drawImage(img, 0, 0, cv.width, cv.height);
+  let box = { x0: 0, y0: 0, x1: cv.width, y1: cv.height };
+  if (removeBg) {
+    const px = c.getImageData(0, 0, cv.width, cv.height);
+    box = clearBackground(px);
+    if (!box) throw new Error('nothing but background found');
+    c.putImageData(px, 0, 0);
+  }
+  const out = Object.assign(document.createElement('canvas'), { width: box.x1 - box.x0, height: box.y1 - box.y0 });
+  out.getContext('2d').drawImage(cv, -box.x0, -box.y0);
+  const blob = await new Promise(resolve => out.toBlob(resolve, 'image/png'));
+  return { type: 'image', w: out.width, h: out.height, bytes: new Uint8Array(await blob.arrayBuffer()) };
+}
+
+async function uploadSig() {
+  const f = $('sigImageInput').files[0];
+  if (!f) return;
+  loading(true, 'Preparing signature…');
+  try {
+    const sig = await loadSigImage(f, $('sigRemoveBg').checked);
+    S.sigUpload = { sig, img: imageElement(sig.bytes, 'image/png', drawSigPad) };
+  } catch (e) {
+    console.error('sigImageInput error:', e);
+    toast(`Image failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+}
+
+/* Placement */
+/** A signature item showing sig, fitted into a maxW × maxH box at (x, top). */
+async function sigItem(sig, color, page, x, top, [maxW, maxH]) {
+  const [w, h] = await sigSize(sig);
+  const k  = Math.min(maxW / w, maxH / h);
+  const it = { kind: 'signature', page, x, top, w: w * k, h: h * k, sig, color };
+  if (sig.type === 'image') Object.assign(it, { bytes: sig.bytes, mime: 'image/png', img: imageElement(sig.bytes, 'image/png') });
+  return it;
+}
+
+/** Ink strokes as PDF path operators; segments of equal width share a path. */
+function inkOps(strokes) {
+  const L = PDFLib, ops = [];
+  let lw = null;
+  strokes.forEach(st => {
+    const segs = st.length > 1 ? st.slice(1).map((p, i) => [st[i], p]) : [[st[0], st[0]]];
+    let open = false;
+    segs.forEach(([a, b]) => {
+      const w = Math.round((a[2] + b[2]) * 4) / 8;    // mean width in 1/8 px steps
+      if (w !== lw) {
+        if (open) ops.push(L.stroke());
+        ops.push(L.setLineWidth(w));
+        lw = w; open = false;
+      }
+      if (!open) { ops.push(L.moveTo(a[0], a[1])); open = true; }
+      ops.push(L.lineTo(b[0], b[1]));
+    });
+    ops.push(L.stroke());
+  });
+  return ops;
+}
+
+/** Draw a vector or typed signature item; fonts caches embedded fonts by name. */
+async function drawSignature(doc, page, it, left, topY, fonts) {
+  const L = PDFLib, { sig } = it;
+  const { r, g, b } = hexToRgb(it.color);
+  if (sig.type === 'ink') {
+    page.pushOperators(
+      L.pushGraphicsState(),
+      L.concatTransformationMatrix(it.w / sig.w, 0, 0, -it.h / sig.h, left, topY),
+      L.setStrokingRgbColor(r / 255, g / 255, b / 255),
+      L.setLineCap(L.LineCapStyle.Round),
+      L.setLineJoin(L.LineJoinStyle.Round),
+      ...inkOps(sig.strokes),
+      L.popGraphicsState());
+    return;
+  }
+  const f = await loadFont(sig.font);
+  if (!fonts.has(sig.font)) {
+    doc.registerFontkit(fontkit);
+    fonts.set(sig.font, await doc.embedFont(f.bytes));
+  }
+  const t = textLayout(f, sig.text, left, 0, it.w, it.h);
+  page.drawText(sig.text, {
+    x: t.x, y: topY - t.baseline, size: t.size, font: fonts.get(sig.font),
+    color: L.rgb(r / 255, g / 255, b / 255),
+  });
+}
+
+$('addSigBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  const sig = padSig();
+  if (!sig) { toast(SIG_EMPTY[S.sigMode], 'error'); return; }
+  const pgNum = parseInt($('sigPage').value, 10);
+  if (!okPage(pgNum)) return;
+  try {
+    await addItem(await sigItem(sig, $('sigColor').value, S.pageOrder[pgNum - 1],
+      parseFloat($('sigX').value) || 50, parseFloat($('sigY').value) || 50,
+      [parseFloat($('sigW').value) || 200, parseFloat($('sigH').value) || 80]));
+    toast('Signature placed — drag to move, download to apply.', 'success');
+  } catch (e) {
+    console.error('addSigBtn error:', e);
+    toast(`Signature failed: ${e.message}`, 'error');
+  }
+});
+
+/* Library (IndexedDB): { id, role: 'signature' | 'initials', sig, color, created } */
+let sigDbOpen = null;
+function sigDb() {
+  sigDbOpen = sigDbOpen || new Promise((resolve, reject) => {
+    const req = indexedDB.open(SIG_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(SIG_STORE, { keyPath: 'id', autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+  sigDbOpen.catch(() => { sigDbOpen = null; });
+  return sigDbOpen;
+}
+
+/** Run fn(objectStore) in a transaction and resolve with its request's result. */
+async function sigStore(mode, fn) {
+  const db = await sigDb();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(SIG_STORE, mode).objectStore(SIG_STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+let sigThumbs = [];   // [{ cv, rec, img }] of the library, repainted when a font arrives
+
+function drawSigThumbs() {
+  sigThumbs.forEach(({ cv, rec, img }) => {
+    const c = cv.getContext('2d');
+    c.clearRect(0, 0, cv.width, cv.height);
+    paintFitted(c, rec.sig, rec.color, img, cv.width, cv.height, 8);
+  });
+}
+
+async function renderSigLibrary() {
+  const box = $('sigLibrary');
+  let recs;
+  try {
+    recs = await sigStore('readonly', st => st.getAll());
+  } catch (e) {
+    box.innerHTML = '<p class="hint">Saved signatures are not available in this browser.</p>';
+    return;
+  }
+  box.innerHTML = recs.length ? '' : '<p class="hint">Nothing saved yet.</p>';
+  // Signatures first, each role oldest first
+  recs.sort((a, b) => (a.role === 'initials') - (b.role === 'initials'));
+  sigThumbs = recs.map(rec => {
+    const cv    = Object.assign(document.createElement('canvas'), { width: 200, height: 70 });
+    const entry = Object.assign(document.createElement('div'), { className: 'sig-entry', title: 'Place on the current page' });
+    const label = Object.assign(document.createElement('span'), { textContent: rec.role === 'initials' ? 'Initials' : 'Signature' });
+    const del   = Object.assign(document.createElement('button'), {
+      className: 'icon-btn danger', title: 'Delete', innerHTML: '<i class="fa-solid fa-xmark"></i>',
+    });
+    del.addEventListener('click', async e => {
+      e.stopPropagation();
+      try {
+        await sigStore('readwrite', st => st.delete(rec.id));
+        await renderSigLibrary();
+      } catch (err) {
+        console.error('sigDelete error:', err);
+        toast(`Delete failed: ${err.message}`, 'error');
+      }
+    });
+    entry.addEventListener('click', () => placeSaved(rec));
+    entry.append(cv, label, del);
+    box.appendChild(entry);
+    return { cv, rec, img: rec.sig.type === 'image' ? imageElement(rec.sig.bytes, 'image/png', drawSigThumbs) : null };
+  });
+  drawSigThumbs();
+}
+
+async function saveSig(role) {
+  const sig = padSig();
+  if (!sig) { toast(SIG_EMPTY[S.sigMode], 'error'); return; }
+  try {
+    await sigStore('readwrite', st => st.add({ role, sig, color: $('sigColor').value, created: Date.now() }));
+    await renderSigLibrary();
+    toast(`${role === 'initials' ? 'Initials' : 'Signature'} saved.`, 'success');
+  } catch (e) {
+    console.error('sigSaveBtn error:', e);
+    toast(`Save failed: ${e.message}`, 'error');
+  }
+}
+
+async function placeSaved(rec) {
+  if (!S.rawBytes) { toast('Open a PDF first.', 'error'); return; }
+  try {
+    await addItem(await sigItem(rec.sig, rec.color, S.pageOrder[S.curPage - 1],
+      parseFloat($('sigX').value) || 50, parseFloat($('sigY').value) || 50, SIG_BOX[rec.role]));
+    toast(`${rec.role === 'initials' ? 'Initials' : 'Signature'} placed — drag to move, download to apply.`, 'success');
+  } catch (e) {
+    console.error('placeSaved error:', e);
+    toast(`Signature failed: ${e.message}`, 'error');
+  }
+}
+
+$('sigFont').append(...Object.keys(SIG_FONTS).map(name => new Option(name, name)));
+document.querySelectorAll('[data-sig-mode]').forEach(b => b.addEventListener('click', () => setSigMode(b.dataset.sigMode)));
+['sigColor', 'sigStroke', 'sigText', 'sigFont'].forEach(id => $(id).addEventListener('input', drawSigPad));
+$('sigImageInput').addEventListener('change', uploadSig);
+$('sigRemoveBg').addEventListener('change', uploadSig);
+$('sigSaveBtn').addEventListener('click', () => saveSig('signature'));
+$('sigSaveInitBtn').addEventListener('click', () => saveSig('initials'));
+$('clearSig').addEventListener('click', () => {
+  if (S.sigMode === 'draw') S.sigStrokes = [];
+  if (S.sigMode === 'type') $('sigText').value = '';
+  if (S.sigMode === 'upload') { S.sigUpload = null; $('sigImageInput').value = ''; }
+  drawSigPad();
+});
+
+/* ─── ANNOTATIONS ────────────────────────────────
+   Review markup as object-layer items of kind 'annot':
+   { atype, color, opacity, width, author, contents,
+     created, modified, nm, pts, replies }. pts holds the geometry
+   (text quads, line ends or ink strokes) as fractions of
+   the item box, so moving and resizing need no extra work.
+   rebuild({ flatten }) writes each one as a standard
+   annotation with its own appearance stream, which other
+   readers show, edit and reply to.
+─────────────────────────────────────────────────── */
+const ANNOT_BTNS = ['annotHighlightBtn', 'annotUnderlineBtn', 'annotStrikeoutBtn', 'annotNoteBtn',
+  'annotSquareBtn', 'annotCircleBtn', 'annotLineBtn', 'annotArrowBtn', 'annotInkBtn'];
+const ANNOT_SUBTYPE = {
+  highlight: 'Highlight', underline: 'Underline', strikeout: 'StrikeOut', note: 'Text',
+  square: 'Square', circle: 'Circle', line: 'Line', arrow: 'Line', ink: 'Ink',
+};
+const ANNOT_LABEL = {
+  highlight: 'Highlight', underline: 'Underline', strikeout: 'Strike-out', note: 'Note',
+  square: 'Rectangle', circle: 'Ellipse', line: 'Line', arrow: 'Arrow', ink: 'Ink',
+};
+const ANNOT_COLOR = {
+  highlight: '#ffd400', underline: '#1e88e5', strikeout: '#e53935', note: '#ffd400',
+  square: '#e53935', circle: '#e53935', line: '#e53935', arrow: '#e53935', ink: '#1e88e5',
+};
+const MARKUP_LINE = { underline: 0.08, strikeout: 0.45 };   // height of the rule in the quad, from below
+const NOTE_SIZE   = 20;
+const KAPPA       = 0.5523;                                  // Bézier handle length for a quarter ellipse
+const AUTHOR_KEY  = 'pdfStudio.author';
+
+const isMarkup  = atype => atype in MARKUP_LINE || atype === 'highlight';
+const arrowLen  = lw => Math.max(8, lw * 4);
+const lerp      = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+
+/** Page-space point lists of an annotation. */
+function annotPoints(it) {
+  return (it.pts || []).map(l => l.map(([u, v]) => [it.x + u * it.w, it.top + v * it.h]));
+}
+
+/** Room around the points for line width and arrow heads. */
+function annotPad(it) {
+  if (it.atype === 'arrow') return arrowLen(it.width) / 2 + it.width;
+  return it.atype === 'line' || it.atype === 'ink' ? it.width / 2 + 1 : 0;
+}
+
+/** Fit the item box around page-space point lists and store them relative to it. */
+function setAnnotShape(it, lists) {
+  const b = boxOf(lists.flat()), pad = annotPad(it);
+  it.x   = b.x0 - pad;
+  it.top = b.y0 - pad;
+  it.w   = Math.max(1, b.x1 - b.x0 + 2 * pad);
+  it.h   = Math.max(1, b.y1 - b.y0 + 2 * pad);
+  it.pts = lists.map(l => l.map(([x, y]) => [(x - it.x) / it.w, (y - it.top) / it.h]));
+  return it;
+}
+
+function arrowHead(from, to, lw) {
+  const a = Math.atan2(to[1] - from[1], to[0] - from[0]), len = arrowLen(lw);
+  const wing = d => [to[0] - len * Math.cos(a + d), to[1] - len * Math.sin(a + d)];
+  return [wing(Math.PI / 7), to, wing(-Math.PI / 7)];
+}
+
+/**
+ * What an annotation paints, in page space: polylines
+ * { pts, closed } or { ellipse: [cx, cy, rx, ry] }, each with
+ * a fill and/or stroke color and a stroke width lw.
+ */
+function annotShapes(it) {
+  const c = it.color, lw = it.width;
+  const { x, top: y, w, h } = it;
+  switch (it.atype) {
+    case 'highlight':
+      return annotPoints(it).map(q => ({ pts: q, closed: true, fill: c }));
+    case 'underline':
+    case 'strikeout':
+      // Quads run bottom-left, bottom-right, top-right, top-left of the text
+      return annotPoints(it).map(q => ({
+        pts:    [lerp(q[0], q[3], MARKUP_LINE[it.atype]), lerp(q[1], q[2], MARKUP_LINE[it.atype])],
+        stroke: c,
+        lw:     Math.max(0.5, Math.hypot(q[3][0] - q[0][0], q[3][1] - q[0][1]) * 0.07),
+      }));
+    case 'square':
+      return [{ pts: rectPts({ x0: x + lw / 2, y0: y + lw / 2, x1: x + w - lw / 2, y1: y + h - lw / 2 }), closed: true, stroke: c, lw }];
+    case 'circle':
+      return [{ ellipse: [x + w / 2, y + h / 2, Math.max(0, w - lw) / 2, Math.max(0, h - lw) / 2], stroke: c, lw }];
+    case 'line':
+      return [{ pts: annotPoints(it)[0], stroke: c, lw }];
+    case 'arrow': {
+      const [a, b] = annotPoints(it)[0];
+      return [{ pts: [a, b], stroke: c, lw }, { pts: arrowHead(a, b, lw), stroke: c, lw }];
+    }
+    case 'ink':
+      return annotPoints(it).map(pts => ({ pts, stroke: c, lw }));
+    default: {
+      // Note: a speech bubble with two lines of "text"
+      const at = (u, v) => [x + u * w, y + v * h];
+      const ink = '#333333';
+      return [
+        { pts: [at(0.05, 0.05), at(0.95, 0.05), at(0.95, 0.7), at(0.55, 0.7), at(0.3, 0.95), at(0.33, 0.7), at(0.05, 0.7)],
+          closed: true, fill: c, stroke: ink, lw: 0.8 },
+        { pts: [at(0.22, 0.28), at(0.78, 0.28)], stroke: ink, lw: 0.8 },
+        { pts: [at(0.22, 0.48), at(0.78, 0.48)], stroke: ink, lw: 0.8 },
+      ];
+    }
+  }
+}
+
+function drawAnnotItem(ctx, it) {
+  ctx.globalAlpha = it.opacity;
+  if (it.atype === 'highlight') ctx.globalCompositeOperation = 'multiply';
+  ctx.lineCap = ctx.lineJoin = 'round';
+  annotShapes(it).forEach(sh => {
+    ctx.beginPath();
+    if (sh.ellipse) {
+      const [cx, cy, rx, ry] = sh.ellipse;
+      ctx.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
+    } else {
+      sh.pts.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      if (sh.closed) ctx.closePath();
+    }
+    if (sh.fill)   { ctx.fillStyle = sh.fill; ctx.fill(); }
+    if (sh.stroke) { ctx.strokeStyle = sh.stroke; ctx.lineWidth = sh.lw; ctx.stroke(); }
+  });
+}
+
+function drawInkStroke(ctx, m) {
+  ctx.save();
+  ctx.setTransform(...m);
+  ctx.globalAlpha = annotOpacity();
+  ctx.strokeStyle = $('annotColor').value;
+  ctx.lineWidth   = annotWidth();
+  ctx.lineCap     = ctx.lineJoin = 'round';
+  ctx.beginPath();
+  S.inkStroke.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+  ctx.stroke();
+  ctx.restore();
+}
+
+/** Text markup is only hit on its quads, so the text around it stays selectable. */
+function hitAnnot(it, px, py) {
+  if (!isMarkup(it.atype)) return true;
+  return annotPoints(it).some(q => within({ x0: px, y0: py, x1: px, y1: py }, boxOf(q)));
+}
+
+function updateAnnotMeta(it) {
+  $('annotMeta').textContent = it
+    ? `${ANNOT_LABEL[it.atype]} · ${it.author || 'no author'} · ${new Date(it.created).toLocaleString()}`
+    : '';
+}
+
+function readAnnotFields(it, num) {
+  const width = it.width;
+  it.color    = $('annotColor').value;
+  it.opacity  = Math.min(1, Math.max(0.1, num('annotOpacity', it.opacity * 100) / 100));
+  it.width    = Math.max(0.5, num('annotWidth', it.width));
+  it.author   = $('annotAuthor').value.trim();
+  it.contents = $('annotContents').value;
+  it.modified = Date.now();
+  // Thicker lines need more room around the points
+  if (it.width !== width && it.pts?.length && !isMarkup(it.atype)) setAnnotShape(it, annotPoints(it));
+  updateAnnotMeta(it);
+}
+
+const annotOpacity = () => Math.min(1, Math.max(0.1, (parseFloat($('annotOpacity').value) || 100) / 100));
+const annotWidth   = () => Math.max(0.5, parseFloat($('annotWidth').value) || 2);
+
+/** A new annotation item with the panel's style. */
+function newAnnot(atype, props) {
+  const now = Date.now();
+  return {
+    kind:     'annot',
+    atype,
+    page:     S.view.origIdx,
+    color:    $('annotColor').value,
+    opacity:  annotOpacity(),
+    width:    annotWidth(),
+    author:   $('annotAuthor').value.trim(),
+    contents: $('annotContents').value,
+    created:  now,
+    modified: now,
+    nm:       annotName(),
+    replies:  [],
+    ...props,
+  };
+}
+
+/** Pick a tool: its remembered color goes into the panel. */
+function useAnnotTool(atype) {
+  // The panel showed the selected annotation's comment, not one for the next
+  if (selectedItem()?.kind === 'annot') { selectItem(null); $('annotContents').value = ''; }
+  S.annotTool = atype;
+  $('annotColor').value = S.annotColors[atype] || ANNOT_COLOR[atype];
+}
+
+/** Quads (page space) of the text selected on the preview. */
+function selectionQuads() {
+  const sel   = window.getSelection();
+  const divs  = S.view?.textDivs;
+  const entry = S.view && textCache.doc === S.pdfJsDoc && textCache.pages.get(S.view.origIdx);
+  if (!sel || sel.isCollapsed || !sel.rangeCount || !divs || !entry) return [];
+  const range = sel.getRangeAt(0);
+  // Character offset of a range boundary inside item i's span
+  const offset = (i, node, off) => (node.nodeType === Node.TEXT_NODE ? off : off ? entry.items[i].str.length : 0);
+  let start = -1, end = -1;
+  divs.forEach((div, i) => {
+    if (!range.intersectsNode(div)) return;
+    const s0 = entry.starts[i], len = entry.items[i].str.length;
+    const from = div.contains(range.startContainer) ? offset(i, range.startContainer, range.startOffset) : 0;
+    const to   = div.contains(range.endContainer)   ? offset(i, range.endContainer, range.endOffset)     : len;
+    if (start < 0) start = s0 + from;
+    end = s0 + to;
+  });
+  if (start < 0 || end <= start) return [];
+  const [vx, , , vy] = S.view.view;
+  return textQuads(entry, start, end)
+    .map(q => q.map(([x, y]) => [x - vx, vy - y]));
+}
+
+async function markSelection(atype) {
+  useAnnotTool(atype);
+  const quads = selectionQuads();
+  if (!quads.length) { toast('Select text on the preview first.', 'error'); return; }
+  window.getSelection().removeAllRanges();
+  await addItem(setAnnotShape(newAnnot(atype, {}), quads));
+}
+
+async function placeNote(x, y) {
+  await addItem(newAnnot('note', { x, top: y, w: NOTE_SIZE, h: NOTE_SIZE }));
+  $('annotContents').focus();
+}
+
+async function finishShapeDraw() {
+  const { start, end } = S.boxDraw;
+  S.boxDraw = null;
+  const atype = S.placeMode;
+  if (Math.hypot(end[0] - start[0], end[1] - start[1]) < 4) return;   // a stray click
+  const it = newAnnot(atype, {});
+  if (atype === 'line' || atype === 'arrow') {
+    setAnnotShape(it, [[start, end]]);
+  } else {
+    Object.assign(it, {
+      x: Math.min(start[0], end[0]), top: Math.min(start[1], end[1]),
+      w: Math.abs(end[0] - start[0]), h: Math.abs(end[1] - start[1]),
+    });
+  }
+  await addItem(it);
+}
+
+/** Strokes drawn in one ink session on one page form a single Ink annotation. */
+async function finishInkStroke() {
+  // Drop points closer than half a point to keep the stream small
+  const stroke = S.inkStroke.filter((p, i, a) =>
+    !i || i === a.length - 1 || Math.hypot(p[0] - a[i - 1][0], p[1] - a[i - 1][1]) >= 0.5);
+  S.inkStroke = null;
+  if (stroke.length === 1) stroke.push([stroke[0][0] + 0.1, stroke[0][1]]);   // a dot
+  const prev = S.items.find(it => it.id === S.inkItem);
+  if (prev && prev.page === S.view.origIdx) {
+    pushHistory('Add ink stroke');
+    setAnnotShape(prev, [...annotPoints(prev), stroke]);
+    prev.modified = Date.now();
+    loadItemToPanel(prev);
+    drawOverlay();
+    return;
+  }
+  await addItem(setAnnotShape(newAnnot('ink', {}), [stroke]));
+  S.inkItem = S.selItem;
+}
+
+/** PDF operators painting one shape, with page space mapped by toUser. */
+function shapeOps(sh, toUser) {
+  const L = PDFLib, ops = [];
+  if (sh.ellipse) {
+    const [cx, cy, rx, ry] = sh.ellipse, [ux, uy] = toUser([cx, cy]);
+    const kx = rx * KAPPA, ky = ry * KAPPA;
+    ops.push(
+      L.moveTo(ux - rx, uy),
+      L.appendBezierCurve(ux - rx, uy + ky, ux - kx, uy + ry, ux, uy + ry),
+      L.appendBezierCurve(ux + kx, uy + ry, ux + rx, uy + ky, ux + rx, uy),
+      L.appendBezierCurve(ux + rx, uy - ky, ux + kx, uy - ry, ux, uy - ry),
+      L.appendBezierCurve(ux - kx, uy - ry, ux - rx, uy - ky, ux - rx, uy),
+      L.closePath());
+  } else {
+    sh.pts.map(toUser).forEach(([x, y], i) => ops.push(i ? L.lineTo(x, y) : L.moveTo(x, y)));
+    if (sh.closed) ops.push(L.closePath());
+  }
+  const rgb = hex => { const { r, g, b } = hexToRgb(hex); return [r / 255, g / 255, b / 255]; };
+  if (sh.fill)   ops.unshift(L.setFillingRgbColor(...rgb(sh.fill)));
+  if (sh.stroke) ops.unshift(L.setStrokingRgbColor(...rgb(sh.stroke)), L.setLineWidth(sh.lw));
+  ops.push(sh.fill && sh.stroke ? L.fillAndStroke() : sh.fill ? L.fill() : L.stroke());
+  return ops;
+}
+
+/** Write every annotation item into doc, whose pages follow order. */
+function addAnnotations(doc, order) {
+  const L   = PDFLib;
+  const ctx = doc.context;
+  const N   = n => L.PDFName.of(n);
+  S.items.filter(it => it.kind === 'annot' && order.includes(it.page)).forEach(it => {
+    const page   = doc.getPage(order.indexOf(it.page));
+    const cb     = page.getCropBox();
+    const toUser = ([x, y]) => [cb.x + x, cb.y + cb.height - y];
+    const flat   = lists => lists.flatMap(l => l.flatMap(toUser));
+    const [x0, y1] = toUser([it.x, it.top]);
+    const [x1, y0] = toUser([it.x + it.w, it.top + it.h]);
+    const rect = [x0, y0, x1, y1];
+    const ap = ctx.formXObject([
+      L.pushGraphicsState(),
+      L.setGraphicsState('GS0'),
+      L.setLineCap(L.LineCapStyle.Round),
+      L.setLineJoin(L.LineJoinStyle.Round),
+      ...annotShapes(it).flatMap(sh => shapeOps(sh, toUser)),
+      L.popGraphicsState(),
+    ], {
+      BBox:      rect,
+      Resources: { ExtGState: { GS0: { CA: it.opacity, ca: it.opacity, BM: it.atype === 'highlight' ? 'Multiply' : 'Normal' } } },
+    });
+    const { r, g, b } = hexToRgb(it.color);
+    const dict = ctx.obj({
+      Type:         'Annot',
+      Subtype:      ANNOT_SUBTYPE[it.atype],
+      Rect:         rect,
+      C:            [r / 255, g / 255, b / 255],
+      CA:           it.opacity,
+      F:            4,
+      P:            page.ref,
+      NM:           L.PDFHexString.fromText(it.nm),
+      M:            L.PDFString.fromDate(new Date(it.modified)),
+      CreationDate: L.PDFString.fromDate(new Date(it.created)),
+      Contents:     L.PDFHexString.fromText(it.contents),
+      AP:           { N: ctx.register(ap) },
+    });
+    if (it.author) dict.set(N('T'), L.PDFHexString.fromText(it.author));
+    if (!isMarkup(it.atype) && it.atype !== 'note') dict.set(N('BS'), ctx.obj({ W: it.width }));
+    if (isMarkup(it.atype)) {
+      // Acrobat's order: top-left, top-right, bottom-left, bottom-right
+      dict.set(N('QuadPoints'), ctx.obj(flat(annotPoints(it).map(q => [q[3], q[2], q[0], q[1]]))));
+    } else if (it.atype === 'line' || it.atype === 'arrow') {
+      dict.set(N('L'), ctx.obj(flat(annotPoints(it))));
+      if (it.atype === 'arrow') dict.set(N('LE'), ctx.obj(['None', 'OpenArrow']));
+    } else if (it.atype === 'ink') {
+      dict.set(N('InkList'), ctx.obj(annotPoints(it).map(l => l.flatMap(toUser))));
+    } else if (it.atype === 'note') {
+      dict.set(N('Name'), N('Comment'));
+    }
+    const ref = ctx.register(dict);
+    page.node.addAnnot(ref);
+    (it.replies || []).forEach(r => writeReply(doc, page, ref, r));
+  });
+}
+
+$('annotHighlightBtn').addEventListener('click', () => markSelection('highlight'));
+$('annotUnderlineBtn').addEventListener('click', () => markSelection('underline'));
+$('annotStrikeoutBtn').addEventListener('click', () => markSelection('strikeout'));
+// Markup buttons must not take the text selection away before it is read
+['annotHighlightBtn', 'annotUnderlineBtn', 'annotStrikeoutBtn'].forEach(id =>
+  $(id).addEventListener('mousedown', e => e.preventDefault()));
+['note', 'square', 'circle', 'line', 'arrow', 'ink'].forEach(atype => {
+  const id = `annot${atype[0].toUpperCase()}${atype.slice(1)}Btn`;
+  $(id).addEventListener('click', () => {
+    if (S.placeMode !== atype) useAnnotTool(atype);
+    setPlaceMode(atype, id);
+  });
+});
+
+$('annotColor').addEventListener('input', () => {
+  const it = selectedItem();
+  S.annotColors[it?.kind === 'annot' ? it.atype : S.annotTool] = $('annotColor').value;
+});
+$('annotAuthor').value = localStorage.getItem(AUTHOR_KEY) || '';
+$('annotAuthor').addEventListener('change', () => localStorage.setItem(AUTHOR_KEY, $('annotAuthor').value.trim()));
+
+/* ─── COMMENTS ───────────────────────────────────
+   One list of the markup annotations already in the
+   document and the annotation items added here. Replies
+   and review states are Text annotations pointing at
+   their comment with /IRT, as Acrobat writes them; for
+   items they wait in it.replies until output. Document
+   comments are changed through rebuild() + applyEdit(),
+   found again in the rebuilt page by findDocComment().
+   XFDF carries comments between copies of a document.
+─────────────────────────────────────────────────── */
+const XFDF_NS  = 'http://ns.adobe.com/xfdf/';
+// Markup annotation subtypes and their XFDF elements; links, widgets and popups are not comments
+const XFDF_TAG = {
+  Text: 'text', FreeText: 'freetext', Line: 'line', Square: 'square', Circle: 'circle',
+  Polygon: 'polygon', PolyLine: 'polyline', Highlight: 'highlight', Underline: 'underline',
+  Squiggly: 'squiggly', StrikeOut: 'strikeout', Stamp: 'stamp', Caret: 'caret', Ink: 'ink',
+  FileAttachment: 'fileattachment', Sound: 'sound', Redact: 'redact',
+};
+const SUBTYPE_LABEL = {
+  Text: 'Note', FreeText: 'Text box', Square: 'Rectangle', Circle: 'Ellipse', PolyLine: 'Polyline',
+  StrikeOut: 'Strike-out', FileAttachment: 'Attachment',
+};
+// Annotation flag bits 1… as XFDF names them
+const FLAG_NAMES = ['invisible', 'hidden', 'print', 'nozoom', 'norotate', 'noview', 'readonly', 'locked', 'togglenoview', 'lockedcontents'];
+const RESOLVED   = 'Completed';
+
+const commentCache = { bytes: null, list: [] };
+let commentsRun = 0;
+
+const annotName = () => Array.from(randomBytes(16), b => b.toString(16).padStart(2, '0')).join('');
+
+function pdfColorHex(arr) {
+  const v = arr ? arr.asArray().map(n => n.asNumber?.() ?? 0) : [];
+  const rgb = v.length === 1 ? [v[0], v[0], v[0]]
+    : v.length === 4 ? [0, 1, 2].map(i => (1 - v[i]) * (1 - v[3]))
+    : v.length === 3 ? v : null;
+  return rgb && '#' + rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/** What the comment list and XFDF need from an annotation dict; null for non-comments. */
+function annotInfo(dict) {
+  const L   = PDFLib;
+  const N   = n => L.PDFName.of(n);
+  const sub = dict.lookup(N('Subtype'));
+  const subtype = sub instanceof L.PDFName ? sub.decodeText() : '';
+  if (!XFDF_TAG[subtype]) return null;
+  const str  = k => { const v = dict.lookup(N(k)); return v instanceof L.PDFString || v instanceof L.PDFHexString ? v.decodeText() : ''; };
+  const date = k => { try { return dict.lookup(N(k))?.decodeDate?.().getTime() ?? null; } catch (e) { return null; } };
+  const rect = dict.lookup(N('Rect'));
+  const irt  = dict.get(N('IRT'));
+  const rt   = dict.lookup(N('RT'));
+  const ca   = dict.lookup(N('CA'));
+  return {
+    subtype,
+    author:   str('T'),
+    contents: str('Contents'),
+    created:  date('CreationDate'),
+    modified: date('M') ?? date('CreationDate'),
+    nm:       str('NM'),
+    color:    pdfColorHex(dict.lookup(N('C'))),
+    opacity:  ca instanceof L.PDFNumber ? ca.asNumber() : 1,
+    rect:     rect instanceof L.PDFArray ? rect.asArray().map(n => n.asNumber?.() ?? 0) : [0, 0, 0, 0],
+    irt:      irt instanceof L.PDFRef ? irt.toString() : null,
+    group:    rt instanceof L.PDFName && rt.decodeText() === 'Group',
+    state:    str('State'),
+  };
+}
+
+/** Comments of rawBytes, cached per buffer: [{ origIdx, key, box, …annotInfo }]. */
+async function docComments() {
+  if (commentCache.bytes !== S.rawBytes) {
+    const doc  = await PDFLib.PDFDocument.load(S.rawBytes.slice(), { ignoreEncryption: true, updateMetadata: false });
+    const list = [];
+    doc.getPages().forEach((page, origIdx) => {
+      const annots = page.node.Annots();
+      if (!annots) return;
+      const cb = page.getCropBox();
+      annots.asArray().forEach(ref => {
+        const dict = doc.context.lookup(ref);
+        const info = dict instanceof PDFLib.PDFDict && annotInfo(dict);
+        if (!info) return;
+        const [x0, y0, x1, y1] = info.rect;
+        const box = {
+          x0: Math.min(x0, x1) - cb.x, x1: Math.max(x0, x1) - cb.x,
+          y0: cb.y + cb.height - Math.max(y0, y1), y1: cb.y + cb.height - Math.min(y0, y1),
+        };
+        list.push({ src: 'doc', origIdx, key: ref.toString(), box, ...info });
+      });
+    });
+    Object.assign(commentCache, { bytes: S.rawBytes, list });
+  }
+  return commentCache.list;
+}
+
+/**
+ * Top-level comments of the pages still in the document, in page
+ * order, each with its replies and latest review state.
+ */
+async function commentThreads() {
+  const docs  = (await docComments()).filter(c => S.pageOrder.includes(c.origIdx) && !c.group);
+  const byKey = new Map(docs.map(c => [c.key, c]));
+  const root  = c => {
+    for (let d = 0; c.irt && byKey.has(c.irt) && d < 32; d++) c = byKey.get(c.irt);
+    return c;
+  };
+  const threads = docs.filter(c => root(c) === c).map(c => ({ ...c, replies: [] }));
+  const byRoot  = new Map(threads.map(t => [t.key, t]));
+  docs.forEach(c => { const r = root(c); if (r !== c) byRoot.get(r.key).replies.push(c); });
+
+  S.items.filter(it => it.kind === 'annot' && S.pageOrder.includes(it.page)).forEach(it => threads.push({
+    src:      'item',
+    id:       it.id,
+    key:      `item-${it.id}`,
+    origIdx:  it.page,
+    label:    ANNOT_LABEL[it.atype],
+    author:   it.author,
+    contents: it.contents,
+    created:  it.created,
+    modified: it.modified,
+    nm:       it.nm,
+    color:    it.color,
+    box:      { x0: it.x, y0: it.top, x1: it.x + it.w, y1: it.top + it.h },
+    replies:  (it.replies || []).map(r => ({ ...r, modified: r.created })),
+  }));
+
+  threads.forEach(t => {
+    const byDate = (a, b) => (a.modified || 0) - (b.modified || 0);
+    t.label   = t.label || SUBTYPE_LABEL[t.subtype] || t.subtype;
+    t.state   = t.replies.filter(r => r.state).sort(byDate).pop()?.state || '';
+    t.replies = t.replies.filter(r => !r.state).sort(byDate);
+  });
+  const at = t => [S.pageOrder.indexOf(t.origIdx), t.box.y0, t.box.x0];
+  return threads.sort((a, b) => {
+    const [pa, ya, xa] = at(a), [pb, yb, xb] = at(b);
+    return pa - pb || ya - yb || xa - xb;
+  });
+}
+
+const fmtDate = ms => (ms ? new Date(ms).toLocaleString() : '');
+
+async function renderComments() {
+  const run  = ++commentsRun;
+  const list = $('commentList');
+  if (!S.rawBytes) { list.innerHTML = ''; $('commentCount').textContent = ''; return; }
+  let threads;
+  try {
+    threads = await commentThreads();
+  } catch (e) {
+    console.error('renderComments error:', e);
+    toast(`Reading comments failed: ${e.message}`, 'error');
+    return;
+  }
+  if (run !== commentsRun) return;   // a newer render started meanwhile
+  const shown = $('commentsResolved').checked ? threads : threads.filter(t => t.state !== RESOLVED);
+  $('commentCount').textContent = threads.length
+    ? `${threads.length} comment(s)${shown.length < threads.length ? `, ${threads.length - shown.length} resolved hidden` : ''}`
+    : 'No comments yet.';
+  list.innerHTML = '';
+  shown.forEach(t => list.appendChild(commentEntry(t)));
+}
+
+function commentEntry(t) {
+  const el  = (tag, cls, text) => Object.assign(document.createElement(tag), { className: cls, textContent: text ?? '' });
+  const li  = el('li', 'comment' + (t.state === RESOLVED ? ' resolved' : '') + (S.commentFocus?.key === t.key ? ' active' : ''));
+  li.dataset.key = t.key;
+  const head = el('div', 'comment-head');
+  const sw   = el('span', 'comment-swatch');
+  sw.style.background = t.color || 'var(--dim)';
+  head.append(sw, el('strong', '', t.label), `${t.author || 'Unknown'} · ${fmtDate(t.modified)}`);
+  if (t.state && t.state !== 'None') head.append(el('span', 'comment-state', t.state));
+  head.append(el('span', 'comment-page', `p. ${S.pageOrder.indexOf(t.origIdx) + 1}`));
+  li.append(head);
+  if (t.contents) li.append(el('div', 'comment-body', t.contents));
+  if (t.replies.length) {
+    const ul = el('ul', 'comment-replies');
+    t.replies.forEach(r => {
+      const rl = el('li', '');
+      rl.append(el('div', 'comment-head', `${r.author || 'Unknown'} · ${fmtDate(r.modified)}`), el('div', 'comment-body', r.contents));
+      ul.append(rl);
+    });
+    li.append(ul);
+  }
+
+  const actions = el('div', 'comment-actions');
+  const btn = (icon, title, fn) => {
+    const b = el('button', 'icon-btn');
+    b.title     = title;
+    b.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+    b.addEventListener('click', fn);
+    return b;
+  };
+  const reply = el('div', 'comment-reply hidden');
+  const input = Object.assign(el('input', 'input'), { type: 'text', placeholder: 'Reply…' });
+  const send  = () => { if (input.value.trim()) replyToComment(t, { contents: input.value.trim() }); };
+  input.addEventListener('keydown', e => { if (e.key === 'Enter') send(); });
+  reply.append(input, btn('fa-paper-plane', 'Send reply', send));
+  const resolved = t.state === RESOLVED;
+  actions.append(
+    btn('fa-reply', 'Reply', () => { reply.classList.toggle('hidden'); input.focus(); }),
+    btn(resolved ? 'fa-rotate-left' : 'fa-check', resolved ? 'Reopen' : 'Resolve',
+      () => replyToComment(t, { contents: '', state: resolved ? 'None' : RESOLVED })),
+    btn('fa-trash', 'Delete', () => deleteComment(t)));
+  actions.lastChild.classList.add('danger');
+  li.append(actions, reply);
+  li.addEventListener('click', e => { if (!e.target.closest('button, input')) focusComment(t); });
+  return li;
+}
+
+/** Show a comment's page and outline it on the preview. */
+async function focusComment(t) {
+  const page = S.pageOrder.indexOf(t.origIdx) + 1;
+  S.commentFocus = { doc: S.pdfJsDoc, key: t.key, origIdx: t.origIdx, box: t.box };
+  $('commentList').querySelectorAll('.comment').forEach(li => li.classList.toggle('active', li.dataset.key === t.key));
+  if (page !== S.curPage) await previewMain(page);
+  else drawOverlay();
+}
+
+function drawCommentFocus(ctx, m) {
+  const f = S.commentFocus;
+  if (!f || f.doc !== S.pdfJsDoc || f.origIdx !== S.view.origIdx) return;
+  ctx.save();
+  ctx.setTransform(...m);
+  ctx.strokeStyle = '#ff8c00'; ctx.lineWidth = 2; ctx.setLineDash([6, 3]);
+  ctx.strokeRect(f.box.x0 - 4, f.box.y0 - 4, f.box.x1 - f.box.x0 + 8, f.box.y1 - f.box.y0 + 8);
+  ctx.restore();
+}
+
+/** Add a Text annotation replying to (or setting the review state of) parentRef. */
+function writeReply(doc, page, parentRef, r) {
+  const L      = PDFLib;
+  const ctx    = doc.context;
+  const N      = n => L.PDFName.of(n);
+  const parent = ctx.lookup(parentRef);
+  const dict   = ctx.obj({
+    Type:         'Annot',
+    Subtype:      'Text',
+    Rect:         parent.lookup(N('Rect')).clone(),
+    // Replies print with their thread; state changes are never shown
+    F:            r.state ? 30 : 28,
+    P:            page.ref,
+    IRT:          parentRef,
+    Name:         'Comment',
+    NM:           L.PDFHexString.fromText(r.nm),
+    M:            L.PDFString.fromDate(new Date(r.created)),
+    CreationDate: L.PDFString.fromDate(new Date(r.created)),
+    Contents:     L.PDFHexString.fromText(r.contents),
+  });
+  if (r.author) dict.set(N('T'), L.PDFHexString.fromText(r.author));
+  if (r.state) {
+    dict.set(N('State'), L.PDFHexString.fromText(r.state));
+    dict.set(N('StateModel'), L.PDFHexString.fromText('Review'));
+  }
+  page.node.addAnnot(ctx.register(dict));
+}
+
+/** Remove an annotation with its popup and every reply to it. */
+function removeAnnot(doc, ref) {
+  const L    = PDFLib;
+  const N    = n => L.PDFName.of(n);
+  const all  = doc.getPages().flatMap(p => (p.node.Annots()?.asArray() || []).map(r => [r, doc.context.lookup(r)]));
+  const gone = new Set([ref.toString()]);
+  for (let grew = true; grew; ) {
+    grew = false;
+    all.forEach(([r, a]) => {
+      if (gone.has(r.toString()) || !(a instanceof L.PDFDict)) return;
+      const up = a.get(N('IRT')) || (a.get(N('Subtype')) === N('Popup') && a.get(N('Parent')));
+      if (up instanceof L.PDFRef && gone.has(up.toString())) { gone.add(r.toString()); grew = true; }
+    });
+  }
+  doc.getPages().forEach(p => {
+    const annots = p.node.Annots();
+    for (let i = annots ? annots.size() - 1 : -1; i >= 0; i--) {
+      if (gone.has(annots.get(i).toString())) annots.remove(i);
+    }
+  });
+  all.forEach(([r]) => { if (gone.has(r.toString())) doc.context.delete(r); });
+}
+
+/**
+ * Ref of comment c among a rebuilt page's /Annots, found by /NM or
+ * else by what it shows: rebuild() drops dead links, so its place
+ * in the original /Annots may be stale.
+ */
+function findDocComment(doc, page, c) {
+  const same = info => (c.nm ? info.nm === c.nm
+    : info.subtype === c.subtype && info.rect.join() === c.rect.join() && info.author === c.author && info.contents === c.contents);
+  const ref = (page.node.Annots()?.asArray() || []).find(r => {
+    const dict = doc.context.lookup(r);
+    const info = dict instanceof PDFLib.PDFDict && annotInfo(dict);
+    return info && same(info);
+  });
+  if (!ref) throw new Error('the comment is no longer in the document');
+  return ref;
+}
+
+/** Change document comments: fn(doc, page, ref) per [comment, …] entry, as one undo step. */
+async function editDocComments(entries, label, fn) {
+  const doc = await PDFLib.PDFDocument.load(await rebuild(), { ignoreEncryption: true, updateMetadata: false });
+  entries.forEach(([c, ...args]) => {
+    const page = doc.getPage(S.pageOrder.indexOf(c.origIdx));
+    fn(doc, page, findDocComment(doc, page, c), ...args);
+  });
+  await applyEdit(await doc.save(), label);
+}
+
+async function replyToComment(t, { contents, state = '' }) {
+  const reply = { author: $('annotAuthor').value.trim(), contents, state, created: Date.now(), nm: annotName() };
+  const label = state ? (state === RESOLVED ? 'Resolve comment' : 'Reopen comment') : 'Reply to comment';
+  loading(true, 'Saving…');
+  try {
+    if (t.src === 'item') {
+      pushHistory(label);
+      // Replace, never mutate: history snapshots share the old array
+      S.items = S.items.map(it => (it.id === t.id ? { ...it, replies: [...(it.replies || []), reply] } : it));
+    } else {
+      await editDocComments([[t, reply]], label, writeReply);
+    }
+    await renderComments();
+  } catch (e) {
+    console.error('replyToComment error:', e);
+    toast(`Saving failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+}
+
+async function deleteComment(t) {
+  loading(true, 'Deleting…');
+  try {
+    if (t.src === 'item') deleteItem(t.id);
+    else await editDocComments([[t]], 'Delete comment', (doc, page, ref) => removeAnnot(doc, ref));
+    if (S.commentFocus?.key === t.key) { S.commentFocus = null; drawOverlay(); }
+    await renderComments();
+  } catch (e) {
+    console.error('deleteComment error:', e);
+    toast(`Delete failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+}
+
+/* XFDF */
+const xfdfNums = s => (s || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+
+/** Comments of the output document (placed annotations included) as an XFDF string. */
+async function buildXfdf() {
+  const L   = PDFLib;
+  const N   = n => L.PDFName.of(n);
+  const doc = await L.PDFDocument.load(await rebuild(), { ignoreEncryption: true, updateMetadata: false });
+  addAnnotations(doc, S.pageOrder);
+  const ctx = doc.context;
+  const x   = document.implementation.createDocument(XFDF_NS, 'xfdf', null);
+  x.documentElement.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:space', 'preserve');
+  const annots = x.createElementNS(XFDF_NS, 'annots');
+  const num    = (dict, k) => dict.lookup(N(k))?.asNumber?.();
+  const list   = [];
+  doc.getPages().forEach((page, p) => (page.node.Annots()?.asArray() || []).forEach(ref => {
+    const dict = ctx.lookup(ref);
+    const info = dict instanceof L.PDFDict && annotInfo(dict);
+    if (!info) return;
+    // Replies name what they answer: every comment needs a name
+    if (!info.nm) { info.nm = annotName(); dict.set(N('NM'), L.PDFHexString.fromText(info.nm)); }
+    list.push({ p, ref, dict, info });
+  }));
+  const names = new Map(list.map(a => [a.ref.toString(), a.info.nm]));
+
+  list.forEach(({ p, dict, info }) => {
+    const el  = x.createElementNS(XFDF_NS, XFDF_TAG[info.subtype]);
+    const set = (k, v) => { if (v !== '' && v != null) el.setAttribute(k, v); };
+    const raw = k => { const v = dict.lookup(N(k)); return v instanceof L.PDFString ? v.asString() : v?.decodeText?.(); };
+    const pts = k => dict.lookup(N(k))?.asArray?.().map(n => csNum(n.asNumber?.() ?? 0)) || [];
+    const flags = num(dict, 'F') || 0;
+    set('page',         p);
+    set('rect',         info.rect.map(csNum).join(','));
+    set('name',         info.nm);
+    set('title',        info.author);
+    set('subject',      raw('Subj'));
+    set('date',         raw('M'));
+    set('creationdate', raw('CreationDate'));
+    set('color',        info.color);
+    set('opacity',      info.opacity !== 1 ? csNum(info.opacity) : '');
+    set('flags',        FLAG_NAMES.filter((_, i) => flags & (1 << i)).join(','));
+    set('width',        num(dict.lookup(N('BS')) || dict, 'W'));
+    set('interior-color', pdfColorHex(dict.lookup(N('IC'))));
+    if (info.irt) {
+      set('inreplyto', names.get(info.irt));
+      if (info.group) set('replyType', 'group');
+    }
+    if (info.subtype === 'Text') {
+      set('icon', dict.lookup(N('Name'))?.decodeText?.());
+      set('state', info.state);
+      set('statemodel', raw('StateModel'));
+    }
+    set('coords', pts('QuadPoints').join(','));
+    set('vertices', pts('Vertices').join(','));
+    if (info.subtype === 'Line') {
+      const l = pts('L'), le = dict.lookup(N('LE'))?.asArray?.() || [];
+      set('start', l.slice(0, 2).join(','));
+      set('end',   l.slice(2, 4).join(','));
+      set('head',  le[0]?.decodeText?.());
+      set('tail',  le[1]?.decodeText?.());
+    }
+    const ink = dict.lookup(N('InkList'));
+    if (ink instanceof L.PDFArray) {
+      const list = x.createElementNS(XFDF_NS, 'inklist');
+      ink.asArray().forEach(g => {
+        const xy = ctx.lookup(g).asArray().map(n => csNum(n.asNumber()));
+        const gesture = x.createElementNS(XFDF_NS, 'gesture');
+        gesture.textContent = xy.reduce((s, v, i) => s + (i ? (i % 2 ? ',' : ';') : '') + v, '');
+        list.appendChild(gesture);
+      });
+      el.appendChild(list);
+    }
+    if (info.contents) {
+      const c = x.createElementNS(XFDF_NS, 'contents');
+      c.textContent = info.contents;
+      el.appendChild(c);
+    }
+    annots.appendChild(el);
+  });
+  const f = x.createElementNS(XFDF_NS, 'f');
+  f.setAttribute('href', S.fileName || 'document.pdf');
+  x.documentElement.append(annots, f);
+  return { xml: '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(x), count: list.length };
+}
+
+/** An annotation item from an XFDF element, or null for types not placed here. */
+function xfdfItem(el, origIdx, view) {
+  const attr  = k => el.getAttribute(k) || '';
+  const toPg  = (x, y) => [x - view[0], view[3] - y];
+  const date  = k => { try { return PDFLib.PDFString.of(attr(k)).decodeDate().getTime(); } catch (e) { return null; } };
+  const [x0, y0, x1, y1] = xfdfNums(attr('rect'));
+  const tag   = el.localName;
+  let atype   = { text: 'note', highlight: 'highlight', underline: 'underline', strikeout: 'strikeout',
+                  square: 'square', circle: 'circle', line: 'line', ink: 'ink' }[tag];
+  if (!atype || ![x0, y0, x1, y1].every(Number.isFinite)) return null;
+  const modified = date('date') || Date.now();
+  const contents = el.getElementsByTagNameNS('*', 'contents')[0]
+    || el.getElementsByTagNameNS('*', 'contents-richtext')[0];
+  let start = toPg(...xfdfNums(attr('start'))), end = toPg(...xfdfNums(attr('end')));
+  if (tag === 'line' && /arrow/i.test(attr('head') + attr('tail'))) {
+    atype = 'arrow';
+    if (!/arrow/i.test(attr('tail'))) [start, end] = [end, start];   // our arrows point at the end
+  }
+  const it = newAnnot(atype, {
+    page:     origIdx,
+    color:    /^#[0-9a-f]{6}$/i.test(attr('color')) ? attr('color') : ANNOT_COLOR[atype],
+    opacity:  Math.min(1, Math.max(0.1, parseFloat(attr('opacity')) || 1)),
+    width:    Math.max(0.5, parseFloat(attr('width')) || 1),
+    author:   attr('title'),
+    contents: contents ? contents.textContent : '',
+    created:  date('creationdate') || modified,
+    modified,
+    nm:       attr('name') || annotName(),
+    replies:  [],
+  });
+  const [tx, ty] = toPg(Math.min(x0, x1), Math.max(y0, y1));
+  const box = { x: tx, top: ty, w: Math.abs(x1 - x0), h: Math.abs(y1 - y0) };
+  if (isMarkup(atype)) {
+    const c = xfdfNums(attr('coords'));
+    const quads = [];
+    // XFDF quads run top-left, top-right, bottom-left, bottom-right; ours start bottom-left
+    for (let i = 0; i + 8 <= c.length; i += 8) {
+      const q = [0, 2, 4, 6].map(k => toPg(c[i + k], c[i + k + 1]));
+      quads.push([q[2], q[3], q[1], q[0]]);
+    }
+    return setAnnotShape(it, quads.length ? quads : [rectPts({ x0: box.x, y0: box.top, x1: box.x + box.w, y1: box.top + box.h }).reverse()]);
+  }
+  if (atype === 'line' || atype === 'arrow') {
+    return [...start, ...end].every(Number.isFinite) ? setAnnotShape(it, [[start, end]]) : null;
+  }
+  if (atype === 'ink') {
+    const strokes = [...el.getElementsByTagNameNS('*', 'gesture')]
+      .map(g => g.textContent.split(';').map(xfdfNums).filter(p => p.length === 2).map(([x, y]) => toPg(x, y)))
+      .filter(s => s.length);
+    return strokes.length ? setAnnotShape(it, strokes) : null;
+  }
+  return Object.assign(it, box);
+}
+
+async function importXfdf(file) {
+  const xml  = new DOMParser().parseFromString(await file.text(), 'application/xml');
+  const root = xml.documentElement;
+  if (root.localName !== 'xfdf' || xml.getElementsByTagName('parsererror').length) throw new Error('Not an XFDF file');
+  const els  = [...(root.getElementsByTagNameNS('*', 'annots')[0]?.children || [])];
+  const docs = (await docComments()).filter(c => S.pageOrder.includes(c.origIdx));
+  // name → { doc: comment } | { id: item id } | { item: new item }
+  const targets = new Map();
+  docs.forEach(c => c.nm && targets.set(c.nm, { doc: c }));
+  S.items.filter(it => it.kind === 'annot').forEach(it => {
+    targets.set(it.nm, { id: it.id });
+    (it.replies || []).forEach(r => targets.set(r.nm, { id: it.id }));
+  });
+  const known = new Set(targets.keys());
+  const added = [], itemReplies = new Map(), docReplies = [];
+  let replies = 0, skipped = 0, dup = 0;
+
+  // Comments before replies, so every reply finds what it answers
+  els.sort((a, b) => a.hasAttribute('inreplyto') - b.hasAttribute('inreplyto'));
+  for (const el of els) {
+    const name = el.getAttribute('name');
+    if (name && known.has(name)) { dup++; continue; }
+    const pg = parseInt(el.getAttribute('page'), 10);
+    if (!(pg >= 0 && pg < S.totalPages)) { skipped++; continue; }
+    const irt = el.getAttribute('inreplyto');
+    if (irt) {
+      const to = targets.get(irt);
+      if (!to || el.getAttribute('replyType') === 'group') { skipped++; continue; }
+      let created;
+      try { created = PDFLib.PDFString.of(el.getAttribute('date') || '').decodeDate().getTime(); } catch (e) { created = Date.now(); }
+      const reply = {
+        author:   el.getAttribute('title') || '',
+        contents: el.getElementsByTagNameNS('*', 'contents')[0]?.textContent || '',
+        state:    el.getAttribute('statemodel') === 'Review' ? el.getAttribute('state') || '' : '',
+        created,
+        nm:       name || annotName(),
+      };
+      if (to.item) to.item.replies = [...to.item.replies, reply];
+      else if (to.doc) docReplies.push([to.doc, reply]);
+      else itemReplies.set(to.id, [...(itemReplies.get(to.id) || []), reply]);
+      targets.set(reply.nm, to);
+      replies++;
+      continue;
+    }
+    const origIdx = S.pageOrder[pg];
+    const it = xfdfItem(el, origIdx, (await S.pdfJsDoc.getPage(origIdx + 1)).view);
+    if (!it) { skipped++; continue; }
+    added.push(it);
+    targets.set(it.nm, { item: it });
+  }
+  const count = added.length + replies;
+  if (!count) return { count, skipped, dup };
+
+  // Replies to document comments change the file; the rest are items
+  const label = `Import ${count} comment(s)`;
+  if (docReplies.length) {
+    const pages = added.map(it => S.pageOrder.indexOf(it.page));
+    await editDocComments(docReplies, label, writeReply);
+    added.forEach((it, i) => { it.page = S.pageOrder[pages[i]]; });
+  } else {
+    pushHistory(label);
+  }
+  S.items = S.items.map(it => (itemReplies.has(it.id)
+    ? { ...it, replies: [...(it.replies || []), ...itemReplies.get(it.id)] } : it));
+  added.forEach(it => { it.id = ++itemSeq; S.items.push(it); });
+  await previewMain(S.curPage);
+  return { count, skipped, dup };
+}
+
+$('xfdfExportBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  loading(true, 'Exporting comments…');
+  try {
+    const { xml, count } = await buildXfdf();
+    dlBytes(new TextEncoder().encode(xml), `${baseName()}.xfdf`, 'application/vnd.adobe.xfdf');
+    toast(`Exported ${count} annotation(s) to XFDF!`, 'success');
+  } catch (e) {
+    console.error('xfdfExportBtn error:', e);
+    toast(`Export failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+$('xfdfImportBtn').addEventListener('click', () => $('xfdfInput').click());
+$('xfdfInput').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file || !S.rawBytes) return;
+  loading(true, 'Importing comments…');
+  try {
+    const { count, skipped, dup } = await importXfdf(file);
+    await renderComments();
+    toast(`Imported ${count} comment(s)` + (dup ? `, ${dup} already present` : '')
+      + (skipped ? `, ${skipped} skipped (unsupported type or page)` : '') + '.', count ? 'success' : 'info');
+  } catch (e) {
+    console.error('xfdfInput error:', e);
+    toast(`Import failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
+});
+
+$('commentsResolved').addEventListener('change', renderComments);
+
+/* ─── CRYPTO HELPERS ─────────────────────────
+   Thin wrappers over WebCrypto. AES-CBC in WebCrypto always
+   applies PKCS#7 padding, so the "no padding" variants the PDF
+   security handler needs are derived from it:
+   · encrypt → drop the trailing pad block
+   · decrypt → append a forged pad block so unpadding succeeds
+─────────────────────────────────────────────────── */
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  parts.forEach(p => { out.set(p, off); off += p.length; });
+  return out;
+}
+
+function randomBytes(n) {
+  return crypto.getRandomValues(new Uint8Array(n));
+}
+
+async function digest(algo, data) {
+  return new Uint8Array(await crypto.subtle.digest(algo, data));
+}
+
+async function aesKey(raw) {
+  return raw instanceof CryptoKey
+    ? raw
+    : crypto.subtle.importKey('raw', raw, 'AES-CBC', false, ['encrypt', 'decrypt']);
+}
+
+async function aesEncrypt(key, iv, data, pad = true) {
+  const out = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, await aesKey(key), data));
+  return pad ? out : out.subarray(0, data.length);
+}
+
+async function aesDecrypt(key, iv, data, pad = true) {
+  const k = await aesKey(key);
+  if (!pad) {
+    const last = data.length ? data.subarray(data.length - 16) : iv;
+    const fake = await aesEncrypt(k, last, new Uint8Array(0));
+    data = concatBytes(data, fake);
+  }
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, k, data));
+}
+
+/* ─── ASN.1 (DER) ────────────────────────────────
+   Just enough DER to read certificates and CMS signatures
+   and to write CMS SignedData. Parsed elements keep offsets
+   into their buffer, so signed parts are checked as the exact
+   bytes they arrived in:
+   { tag, start, body, end, kids } → element = buf[start, end)
+─────────────────────────────────────────────────── */
+const OID = {
+  data:          '1.2.840.113549.1.7.1',
+  signedData:    '1.2.840.113549.1.7.2',
+  contentType:   '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime:   '1.2.840.113549.1.9.5',
+  signingCertV2: '1.2.840.113549.1.9.16.2.47',
+  rsa:           '1.2.840.113549.1.1.1',
+  rsaPss:        '1.2.840.113549.1.1.10',
+  ec:            '1.2.840.10045.2.1',
+  sha256:        '2.16.840.1.101.3.4.2.1',
+  ecdsaSha256:   '1.2.840.10045.4.3.2',
+};
+const HASH_OID = {
+  '1.3.14.3.2.26': 'SHA-1', '2.16.840.1.101.3.4.2.1': 'SHA-256',
+  '2.16.840.1.101.3.4.2.2': 'SHA-384', '2.16.840.1.101.3.4.2.3': 'SHA-512',
+};
+const CURVE_OID  = { '1.2.840.10045.3.1.7': 'P-256', '1.3.132.0.34': 'P-384', '1.3.132.0.35': 'P-521' };
+const CURVE_SIZE = { 'P-256': 32, 'P-384': 48, 'P-521': 66 };
+const NAME_ATTR  = { '2.5.4.3': 'CN', '2.5.4.10': 'O', '2.5.4.11': 'OU', '2.5.4.6': 'C', '1.2.840.113549.1.9.1': 'E' };
+
+/** Parse the element at off; BER indefinite lengths are accepted too. */
+function derParse(buf, off = 0) {
+  const tag = buf[off];
+  let p = off + 1, len = buf[p++];
+  const indefinite = len === 0x80;
+  if (len & 0x80 && !indefinite) {
+    const n = len & 0x7f;
+    len = 0;
+    for (let i = 0; i < n; i++) len = len * 256 + buf[p++];
+  }
+  const el = { tag, start: off, body: p, end: indefinite ? -1 : p + len };
+  if (tag & 0x20) {
+    el.kids = [];
+    let q = p;
+    while (indefinite ? buf[q] || buf[q + 1] : q < el.end) {
+      if (q >= buf.length) throw new Error('truncated ASN.1');
+      const kid = derParse(buf, q);
+      el.kids.push(kid);
+      q = kid.end;
+    }
+    if (indefinite) el.end = q + 2;
+  } else if (indefinite) {
+    throw new Error('malformed ASN.1');
+  }
+  if (el.end > buf.length) throw new Error('truncated ASN.1');
+  return el;
+}
+
+const derBytes = (buf, el) => buf.subarray(el.start, el.end);
+const derBody  = (buf, el) => buf.subarray(el.body, el.end);
+
+function cmpBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return a.length - b.length;
+}
+
+function derLen(n) {
+  if (n < 0x80) return [n];
+  const out = [];
+  for (; n; n = Math.floor(n / 256)) out.unshift(n & 0xff);
+  return [0x80 | out.length, ...out];
+}
+
+function der(tag, ...parts) {
+  const body = concatBytes(...parts);
+  return concatBytes(Uint8Array.of(tag, ...derLen(body.length)), body);
+}
+const derSeq = (...parts) => der(0x30, ...parts);
+const derInt = n => der(0x02, Uint8Array.of(n));        // small non-negative values only
+// DER orders the members of a SET OF by their encoding
+const derSetOf = items => der(0x31, ...[...items].sort(cmpBytes));
+
+function derOid(oid) {
+  const arcs = oid.split('.').map(Number);
+  const out  = [40 * arcs[0] + arcs[1]];
+  arcs.slice(2).forEach(a => {
+    const b = [a & 0x7f];
+    for (a = Math.floor(a / 128); a; a = Math.floor(a / 128)) b.unshift(0x80 | (a & 0x7f));
+    out.push(...b);
+  });
+  return der(0x06, Uint8Array.from(out));
+}
+
+function oidOf(buf, el) {
+  const b     = derBody(buf, el);
+  const first = Math.min(2, Math.floor(b[0] / 40));
+  const arcs  = [first, b[0] - 40 * first];
+  for (let i = 1, v = 0; i < b.length; i++) {
+    v = v * 128 + (b[i] & 0x7f);
+    if (!(b[i] & 0x80)) { arcs.push(v); v = 0; }
+  }
+  return arcs.join('.');
+}
+
+function derString(buf, el) {
+  const b = derBody(buf, el);
+  if (el.tag === 0x0c) return new TextDecoder().decode(b);              // UTF8String
+  if (el.tag === 0x1e) {                                                // BMPString
+    let s = '';
+    for (let i = 0; i + 1 < b.length; i += 2) s += String.fromCharCode(b[i] << 8 | b[i + 1]);
+    return s;
+  }
+  return latin1(b);
+}
+
+/** UTCTime or GeneralizedTime, taken as UTC. */
+function derTime(buf, el) {
+  const s = derString(buf, el);
+  const [y, r] = el.tag === 0x17 ? [+s.slice(0, 2), s.slice(2)] : [+s.slice(0, 4), s.slice(4)];
+  const year = el.tag === 0x17 ? y + (y < 50 ? 2000 : 1900) : y;
+  return new Date(Date.UTC(year, +r.slice(0, 2) - 1, +r.slice(2, 4), +r.slice(4, 6), +r.slice(6, 8), +r.slice(8, 10) || 0));
+}
+
+/** { CN, O, … } of an X.501 Name. */
+function derName(buf, el) {
+  const out = {};
+  el.kids.forEach(rdn => rdn.kids.forEach(atv => {
+    const key = NAME_ATTR[oidOf(buf, atv.kids[0])];
+    if (key && !(key in out)) out[key] = derString(buf, atv.kids[1]);
+  }));
+  return out;
+}
+
+/** { oid, curve } of the key an AlgorithmIdentifier describes. */
+function keyType(buf, algId) {
+  const oid = oidOf(buf, algId.kids[0]);
+  return { oid, curve: oid === OID.ec ? CURVE_OID[oidOf(buf, algId.kids[1])] : null };
+}
+
+/** WebCrypto parameters for a key type, good for import, sign and verify alike. */
+function keyAlgorithm(type, hash) {
+  if (type.oid === OID.rsa) return { name: 'RSASSA-PKCS1-v1_5', hash };
+  if (type.oid === OID.ec && type.curve) return { name: 'ECDSA', namedCurve: type.curve, hash };
+  throw new Error(`unsupported key type ${type.oid}${type.oid === OID.ec ? ' curve' : ''}`);
+}
+
+/** The fields of an X.509 certificate (DER) that signing and verifying need. */
+function certInfo(cert) {
+  const tbs = derParse(cert).kids[0];
+  const [serial, , issuer, validity, subject, spki] = tbs.kids[0].tag === 0xa0 ? tbs.kids.slice(1) : tbs.kids;
+  return {
+    der:        cert,
+    serial:     derBytes(cert, serial),
+    issuer:     derBytes(cert, issuer),
+    spki:       derBytes(cert, spki),
+    keyType:    keyType(cert, spki.kids[0]),
+    subject:    derName(cert, subject),
+    issuerName: derName(cert, issuer),
+    selfSigned: sameBytes(derBytes(cert, issuer), derBytes(cert, subject)),
+    notBefore:  derTime(cert, validity.kids[0]),
+    notAfter:   derTime(cert, validity.kids[1]),
+  };
+}
+
+/* ECDSA signatures: WebCrypto uses r‖s, CMS a SEQUENCE of two INTEGERs */
+function ecdsaToDer(raw) {
+  const int = b => {
+    let i = 0;
+    while (i < b.length - 1 && !b[i]) i++;
+    b = b.subarray(i);
+    return der(0x02, b[0] & 0x80 ? concatBytes(Uint8Array.of(0), b) : b);
+  };
+  return derSeq(int(raw.subarray(0, raw.length / 2)), int(raw.subarray(raw.length / 2)));
+}
+
+function ecdsaFromDer(sig, size) {
+  const out = new Uint8Array(2 * size);
+  derParse(sig).kids.forEach((k, i) => {
+    let b = derBody(sig, k);
+    while (b.length > size && !b[0]) b = b.subarray(1);
+    out.set(b, (i + 1) * size - b.length);
+  });
+  return out;
+}
+
+/* ─── PDF ENCRYPTION (AES-256) ───────────────────
+   Standard security handler, revision 6 (ISO 32000-2
+   §7.6.4). Every string and stream in the document is
+   encrypted with the random 256-bit file key; the key
+   itself is wrapped under both passwords (UE / OE).
+─────────────────────────────────────────────────── */
+const PERM_BITS = {
+  print:    (1 << 2) | (1 << 11),  // print + high-quality print
+  modify:   (1 << 3) | (1 << 10),  // modify + assemble
+  copy:     (1 << 4),              // copy / extract
+  annotate: (1 << 5) | (1 << 8),   // annotate + fill forms
+};
+
+function permFlags(perms) {
+  // Bits 7–8 and 13–32 are reserved and must be 1; bit 10
+  // (accessibility extraction) is always granted per PDF 2.0.
+  let p = 0xFFFFF0C0 | (1 << 9);
+  Object.entries(PERM_BITS).forEach(([k, bits]) => { if (perms[k]) p |= bits; });
+  return p | 0;
+}
+
+/** SASLprep-ish password prep for R6: NFKC, UTF-8, max 127 bytes. */
+function r6Password(pwd) {
+  return new TextEncoder().encode((pwd || '').normalize('NFKC')).subarray(0, 127);
+}
+
+/** Algorithm 2.B — the iterated SHA-2 / AES hash used by R6. */
+async function r6Hash(pwd, salt, udata = new Uint8Array(0)) {
+  let k = await digest('SHA-256', concatBytes(pwd, salt, udata));
+  let e = new Uint8Array(0);
+  for (let i = 0; i < 64 || e[e.length - 1] > i - 32; i++) {
+    const block = concatBytes(pwd, k, udata);
+    const k1    = new Uint8Array(block.length * 64);
+    for (let j = 0; j < 64; j++) k1.set(block, j * block.length);
+    e = await aesEncrypt(k.subarray(0, 16), k.subarray(16, 32), k1, false);
+    // 256 ≡ 1 (mod 3), so the big-endian value mod 3 is the byte sum mod 3
+    const mod = e.subarray(0, 16).reduce((a, b) => a + b, 0) % 3;
+    k = await digest(['SHA-256', 'SHA-384', 'SHA-512'][mod], e);
+  }
+  return k.subarray(0, 32);
+}
+
+/** Walk a PDF object and replace every string via fn (async). */
+async function mapStrings(obj, fn) {
+  const L = PDFLib;
+  if (obj instanceof L.PDFString || obj instanceof L.PDFHexString) return fn(obj.asBytes());
+  if (obj instanceof L.PDFArray) {
+    for (let i = 0; i < obj.size(); i++) obj.set(i, await mapStrings(obj.get(i), fn));
+  } else if (obj instanceof L.PDFDict) {
+    for (const [k, v] of obj.entries()) obj.set(k, await mapStrings(v, fn));
+  }
+  return obj;
+}
+
+const toHexStr = bytes =>
+  PDFLib.PDFHexString.of(Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(''));
+
+/**
+ * Encrypt a PDF with AES-256 (V5/R6). Without an owner password a
+ * random one is used, so the permissions cannot be lifted with the
+ * user password (or, when that is empty, by anyone).
+ * @param {Uint8Array} bytes  unencrypted PDF
+ * @param {{userPwd:string, ownerPwd?:string, perms:Object}} opts
+ * @returns {Promise<Uint8Array>}
+ */
+async function encryptPdf(bytes, { userPwd, ownerPwd, perms }) {
+  const L   = PDFLib;
+  const doc = await L.PDFDocument.load(bytes.slice(), { updateMetadata: false });
+  const ctx = doc.context;
+
+  const fileKey = randomBytes(32);
+  const key     = await aesKey(fileKey);
+  const encBytes = async data => {
+    const iv = randomBytes(16);
+    return concatBytes(iv, await aesEncrypt(key, iv, data));
+  };
+
+  // Strings and streams — everything currently in the document
+  for (const [ref, obj] of ctx.enumerateIndirectObjects()) {
+    if (obj instanceof L.PDFStream) {
+      await mapStrings(obj.dict, async b => toHexStr(await encBytes(b)));
+      ctx.assign(ref, L.PDFRawStream.of(obj.dict, await encBytes(obj.getContents())));
+    } else {
+      ctx.assign(ref, await mapStrings(obj, async b => toHexStr(await encBytes(b))));
+    }
+  }
+
+  // Key wrapping (Algorithms 8, 9, 10)
+  const up = r6Password(userPwd);
+  const op = r6Password(ownerPwd || Array.from(randomBytes(16), b => b.toString(16).padStart(2, '0')).join(''));
+  const zeroIv = new Uint8Array(16);
+
+  const uVal = randomBytes(8), uKey = randomBytes(8);
+  const U  = concatBytes(await r6Hash(up, uVal), uVal, uKey);
+  const UE = await aesEncrypt(await r6Hash(up, uKey), zeroIv, fileKey, false);
+
+  const oVal = randomBytes(8), oKey = randomBytes(8);
+  const O  = concatBytes(await r6Hash(op, oVal, U), oVal, oKey);
+  const OE = await aesEncrypt(await r6Hash(op, oKey, U), zeroIv, fileKey, false);
+
+  const P     = permFlags(perms);
+  const perm  = new Uint8Array(16);
+  new DataView(perm.buffer).setInt32(0, P, true);
+  perm.set([0xFF, 0xFF, 0xFF, 0xFF, 0x54 /* T */, 0x61, 0x64, 0x62], 4);
+  perm.set(randomBytes(4), 12);
+  const Perms = await aesEncrypt(key, zeroIv, perm, false);
+
+  const encDict = ctx.obj({
+    Filter: 'Standard', V: 5, R: 6, Length: 256, P,
+    CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+    StmF: 'StdCF', StrF: 'StdCF',
+  });
+  encDict.set(L.PDFName.of('O'),     toHexStr(O));
+  encDict.set(L.PDFName.of('U'),     toHexStr(U));
+  encDict.set(L.PDFName.of('OE'),    toHexStr(OE));
+  encDict.set(L.PDFName.of('UE'),    toHexStr(UE));
+  encDict.set(L.PDFName.of('Perms'), toHexStr(Perms));
+  ctx.trailerInfo.Encrypt = ctx.register(encDict);
+
+  if (!ctx.trailerInfo.ID) {
+    const id = toHexStr(randomBytes(16));
+    ctx.trailerInfo.ID = ctx.obj([id, id]);
+  }
+
+  // AESV3 is an extension to PDF 1.7 (Adobe extension level 8)
+  doc.catalog.set(L.PDFName.of('Extensions'),
+    ctx.obj({ ADBE: { BaseVersion: L.PDFName.of('1.7'), ExtensionLevel: 8 } }));
+
+  // Object streams would be written unencrypted after this pass
+  const out = await doc.save({ useObjectStreams: false, updateFieldAppearances: false });
+  return out instanceof Uint8Array ? out : new Uint8Array(out);
+}
+
+/* ─── PDF DECRYPTION ─────────────────────────────
+   Standard security handler, revisions 2–6 (RC4, AES-128,
+   AES-256). pdf-lib cannot read encrypted object streams,
+   so the file is parsed twice with a hooked parser:
+   1. read the trailer + /Encrypt dict (object streams skipped)
+   2. decrypt every object as it is parsed, in file order,
+      unpacking object streams only after decrypting them
+   The result is re-serialized as a plain, unencrypted PDF.
+─────────────────────────────────────────────────── */
+const PWD_PAD = new Uint8Array([
+  0x28, 0xBF, 0x4E, 0x5E, 0x4E, 0x75, 0x8A, 0x41, 0x64, 0x00, 0x4E, 0x56, 0xFF, 0xFA, 0x01, 0x08,
+  0x2E, 0x2E, 0x00, 0xB6, 0xD0, 0x68, 0x3E, 0x80, 0x2F, 0x0C, 0xA9, 0xFE, 0x64, 0x53, 0x69, 0x7A,
+]);
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+const MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+
+/** MD5 — not in WebCrypto, but required by the R2–R4 key derivation. */
+function md5(data) {
+  const len = data.length;
+  const buf = new Uint8Array((((len + 8) >>> 6) + 1) * 64);
+  buf.set(data);
+  buf[len] = 0x80;
+  const dv = new DataView(buf.buffer);
+  dv.setUint32(buf.length - 8, (len << 3) >>> 0, true);
+  dv.setUint32(buf.length - 4, Math.floor(len / 0x20000000), true);
+
+  let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+  for (let off = 0; off < buf.length; off += 64) {
+    let a = a0, b = b0, c = c0, d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16)      { f = (b & c) | (~b & d); g = i; }
+      else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+      else if (i < 48) { f = b ^ c ^ d;          g = (3 * i + 5) % 16; }
+      else             { f = c ^ (b | ~d);       g = (7 * i) % 16; }
+      const sh = MD5_S[(i >> 4) * 4 + (i % 4)];
+      const x  = (a + f + MD5_K[i] + dv.getUint32(off + g * 4, true)) | 0;
+      a = d; d = c; c = b;
+      b = (b + ((x << sh) | (x >>> (32 - sh)))) | 0;
+    }
+    a0 = (a0 + a) | 0; b0 = (b0 + b) | 0; c0 = (c0 + c) | 0; d0 = (d0 + d) | 0;
+  }
+  const out = new Uint8Array(16);
+  const ov  = new DataView(out.buffer);
+  [a0, b0, c0, d0].forEach((v, i) => ov.setUint32(i * 4, v >>> 0, true));
+  return out;
+}
+
+function rc4(key, data) {
+  const st = Uint8Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + st[i] + key[i % key.length]) & 255;
+    [st[i], st[j]] = [st[j], st[i]];
+  }
+  const out = new Uint8Array(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 255;
+    j = (j + st[i]) & 255;
+    [st[i], st[j]] = [st[j], st[i]];
+    out[k] = data[k] ^ st[(st[i] + st[j]) & 255];
+  }
+  return out;
+}
+
+const sameBytes = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+/** Pad / truncate a password to 32 bytes (Algorithm 2, step a). */
+function padPwd(pwd) {
+  const b = Uint8Array.from(pwd.slice(0, 32), c => c.charCodeAt(0) & 0xFF);
+  return concatBytes(b, PWD_PAD.subarray(0, 32 - b.length));
+}
+
+function unpadPwd(padded) {
+  for (let k = 0; k <= 32; k++) {
+    if (sameBytes(padded.subarray(k), PWD_PAD.subarray(0, 32 - k))) {
+      return String.fromCharCode(...padded.subarray(0, k));
+    }
+  }
+  return String.fromCharCode(...padded);
+}
+
+/**
+ * Run pdf-lib's parser with our own per-object hook in place of
+ * its built-in object-stream / xref-stream handling.
+ * onObject(ref, obj, ctx) decides what gets assigned.
+ * This overrides and calls private PDFParser methods of pdf-lib
+ * 1.17.1; checkPdfLib() refuses to start without them.
+ */
+async function parseRaw(bytes, onObject) {
+  const parser = PDFLib.PDFParser.forBytesWithOptions(bytes);
+  const endobj = Array.from('endobj', c => c.charCodeAt(0));
+  parser.parseIndirectObject = async function () {
+    const ref = this.parseIndirectObjectHeader();
+    this.skipWhitespaceAndComments();
+    const obj = this.parseObject();
+    this.skipWhitespaceAndComments();
+    this.matchKeyword(endobj);
+    await onObject(ref, obj, this.context);
+    return ref;
+  };
+  return parser.parseDocument();
+}
+
+/** Throw at startup when pdf-lib lacks the parser methods parseRaw() hooks into. */
+function checkPdfLib() {
+  const hooks   = ['parseDocument', 'parseIndirectObject', 'parseIndirectObjectHeader', 'parseObject',
+    'skipWhitespaceAndComments', 'matchKeyword'];
+  const missing = hooks.filter(k => typeof PDFLib.PDFParser?.prototype[k] !== 'function');
+  if (missing.length) {
+    throw new Error(`Unsupported pdf-lib version: encrypted PDFs need 1.17.1 (PDFParser lacks ${missing.join(', ')})`);
+  }
+}
+
+const streamType = obj => obj.dict.lookup(PDFLib.PDFName.of('Type'));
+const isXRefStream = obj =>
+  obj instanceof PDFLib.PDFRawStream && streamType(obj) === PDFLib.PDFName.of('XRef');
+
+/**
+ * Read the /Encrypt dictionary.
+ * @returns {Promise<Object|null>} null when the PDF is not encrypted
+ */
+async function readSecurity(bytes) {
+  const L   = PDFLib;
+  const ctx = await parseRaw(bytes.slice(), async (ref, obj, c) => {
+    if (isXRefStream(obj)) L.PDFXRefStreamParser.forStream(obj).parseIntoContext();
+    else if (!(obj instanceof L.PDFRawStream && streamType(obj) === L.PDFName.of('ObjStm'))) c.assign(ref, obj);
+  });
+  const ref = ctx.trailerInfo.Encrypt;
+  const enc = ref && ctx.lookup(ref);
+  if (!(enc instanceof L.PDFDict)) return null;
+
+  const get = k => enc.lookup(L.PDFName.of(k));
+  const str = k => (get(k) ? get(k).asBytes() : new Uint8Array(0));
+  const num = (k, d) => (get(k) instanceof L.PDFNumber ? get(k).asNumber() : d);
+
+  const filter = get('Filter');
+  if (filter !== L.PDFName.of('Standard')) {
+    throw new Error(`Unsupported security handler ${filter || ''}`.trim());
+  }
+  const V = num('V', 0);
+  const R = num('R', 2);
+
+  // Crypt filter → method: 'V2' (RC4), 'AESV2', 'AESV3' or 'Identity'
+  const method = key => {
+    if (V < 4) return 'V2';
+    const name = get(key);
+    if (!name || name === L.PDFName.of('Identity')) return 'Identity';
+    const cf  = get('CF');
+    const def = cf instanceof L.PDFDict ? cf.lookup(name) : null;
+    const cfm = def instanceof L.PDFDict ? def.lookup(L.PDFName.of('CFM')) : null;
+    return cfm ? cfm.decodeText() : 'Identity';
+  };
+
+  const idArr = ctx.lookup(ctx.trailerInfo.ID);
+  const id    = idArr instanceof L.PDFArray ? idArr.lookup(0).asBytes() : new Uint8Array(0);
+
+  return {
+    ref, V, R,
+    keyLen:  V >= 5 ? 32 : V === 4 ? (get('Length') ? num('Length') / 8 : 16) : V === 1 ? 5 : num('Length', 40) / 8,
+    O: str('O'), U: str('U'), OE: str('OE'), UE: str('UE'),
+    P: num('P', 0),
+    encMeta: get('EncryptMetadata') !== L.PDFBool.False,
+    stm: method('StmF'),
+    str: method('StrF'),
+    id,
+  };
+}
+
+/** Algorithm 2 — file key for R2–R4 from a padded password. */
+function fileKeyR4(sec, padded) {
+  const p = new Uint8Array(4);
+  new DataView(p.buffer).setInt32(0, sec.P, true);
+  const noMeta = sec.R >= 4 && !sec.encMeta ? new Uint8Array([255, 255, 255, 255]) : new Uint8Array(0);
+  const n = sec.R === 2 ? 5 : sec.keyLen;
+  let h = md5(concatBytes(padded, sec.O.subarray(0, 32), p, sec.id, noMeta));
+  if (sec.R >= 3) for (let i = 0; i < 50; i++) h = md5(h.subarray(0, n));
+  return h.subarray(0, n);
+}
+
+/** Algorithms 4/5 — does this key reproduce /U? */
+function checkUserKeyR4(sec, key) {
+  if (sec.R === 2) return sameBytes(rc4(key, PWD_PAD), sec.U.subarray(0, 32));
+  let x = rc4(key, md5(concatBytes(PWD_PAD, sec.id)));
+  for (let i = 1; i <= 19; i++) x = rc4(key.map(b => b ^ i), x);
+  return sameBytes(x, sec.U.subarray(0, 16));
+}
+
+/**
+ * Try a password as owner, then as user password.
+ * @returns {Promise<{sec, key, owner:boolean, userPwd:?string}|null>}
+ */
+async function unlockSecurity(sec, pwd) {
+  if (sec.R >= 5) {
+    const p    = r6Password(pwd);
+    const hash = sec.R === 5
+      ? (pw, salt, ud = new Uint8Array(0)) => digest('SHA-256', concatBytes(pw, salt, ud))
+      : r6Hash;
+    const { O, U } = sec;
+    const zeroIv   = new Uint8Array(16);
+    if (sameBytes(await hash(p, O.subarray(32, 40), U.subarray(0, 48)), O.subarray(0, 32))) {
+      const kk = await hash(p, O.subarray(40, 48), U.subarray(0, 48));
+      return { sec, key: await aesDecrypt(kk, zeroIv, sec.OE.subarray(0, 32), false), owner: true, userPwd: null };
+    }
+    if (sameBytes(await hash(p, U.subarray(32, 40)), U.subarray(0, 32))) {
+      const kk = await hash(p, U.subarray(40, 48));
+      return { sec, key: await aesDecrypt(kk, zeroIv, sec.UE.subarray(0, 32), false), owner: false, userPwd: pwd };
+    }
+    return null;
+  }
+
+  // Algorithm 7 — owner password recovers the padded user password
+  const n = sec.R === 2 ? 5 : sec.keyLen;
+  let h = md5(padPwd(pwd));
+  if (sec.R >= 3) for (let i = 0; i < 50; i++) h = md5(h);
+  const ok = h.subarray(0, n);
+  let u = sec.O.subarray(0, 32);
+  if (sec.R === 2) u = rc4(ok, u);
+  else for (let i = 19; i >= 0; i--) u = rc4(ok.map(b => b ^ i), u);
+  const ownerKey = fileKeyR4(sec, u);
+  if (checkUserKeyR4(sec, ownerKey)) return { sec, key: ownerKey, owner: true, userPwd: unpadPwd(u) };
+
+  const userKey = fileKeyR4(sec, padPwd(pwd));
+  if (checkUserKeyR4(sec, userKey)) return { sec, key: userKey, owner: false, userPwd: pwd };
+  return null;
+}
+
+const AES_SALT = new Uint8Array([0x73, 0x41, 0x6C, 0x54]); // "sAlT"
+
+/** Algorithm 1 — per-object key (AESV3 uses the file key as-is). */
+function objectKey(crypt, ref, aes) {
+  if (crypt.sec.V >= 5) return crypt.key;
+  const n = ref.objectNumber, g = ref.generationNumber;
+  const h = md5(concatBytes(crypt.key,
+    new Uint8Array([n & 255, (n >> 8) & 255, (n >> 16) & 255, g & 255, (g >> 8) & 255]),
+    aes ? AES_SALT : new Uint8Array(0)));
+  return h.subarray(0, Math.min(crypt.key.length + 5, 16));
+}
+
+async function decryptData(crypt, method, ref, data) {
+  if (method !== 'V2' && method !== 'AESV2' && method !== 'AESV3') return data;
+  const k = objectKey(crypt, ref, method !== 'V2');
+  if (method === 'V2') return rc4(k, data);
+  if (data.length < 16) return new Uint8Array(0);
+  const iv = data.subarray(0, 16), body = data.subarray(16);
+  try {
+    return await aesDecrypt(k, iv, body);
+  } catch (e) {
+    // Bad padding — some writers omit it; fall back to raw blocks
+    return body.length % 16 === 0 ? aesDecrypt(k, iv, body, false) : body;
+  }
+}
+
+/** Produce an unencrypted copy of an encrypted PDF. */
+async function decryptPdf(bytes, crypt) {
+  const L   = PDFLib;
+  const sec = crypt.sec;
+  const decStr = ref => async b => toHexStr(await decryptData(crypt, sec.str, ref, b));
+
+  const ctx = await parseRaw(bytes.slice(), async (ref, obj, c) => {
+    if (ref === sec.ref) { c.assign(ref, obj); return; }
+    if (isXRefStream(obj)) { L.PDFXRefStreamParser.forStream(obj).parseIntoContext(); return; }
+    if (!(obj instanceof L.PDFRawStream)) { c.assign(ref, await mapStrings(obj, decStr(ref))); return; }
+
+    await mapStrings(obj.dict, decStr(ref));
+    const type   = streamType(obj);
+    const plain  = type === L.PDFName.of('Metadata') && !sec.encMeta
+      ? obj.contents
+      : await decryptData(crypt, sec.stm, ref, obj.contents);
+    const stream = L.PDFRawStream.of(obj.dict, plain);
+    if (type === L.PDFName.of('ObjStm')) await L.PDFObjectStreamParser.forStream(stream).parseIntoContext();
+    else c.assign(ref, stream);
+  });
+
+  ctx.delete(sec.ref);
+  delete ctx.trailerInfo.Encrypt;
+  const out = await L.PDFWriter.forContext(ctx, 50).serializeToBuffer();
+  return out instanceof Uint8Array ? out : new Uint8Array(out);
+}
+
+/** Permission flags (/P) → the Security panel's checkbox model. */
+function permsFromFlags(p) {
+  return {
+    print:    !!(p & (1 << 2)),
+    modify:   !!(p & (1 << 3)),
+    copy:     !!(p & (1 << 4)),
+    annotate: !!(p & (1 << 5)),
+  };
+}
+
+/* ─── PASSWORD PROMPT ────────────────────────── */
+function askPassword(msg) {
+  return new Promise(resolve => {
+    const box = $('pwdPrompt');
+    const inp = $('pwdPromptInput');
+    $('pwdPromptText').textContent = msg;
+    inp.value = ''; inp.type = 'password';
+    show(box); inp.focus();
+    const done = val => {
+      hide(box);
+      $('pwdPromptForm').onsubmit = $('pwdPromptCancel').onclick = null;
+      resolve(val);
+    };
+    $('pwdPromptForm').onsubmit   = e => { e.preventDefault(); done(inp.value); };
+    $('pwdPromptCancel').onclick = () => done(null);
+  });
+}
+
+/**
+ * Return a decrypted working copy of a PDF, prompting for the
+ * password when needed. An empty user password is tried first.
+ * @returns {Promise<{bytes:Uint8Array, security:?Object}|null>}
+ *   security is null for unencrypted input; null result = cancelled
+ */
+async function unlockPdf(bytes, name) {
+  const sec = await readSecurity(bytes);
+  if (!sec) return { bytes, security: null };
+  const busy = $('loadingText').textContent;
+  let pwd = '';
+  let msg = `"${name}" is password protected. Enter its password:`;
+  for (;;) {
+    const crypt = await unlockSecurity(sec, pwd);
+    if (crypt) {
+      loading(true, 'Decrypting…');
+      const plain = await decryptPdf(bytes, crypt);
+      loading(true, busy);
+      return {
+        bytes: plain,
+        security: {
+          userPwd:  crypt.userPwd ?? pwd,
+          ownerPwd: crypt.owner ? pwd : '',   // unknown: encryptPdf() picks a random one
+          perms:    permsFromFlags(sec.P),
+        },
+      };
+    }
+    loading(false);
+    pwd = await askPassword(msg);
+    if (pwd === null) return null;
+    msg = `Wrong password for "${name}". Try again:`;
+    loading(true, 'Checking password…');
+  }
+}
+
+/* ─── SECURITY ───────────────────────────────── */
+const PERM_INPUTS = { print: 'permPrint', copy: 'permCopy', modify: 'permModify', annotate: 'permAnnotate' };
+
+function readPerms() {
+  const perms = {};
+  Object.entries(PERM_INPUTS).forEach(([k, id]) => { perms[k] = $(id).checked; });
+  return perms;
+}
+
+/** Current Security panel settings, as encryptPdf() options. */
+function securityOpts() {
+  return {
+    userPwd:  $('userPassword').value,
+    ownerPwd: $('ownerPassword').value,
+    perms:    readPerms(),
+  };
+}
+
+/**
+ * Remember how the uploaded file was protected and prefill the
+ * Security panel so "re-encrypt on download" reproduces it.
+ */
+function setSourceSecurity(sec) {
+  S.srcSecurity = sec;
+  $('keepEncryption').checked = !!sec;
+  if (!sec) { hide($('keepEncryptionRow')); return; }
+  show($('keepEncryptionRow'));
+  $('userPassword').value  = sec.userPwd;
+  $('ownerPassword').value = sec.ownerPwd;
+  Object.entries(PERM_INPUTS).forEach(([k, id]) => { $(id).checked = sec.perms[k]; });
+}
+
+$('applyPwdBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  if (!$('userPassword').value) { toast('Enter a user password.', 'error'); return; }
+  loading(true, 'Encrypting (AES-256)…');
+  try {
+    const plain = await rebuild({ flatten: true });
+    const out   = await encryptPdf(plain, securityOpts());
+    dlBytes(out, 'protected.pdf');
+    toast('Encrypted with AES-256 and downloaded!', 'success');
+  } catch (e) {
+    console.error('applyPwdBtn error:', e);
+    toast(`Encryption failed: ${e.message}`, 'error');
+  } finally { loading(false); }
+});
+
+/* ─── DIGITAL SIGNATURES ─────────────────────────
+   PAdES signatures (SubFilter ETSI.CAdES.detached). The key
+   and certificates come from a PKCS#12 file, decoded by forge
+   since its legacy ciphers are missing from WebCrypto, which
+   does the signing. The signature is appended as an
+   incremental update, so earlier signatures stay valid: its
+   /ByteRange covers the whole file except the /Contents hex
+   string that holds the CMS. Verifying reads the same parts
+   back: the digest over the byte range, the signature over
+   the signed attributes, and whether bytes follow the range.
+─────────────────────────────────────────────────── */
+const BR_HOLD   = 9999999999;   // /ByteRange placeholder, as wide as any offset
+const CMS_SPARE = 4096;         // room in /Contents beyond the certificates, bytes
+const DSIG_BOX  = [180, 60];    // visible signature dropped by a plain click, points
+const DSIG_NEW  = '+';          // dsigField value: new field in a box drawn on the page
+
+/** Key, algorithm and certificate chain (signer first) from a PKCS#12 file. */
+async function loadDigitalId(bytes, password) {
+  const fromBin = s => forge.util.binary.raw.decode(s);
+  const derOf   = asn => fromBin(forge.asn1.toDer(asn).getBytes());
+  let p12;
+  try {
+    const asn = forge.asn1.fromDer(forge.util.binary.raw.encode(bytes), false);
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn, false, password);
+  } catch (e) {
+    throw new Error(/password|mac/i.test(e.message) ? 'wrong password' : `not a readable PKCS#12 file (${e.message})`);
+  }
+  const bags = type => p12.getBags({ bagType: type })[type] || [];
+  const keyBag   = [...bags(forge.pki.oids.pkcs8ShroudedKeyBag), ...bags(forge.pki.oids.keyBag)][0];
+  const certBags = bags(forge.pki.oids.certBag);
+  if (!keyBag) throw new Error('the file holds no private key');
+  if (!certBags.length) throw new Error('the file holds no certificate');
+  // forge only models RSA keys; other keys come back as ASN.1
+  const pkcs8 = derOf(keyBag.key ? forge.pki.wrapRsaPrivateKey(forge.pki.privateKeyToAsn1(keyBag.key)) : keyBag.asn1);
+  const certs = certBags.map(b => derOf(b.cert ? forge.pki.certificateToAsn1(b.cert) : b.asn1));
+  // The signer's certificate shares the key's localKeyId; the rest is its chain
+  const keyId = keyBag.attributes.localKeyId?.[0];
+  const i     = Math.max(0, certBags.findIndex(b => keyId && b.attributes.localKeyId?.[0] === keyId));
+  const info  = certInfo(certs[i]);
+  const alg   = keyAlgorithm(keyType(pkcs8, derParse(pkcs8).kids[1]), 'SHA-256');
+  const key   = await crypto.subtle.importKey('pkcs8', pkcs8, alg, false, ['sign']);
+  const id    = { key, alg, info, certs: [certs[i], ...certs.filter((_, j) => j !== i)] };
+  const probe = randomBytes(32);
+  if (!await verifyWith(info.spki, alg, await signWith(id, probe), probe)) {
+    throw new Error('the certificate does not belong to the private key');
+  }
+  return id;
+}
+
+async function signWith(id, data) {
+  const sig = new Uint8Array(await crypto.subtle.sign(id.alg, id.key, data));
+  return id.alg.name === 'ECDSA' ? ecdsaToDer(sig) : sig;
+}
+
+async function verifyWith(spki, alg, sig, data) {
+  const key = await crypto.subtle.importKey('spki', spki, alg, false, ['verify']);
+  return crypto.subtle.verify(alg, key, alg.name === 'ECDSA' ? ecdsaFromDer(sig, CURVE_SIZE[alg.namedCurve]) : sig, data);
+}
+
+/** Detached CMS SignedData over data with the CAdES signed attributes. */
+async function buildCms(data, id) {
+  const { info } = id;
+  const sha256 = derSeq(derOid(OID.sha256));
+  const attrs  = derSetOf([
+    derSeq(derOid(OID.contentType), der(0x31, derOid(OID.data))),
+    derSeq(derOid(OID.messageDigest), der(0x31, der(0x04, await digest('SHA-256', data)))),
+    // ESS signing-certificate-v2: binds the signer certificate (SHA-256 is the default hash)
+    derSeq(derOid(OID.signingCertV2), der(0x31, derSeq(derSeq(derSeq(
+      der(0x04, await digest('SHA-256', info.der)),
+      derSeq(derSeq(der(0xa4, info.issuer)), info.serial)))))),
+  ]);
+  const signature = await signWith(id, attrs);
+  // In SignerInfo the attributes are [0] IMPLICIT rather than a SET
+  const signedAttrs = attrs.slice();
+  signedAttrs[0] = 0xa0;
+  const sigAlg = id.alg.name === 'ECDSA' ? derSeq(derOid(OID.ecdsaSha256)) : derSeq(derOid(OID.rsa), Uint8Array.of(0x05, 0));
+  const signerInfo = derSeq(
+    derInt(1), derSeq(info.issuer, info.serial), sha256, signedAttrs, sigAlg, der(0x04, signature));
+  const signedData = derSeq(
+    derInt(1), der(0x31, sha256), derSeq(derOid(OID.data)), der(0xa0, ...id.certs), der(0x31, signerInfo));
+  return derSeq(derOid(OID.signedData), der(0xa0, signedData));
+}
+
+/** Appearance of a visible signature: who, when and why, fitted to w × h. */
+async function dsigAppearance(doc, id, opts, when, w, h) {
+  const L    = PDFLib;
+  const font = await doc.embedFont(L.StandardFonts.Helvetica);
+  await font.embed();   // the update is written by hand, not by doc.save()
+  const safe  = s => Array.from(s, c => { try { font.encodeText(c); return c; } catch (e) { return '?'; } }).join('');
+  const lines = [
+    `Digitally signed by ${id.info.subject.CN || id.info.subject.O || 'unknown'}`,
+    `Date: ${when.toLocaleString()}`,
+    opts.reason   && `Reason: ${opts.reason}`,
+    opts.location && `Location: ${opts.location}`,
+  ].filter(Boolean).map(safe);
+  const pad  = Math.min(4, w / 10, h / 10);
+  const size = Math.min((h - 2 * pad) / (lines.length * LINE_H), ...lines.map(l => (w - 2 * pad) / font.widthOfTextAtSize(l, 1)));
+  const ops  = [
+    L.pushGraphicsState(),
+    L.setStrokingRgbColor(0.2, 0.35, 0.7), L.setLineWidth(0.75),
+    L.rectangle(0.375, 0.375, w - 0.75, h - 0.75), L.stroke(),
+    L.beginText(), L.setFillingRgbColor(0, 0, 0), L.setFontAndSize('F1', size),
+    ...lines.flatMap((l, i) => [
+      L.setTextMatrix(1, 0, 0, 1, pad, h - pad - size * (i * LINE_H + 0.9)),
+      L.showText(font.encodeText(l)),
+    ]),
+    L.endText(),
+    L.popGraphicsState(),
+  ];
+  return doc.context.register(doc.context.formXObject(ops, {
+    BBox: [0, 0, w, h], Resources: { Font: { F1: font.ref } },
+  }));
+}
+
+/**
+ * Sign base as an incremental update.
+ * opts: { field: '' (invisible) | DSIG_NEW | name of an empty signature field,
+ *         box: { page, x, top, w, h } for DSIG_NEW (page index in base), reason, location }
+ */
+async function signPdf(base, id, opts) {
+  const L    = PDFLib;
+  const N    = n => L.PDFName.of(n);
+  const doc  = await L.PDFDocument.load(base, { ignoreEncryption: true, updateMetadata: false });
+  const ctx  = doc.context;
+  // Numbers of object and xref streams are not in the context but are taken
+  ctx.largestObjectNumber = Math.max(ctx.largestObjectNumber, lastXref(base).size - 1);
+  const firstNew = ctx.largestObjectNumber + 1;
+  const dirty    = new Set();   // existing objects the update rewrites
+  const now      = new Date();
+  const rootRef  = ctx.trailerInfo.Root;
+
+  const sig = ctx.obj({
+    Type: 'Sig', Filter: 'Adobe.PPKLite', SubFilter: 'ETSI.CAdES.detached',
+    ByteRange: [0, BR_HOLD, BR_HOLD, BR_HOLD],
+    Contents:  L.PDFHexString.of('0'.repeat(2 * (CMS_SPARE + id.certs.reduce((n, c) => n + c.length, 0)))),
+    M:         L.PDFString.fromDate(now),
+    Name:      L.PDFHexString.fromText(id.info.subject.CN || id.info.subject.O || ''),
+  });
+  if (opts.reason)   sig.set(N('Reason'),   L.PDFHexString.fromText(opts.reason));
+  if (opts.location) sig.set(N('Location'), L.PDFHexString.fromText(opts.location));
+  const sigRef = ctx.register(sig);
+
+  const hadForm = !!doc.catalog.get(N('AcroForm'));
+  const acro    = doc.catalog.getOrCreateAcroForm();
+  const acroAt  = doc.catalog.get(N('AcroForm'));
+  const acroHolder = acroAt instanceof L.PDFRef ? acroAt : rootRef;
+  if (!hadForm) dirty.add(rootRef);
+  acro.dict.set(N('SigFlags'), ctx.obj(3));   // SignaturesExist | AppendOnly
+  dirty.add(acroHolder);
+  // Append ref to the array dict[key], rewriting whichever object holds that array
+  const append = (dict, holder, key, ref) => {
+    const v = dict.get(N(key));
+    if (v instanceof L.PDFRef) { ctx.lookup(v, L.PDFArray).push(ref); dirty.add(v); return; }
+    if (v) v.push(ref); else dict.set(N(key), ctx.obj([ref]));
+    dirty.add(holder);
+  };
+
+  let widget, widgetRef, rect;
+  if (opts.field && opts.field !== DSIG_NEW) {
+    const found = acro.getAllFields().find(([f]) =>
+      f instanceof L.PDFAcroSignature && f.getFullyQualifiedName() === opts.field);
+    if (!found) throw new Error(`no signature field "${opts.field}"`);
+    const [field, fieldRef] = found;
+    if (field.dict.has(N('V'))) throw new Error(`field "${opts.field}" is already signed`);
+    field.dict.set(N('V'), sigRef);
+    dirty.add(fieldRef);
+    const kids = field.dict.lookup(N('Kids'));
+    widgetRef = kids instanceof L.PDFArray ? kids.get(0) : fieldRef;
+    widget    = ctx.lookup(widgetRef, L.PDFDict);
+    rect      = widget.lookup(N('Rect'), L.PDFArray).asArray().map(n => n.asNumber());
+  } else {
+    const page = doc.getPage(opts.box ? opts.box.page : 0);
+    if (opts.box) {
+      const cb = page.getCropBox(), { x, top, w, h } = opts.box;
+      rect = [cb.x + x, cb.y + cb.height - top - h, cb.x + x + w, cb.y + cb.height - top];
+    } else {
+      rect = [0, 0, 0, 0];
+    }
+    const names = acro.getAllFields().map(([f]) => f.getFullyQualifiedName());
+    let n = 1;
+    while (names.includes(`Signature${n}`)) n++;
+    widget = ctx.obj({
+      FT: 'Sig', T: L.PDFHexString.fromText(`Signature${n}`), V: sigRef,
+      Type: 'Annot', Subtype: 'Widget', Rect: rect, F: 132, P: page.ref,   // Print | Locked
+    });
+    widgetRef = ctx.register(widget);
+    append(acro.dict, acroHolder, 'Fields', widgetRef);
+    append(page.node, page.ref, 'Annots', widgetRef);
+  }
+  const w = Math.abs(rect[2] - rect[0]), h = Math.abs(rect[3] - rect[1]);
+  if (w > 0 && h > 0) {
+    widget.set(N('AP'), ctx.obj({ N: await dsigAppearance(doc, id, opts, now, w, h) }));
+    dirty.add(widgetRef);
+  }
+
+  const objs = ctx.enumerateIndirectObjects()
+    .filter(([ref]) => ref.objectNumber >= firstNew || dirty.has(ref))
+    .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+  const out = appendUpdate(base, objs, ctx);
+
+  // Fill in the byte range, then sign everything but the /Contents placeholder
+  const hold  = latin1Bytes(sig.lookup(N('Contents')).toString());
+  const from  = base.length;
+  const cAt   = indexOfBytes(out, hold, from);
+  const cEnd  = cAt + hold.length;
+  const brOld = latin1Bytes(sig.lookup(N('ByteRange')).toString());
+  const brAt  = indexOfBytes(out, brOld, from);
+  const brNew = `[0 ${cAt} ${cEnd} ${out.length - cEnd}]`.padEnd(brOld.length, ' ');
+  out.set(latin1Bytes(brNew), brAt);
+  const cms = await buildCms(concatBytes(out.subarray(0, cAt), out.subarray(cEnd)), id);
+  const hex = Array.from(cms, b => b.toString(16).padStart(2, '0')).join('');
+  if (hex.length > hold.length - 2) throw new Error('signature larger than the space reserved for it');
+  out.set(latin1Bytes(hex), cAt + 1);
+  return out;
+}
+
+function indexOfBytes(buf, pat, from = 0) {
+  outer: for (let i = from; i <= buf.length - pat.length; i++) {
+    for (let j = 0; j < pat.length; j++) if (buf[i + j] !== pat[j]) continue outer;
+    return i;
+  }
+  return -1;
+}
+
+/** Offset, /Size and kind of the newest cross-reference section of a PDF file. */
+function lastXref(base) {
+  const marks = [...latin1(base.subarray(-2048)).matchAll(/startxref\s+(\d+)/g)];
+  if (!marks.length) throw new Error('cross-reference table not found');
+  const at   = +marks[marks.length - 1][1];
+  const size = /\/Size\s+(\d+)/.exec(latin1(base.subarray(at)));
+  if (!size) throw new Error('cross-reference table not found');
+  return { at, size: +size[1], stream: latin1(base.subarray(at, at + 4)) !== 'xref' };
+}
+
+/**
+ * Append objs ([ref, obj] pairs) to base with a cross-reference
+ * section of the same kind as base's last one, chained by /Prev.
+ */
+function appendUpdate(base, objs, ctx) {
+  const L = PDFLib;
+  const { at: prev, stream: xrefStream } = lastXref(base);
+
+  const parts = [base], offsets = new Map();
+  let pos = base.length;
+  const push = b => { parts.push(b); pos += b.length; };
+  if (base[base.length - 1] !== 0x0a) push(latin1Bytes('\n'));
+  objs.forEach(([ref, obj]) => {
+    offsets.set(ref.objectNumber, [pos, ref.generationNumber]);
+    const body = new Uint8Array(obj.sizeInBytes());
+    obj.copyBytesInto(body, 0);
+    push(latin1Bytes(`${ref.objectNumber} ${ref.generationNumber} obj\n`));
+    push(body);
+    push(latin1Bytes('\nendobj\n'));
+  });
+
+  const xrefAt  = pos;
+  const xrefNum = ctx.largestObjectNumber + 1;
+  if (xrefStream) offsets.set(xrefNum, [xrefAt, 0]);
+  const nums = [...offsets.keys()].sort((a, b) => a - b);
+  const runs = [];                                     // [first, count] subsections
+  nums.forEach(n => {
+    const r = runs[runs.length - 1];
+    if (r && r[0] + r[1] === n) r[1]++; else runs.push([n, 1]);
+  });
+  const { Root, Info, ID } = ctx.trailerInfo;
+  const trailer = ctx.obj({ Size: Math.max(xrefNum, nums[nums.length - 1] + 1), Root, Info, ID, Prev: prev });
+
+  if (!xrefStream) {
+    let s = 'xref\n';
+    runs.forEach(([first, count]) => {
+      s += `${first} ${count}\n`;
+      for (let n = first; n < first + count; n++) {
+        const [off, gen] = offsets.get(n);
+        s += `${String(off).padStart(10, '0')} ${String(gen).padStart(5, '0')} n\r\n`;
+      }
+    });
+    push(latin1Bytes(`${s}trailer\n${trailer}\nstartxref\n${xrefAt}\n%%EOF\n`));
+  } else {
+    // Rows of type 1 (in use): 1-byte type, 4-byte offset, 2-byte generation
+    const rows = new Uint8Array(nums.length * 7);
+    const view = new DataView(rows.buffer);
+    nums.forEach((n, i) => {
+      const [off, gen] = offsets.get(n);
+      rows[i * 7] = 1;
+      view.setUint32(i * 7 + 1, off);
+      view.setUint16(i * 7 + 5, gen);
+    });
+    [['Type', L.PDFName.of('XRef')], ['Index', ctx.obj(runs.flat())], ['W', ctx.obj([1, 4, 2])],
+     ['Length', ctx.obj(rows.length)]].forEach(([k, v]) => trailer.set(L.PDFName.of(k), v));
+    push(latin1Bytes(`${xrefNum} 0 obj\n${trailer}\nstream\n`));
+    push(rows);
+    push(latin1Bytes(`\nendstream\nendobj\nstartxref\n${xrefAt}\n%%EOF\n`));
+  }
+  return concatBytes(...parts);
+}
+
+/** Check a CMS signature over data; subFilter tells how the content is carried. */
+async function verifyCms(cms, data, subFilter) {
+  const ci = derParse(cms);
+  if (oidOf(cms, ci.kids[0]) !== OID.signedData) throw new Error('not a CMS SignedData signature');
+  const sd    = ci.kids[1].kids[0];
+  const certs = (sd.kids.find(k => k.tag === 0xa0)?.kids || [])
+    .filter(k => k.tag === 0x30).map(k => certInfo(derBytes(cms, k)));
+  const si    = sd.kids[sd.kids.length - 1].kids[0];
+  const sid   = si.kids[1];
+  const cert  = (sid.tag === 0x30 && certs.find(c =>
+    sameBytes(c.serial, derBytes(cms, sid.kids[1])) && sameBytes(c.issuer, derBytes(cms, sid.kids[0])))) || certs[0];
+  if (!cert) throw new Error('signer certificate missing');
+  const hash  = HASH_OID[oidOf(cms, si.kids[2].kids[0])];
+  if (!hash) throw new Error('unsupported digest algorithm');
+  let k = 3;
+  const attrs  = si.kids[k].tag === 0xa0 ? si.kids[k++] : null;
+  if (oidOf(cms, si.kids[k++].kids[0]) === OID.rsaPss) throw new Error('RSA-PSS signatures are not supported');
+  const signature = derBody(cms, si.kids[k]);
+
+  // adbe.pkcs7.sha1 signs the SHA-1 digest of the byte range, carried as the content
+  let content = data, digestOk = true, time = null;
+  const encap = sd.kids[2];
+  if (subFilter === 'adbe.pkcs7.sha1' && encap.kids[1]) {
+    content  = derBody(cms, encap.kids[1].kids[0]);
+    digestOk = sameBytes(content, await digest('SHA-1', data));
+  }
+  let signed = content;
+  if (attrs) {
+    const attr = oid => attrs.kids.find(a => oidOf(cms, a.kids[0]) === oid)?.kids[1].kids[0];
+    const md   = attr(OID.messageDigest);
+    digestOk = digestOk && !!md && sameBytes(derBody(cms, md), await digest(hash, content));
+    if (attr(OID.signingTime)) time = derTime(cms, attr(OID.signingTime));
+    // The signature covers the attributes encoded as a SET
+    signed = derBytes(cms, attrs).slice();
+    signed[0] = 0x31;
+  }
+  const sigOk = await verifyWith(cert.spki, keyAlgorithm(cert.keyType, hash), signature, signed).catch(() => false);
+  return { cert, time, digestOk: digestOk && sigOk, sigOk };
+}
+
+/** Verify one signature dictionary against the file bytes it is in. */
+async function verifySigDict(bytes, v) {
+  const L   = PDFLib;
+  const get = k => v.lookup(L.PDFName.of(k));
+  const str = k => { const s = get(k); return s instanceof L.PDFString || s instanceof L.PDFHexString ? s.decodeText() : ''; };
+  const res = { signer: str('Name'), reason: str('Reason'), location: str('Location'), time: null, end: 0, problems: [] };
+  try { res.time = get('M')?.decodeDate(); } catch (e) { /* unparsable /M: fall back to the CMS */ }
+  try {
+    const [a, b, c, d] = get('ByteRange').asArray().map(n => n.asNumber());
+    if (a !== 0 || c < b || c + d > bytes.length) throw new Error('byte range lies outside the file');
+    // The gap must be exactly the /Contents string, or unsigned bytes could hide there
+    if (bytes[b] !== 0x3c || bytes[c - 1] !== 0x3e) throw new Error('byte range does not match the signature value');
+    res.end       = c + d;
+    res.coversAll = res.end === bytes.length;
+    const data = concatBytes(bytes.subarray(a, a + b), bytes.subarray(c, c + d));
+    const r    = await verifyCms(get('Contents').asBytes(), data, get('SubFilter')?.decodeText());
+    res.cert   = r.cert;
+    res.time   = r.time || res.time;
+    res.signer = r.cert.subject.CN || r.cert.subject.O || res.signer;
+    if (!r.sigOk) res.problems.push('the signature does not match the signer certificate');
+    else if (!r.digestOk) res.problems.push('the signed content was altered');
+    if (res.time && (res.time < r.cert.notBefore || res.time > r.cert.notAfter)) {
+      res.certExpired = true;
+    }
+    res.valid = r.digestOk;
+  } catch (e) {
+    res.valid = false;
+    res.problems.push(e.message);
+  }
+  return res;
+}
+
+/** Signed ({ field, …verifySigDict }) and empty signature fields of a PDF file. */
+async function checkSignatures(bytes) {
+  const L    = PDFLib;
+  const doc  = await L.PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  const acro = doc.catalog.getAcroForm();
+  const out  = { sigs: [], empty: [] };
+  for (const [field] of acro ? acro.getAllFields() : []) {
+    if (!(field instanceof L.PDFAcroSignature)) continue;
+    const name = field.getFullyQualifiedName();
+    const v    = field.dict.lookup(L.PDFName.of('V'));
+    if (v instanceof L.PDFDict) out.sigs.push({ field: name, ...await verifySigDict(bytes, v) });
+    else out.empty.push(name);
+  }
+  out.sigs.sort((a, b) => a.end - b.end);   // signing order
+  return out;
+}
+
+/** Verify the signatures of a freshly uploaded file; sigCheck keeps the bytes checked. */
+async function scanSignatures(bytes) {
+  try {
+    S.sigCheck = { ...await checkSignatures(bytes), bytes };
+  } catch (e) {
+    console.error('scanSignatures error:', e);
+    S.sigCheck = null;
+  }
+  renderDsigList();
+  renderDsigFields();
+  const sigs = S.sigCheck?.sigs || [];
+  if (sigs.length) {
+    const bad = sigs.filter(s => !s.valid).length;
+    toast(`${sigs.length} digital signature(s)${bad ? `, ${bad} invalid` : ''} — see Certify.`, bad ? 'error' : 'info');
+  }
+}
+
+/* Panel */
+function renderDigitalId() {
+  const box = $('dsigIdInfo'), id = S.digitalId;
+  if (!id) { hide(box); return; }
+  const { subject, issuerName, selfSigned, notBefore, notAfter, keyType: kt } = id.info;
+  const line = (txt, strong) => box.appendChild(Object.assign(document.createElement(strong ? 'strong' : 'span'), { textContent: txt }));
+  box.innerHTML = '';
+  line(subject.CN || subject.O || 'Unnamed certificate', true);
+  if (subject.E) line(subject.E);
+  line(selfSigned ? 'Self-signed' : `Issued by ${issuerName.CN || issuerName.O || 'unknown'}`);
+  line(`Valid ${notBefore.toLocaleDateString()} – ${notAfter.toLocaleDateString()}${Date.now() > notAfter ? ' (expired)' : ''}`);
+  line(kt.oid === OID.rsa ? 'RSA key' : `ECDSA ${kt.curve} key`);
+  show(box);
+}
+
+function renderDsigFields() {
+  const sel = $('dsigField'), cur = sel.value;
+  const designed = S.items.filter(it => it.kind === 'field' && it.ftype === 'signature' && S.pageOrder.includes(it.page))
+    .map(it => it.name);
+  const names    = [...new Set([...(S.sigCheck?.empty || []), ...designed])];
+  sel.innerHTML  = '';
+  sel.append(new Option('Invisible', ''), new Option('New box on the page', DSIG_NEW),
+    ...names.map(n => new Option(`Field: ${n}`, n)));
+  sel.value = [...sel.options].some(o => o.value === cur) ? cur : '';
+  updateDsigBox();
+}
+
+function updateDsigBox() {
+  const b = S.dsigBox;
+  $('dsigField').value === DSIG_NEW ? show($('dsigBoxRow')) : hide($('dsigBoxRow'));
+  $('dsigBoxInfo').textContent = b && S.pageOrder.includes(b.page)
+    ? `Page ${S.pageOrder.indexOf(b.page) + 1} · ${Math.round(b.w)} × ${Math.round(b.h)} pt at X ${Math.round(b.x)}, Y ${Math.round(b.top)}`
+    : 'Drag a box on the preview where the signature should appear.';
+  drawOverlay();
+}
+
+function renderDsigList() {
+  const list = $('dsigList');
+  list.innerHTML = '';
+  const sigs = S.sigCheck?.sigs || [];
+  if (!sigs.length) {
+    list.innerHTML = `<li class="hint">${S.rawBytes ? 'This document has no digital signatures.' : 'Upload a PDF to check its signatures.'}</li>`;
+    return;
+  }
+  sigs.forEach(s => {
+    const li   = Object.assign(document.createElement('li'), { className: `dsig ${!s.valid ? 'invalid' : s.coversAll ? 'valid' : ''}` });
+    const line = (txt, cls) => li.appendChild(Object.assign(document.createElement(cls ? 'div' : 'span'), { className: cls || '', textContent: txt }));
+    const head = line('', 'dsig-head');
+    head.innerHTML = `<i class="fa-solid ${!s.valid ? 'fa-circle-xmark' : s.coversAll ? 'fa-circle-check' : 'fa-triangle-exclamation'}"></i>`;
+    head.append(s.field);
+    line(`Signed by ${s.signer || 'unknown'}${s.time ? ` on ${s.time.toLocaleString()}` : ''}`);
+    line(!s.valid ? `Invalid: ${s.problems.join('; ')}`
+      : s.coversAll ? 'Valid — the document has not been modified since it was signed.'
+      : `Valid for the signed revision, but the document was modified afterwards (${fmtSize(S.sigCheck.bytes.length - s.end)} added).`);
+    if (s.cert) {
+      line(s.cert.selfSigned ? 'Self-signed certificate: the signer\'s identity is not vouched for by an authority.'
+        : `Certificate issued by ${s.cert.issuerName.CN || s.cert.issuerName.O || 'unknown'} (not checked against trusted authorities).`);
+      if (s.certExpired) line('The certificate was not valid at the signing time.');
+    }
+    if (s.reason)   line(`Reason: ${s.reason}`);
+    if (s.location) line(`Location: ${s.location}`);
+    list.appendChild(li);
+  });
+}
+
+function drawDsigBox(ctx, m) {
+  const b = S.dsigBox;
+  if (!b || b.page !== S.view.origIdx || !$('panel-certify').classList.contains('active')) return;
+  ctx.save();
+  ctx.setTransform(...m);
+  ctx.strokeStyle = '#4f8ef7'; ctx.lineWidth = 1.5; ctx.setLineDash([6, 3]);
+  ctx.strokeRect(b.x, b.top, b.w, b.h);
+  ctx.fillStyle = 'rgba(79,142,247,.08)';
+  ctx.fillRect(b.x, b.top, b.w, b.h);
+  ctx.restore();
+}
+
+function finishDsigDraw() {
+  const { start: [x0, y0], end: [x1, y1] } = S.boxDraw;
+  S.boxDraw = null;
+  let w = Math.abs(x1 - x0), h = Math.abs(y1 - y0);
+  if (w < 4 || h < 4) [w, h] = DSIG_BOX;
+  S.dsigBox = { page: S.view.origIdx, x: Math.min(x0, x1), top: Math.min(y0, y1), w, h };
+  setPlaceMode(null);
+  updateDsigBox();
+}
+
+/** Whether output would differ from rawBytes, which then has to be rebuilt before signing. */
+function hasPendingEdits() {
+  // totalPages follows pageOrder, so deletions show only against the pages of the loaded bytes
+  return S.items.length > 0 || S.pageOrder.length !== S.pdfJsDoc.numPages || S.pageOrder.some((p, i) => p !== i)
+    || Object.values(S.pageRots).some(Boolean) || Object.keys(S.formValues).length > 0
+    || outlineKey(S.outline) !== S.outlineRead;
+}
+
+$('dsigLoadBtn').addEventListener('click', async () => {
+  const f = $('dsigCertInput').files[0];
+  if (!f) { toast('Choose a .p12 or .pfx certificate file.', 'error'); return; }
+  loading(true, 'Opening certificate…');
+  try {
+    S.digitalId = await loadDigitalId(new Uint8Array(await f.arrayBuffer()), $('dsigPassword').value);
+    $('dsigPassword').value = '';
+    renderDigitalId();
+    toast(`Certificate of ${S.digitalId.info.subject.CN || 'unnamed signer'} loaded.`, 'success');
+  } catch (e) {
+    console.error('dsigLoadBtn error:', e);
+    toast(`Certificate failed: ${e.message}`, 'error');
+  } finally { loading(false); }
 });
-const mdz = $('mergeDropZone');
-mdz.addEventListener('dragover',  e => { e.preventDefault(); mdz.classList.add('drag-over'); });
-mdz.addEventListener('dragleave', () => mdz.classList.remove('drag-over'));
-mdz.addEventListener('drop', async e => {
-  e.preventDefault(); mdz.classList.remove('drag-over');
-  await addMergeFiles(e.dataTransfer.files);
+
+$('dsigField').addEventListener('change', updateDsigBox);
+$('dsigDrawBtn').addEventListener('click', () => setPlaceMode('dsig', 'dsigDrawBtn'));
+
+$('dsigSignBtn').addEventListener('click', async () => {
+  if (!S.rawBytes) return;
+  if (!S.digitalId) { toast('Load a certificate first.', 'error'); return; }
+  const field = $('dsigField').value;
+  if (field === DSIG_NEW && !(S.dsigBox && S.pageOrder.includes(S.dsigBox.page))) {
+    toast('Draw the signature box on a page first.', 'error'); return;
+  }
+  loading(true, 'Signing…');
+  try {
+    // An unchanged document is signed as it is, which keeps earlier signatures valid
+    const edited = hasPendingEdits();
+    const base   = edited ? await rebuild({ flatten: true }) : S.rawBytes;
+    const out    = await signPdf(base, S.digitalId, {
+      field,
+      box:      field === DSIG_NEW ? { ...S.dsigBox, page: S.pageOrder.indexOf(S.dsigBox.page) } : null,
+      reason:   $('dsigReason').value.trim(),
+      location: $('dsigLocation').value.trim(),
+    });
+    const check = await checkSignatures(out);
+    const mine  = check.sigs[check.sigs.length - 1];
+    if (!mine || !mine.valid) throw new Error(`the new signature does not verify (${mine ? mine.problems.join('; ') : 'not found'})`);
+    dlBytes(out, 'signed.pdf');
+    toast(S.sigCheck?.sigs.length && !sameBytes(base, S.sigCheck.bytes)
+      ? 'Signed and downloaded. The edits made here invalidate the earlier signatures.'
+      : 'Signed and downloaded!', 'success');
+  } catch (e) {
+    console.error('dsigSignBtn error:', e);
+    toast(`Signing failed: ${e.message}`, 'error');
+  } finally { loading(false); }
 });
-$('mergePrevDoc').addEventListener('click', () => { S.mergeCurDoc--; S.mergeCurPg = 1; renderMergePreview(); });
-$('mergeNextDoc').addEventListener('click', () => { S.mergeCurDoc++; S.mergeCurPg = 1; renderMergePreview(); });
-$('mergePrevPg' ).addEventListener('click', () => { S.mergeCurPg--; renderMergePreview(); });
-$('mergeNextPg' ).addEventListener('click', () => { S.mergeCurPg++; renderMergePreview(); });
 
-$('mergeBtn').addEventListener('click', async () => {
-  if (S.mergeFiles.length < 2) return;
-  loading(true, `Merging ${S.mergeFiles.length} PDFs…`);
+/* ─── IMAGE CONVERSION ───────────────────────────
+   Images → PDF: one page per image. JPEG and PNG bytes are
+   embedded unchanged; a JPEG's EXIF orientation is applied by
+   the placement matrix rather than by re-encoding. WebP goes
+   through a canvas, since pdf-lib embeds only PNG and JPEG.
+
+   PDF → images: pages are rendered by PDF.js from the same
+   flattened output the Download button saves, so placed
+   objects, annotations and form values show as they print.
+─────────────────────────────────────────────────── */
+const IMG_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const IMG_PT    = 0.75;                 // points per pixel on image-sized pages (96 dpi)
+const EXPORT_MAX_PX = 40e6;             // canvas pixels per exported page (A4 at 600 dpi fits)
+
+/** EXIF orientation (1–8) of a JPEG; 1 when it has none. */
+function jpegOrientation(b) {
   try {
-    const merged = await PDFLib.PDFDocument.create();
-    for (const f of S.mergeFiles) {
-      const buf  = new Uint8Array(await f.arrayBuffer());
-      const doc  = await PDFLib.PDFDocument.load(buf, { ignoreEncryption: true });
-      const idxs = Array.from({ length: doc.getPageCount() }, (_, i) => i);
-      const pgs  = await merged.copyPages(doc, idxs);
-      pgs.forEach(p => merged.addPage(p));
+    const dv = new DataView(b.buffer, b.byteOffset, b.byteLength);
+    if (dv.getUint16(0) !== 0xFFD8) return 1;
+    for (let p = 2; p + 4 <= b.length; p += 2 + dv.getUint16(p + 2)) {
+      const marker = dv.getUint16(p);
+      if (marker === 0xFFDA) break;       // image data follows: no more headers
+      if (marker !== 0xFFE1 || dv.getUint32(p + 4) !== 0x45786966) continue;   // APP1 "Exif"
+      const t   = p + 10;
+      const le  = dv.getUint16(t) === 0x4949;
+      const u16 = o => dv.getUint16(t + o, le);
+      const ifd = dv.getUint32(t + 4, le);
+      for (let i = 0, n = u16(ifd); i < n; i++) {
+        const e = ifd + 2 + i * 12;
+        if (u16(e) === 0x0112) { const o = u16(e + 8); return o >= 1 && o <= 8 ? o : 1; }
+      }
+      return 1;
+    }
+  } catch (e) { /* truncated header: treat as upright */ }
+  return 1;
+}
+
+/** Matrix mapping the unit image square onto box x, y, w, h as EXIF orientation o shows it. */
+function orientMatrix(o, x, y, w, h) {
+  switch (o) {
+    case 2:  return [-w, 0, 0, h, x + w, y];
+    case 3:  return [-w, 0, 0, -h, x + w, y + h];
+    case 4:  return [w, 0, 0, -h, x, y + h];
+    case 5:  return [0, -h, -w, 0, x + w, y + h];
+    case 6:  return [0, -h, w, 0, x, y + h];
+    case 7:  return [0, h, w, 0, x, y];
+    case 8:  return [0, h, -w, 0, x + w, y];
+    default: return [w, 0, 0, h, x, y];
+  }
+}
+
+async function readImage(f) {
+  const bytes = new Uint8Array(await f.arrayBuffer());
+  if (f.type === 'image/jpeg') return { bytes, png: false, orient: jpegOrientation(bytes) };
+  if (f.type === 'image/png')  return { bytes, png: true, orient: 1 };
+  const bmp = await createImageBitmap(new Blob([bytes], { type: f.type }));
+  const cv  = Object.assign(document.createElement('canvas'), { width: bmp.width, height: bmp.height });
+  cv.getContext('2d').drawImage(bmp, 0, 0);
+  bmp.close();
+  const blob = await new Promise(res => cv.toBlob(res, 'image/png'));
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), png: true, orient: 1 };
+}
+
+/**
+ * New PDF with one page per image.
+ * size: 'image' (the image at 96 dpi) or a PageSizes key, turned to match the image;
+ * fit: 'fit' shows the whole image, 'fill' covers the area inside the margins.
+ */
+async function imagesToPdf(files, { size, fit, margin }) {
+  const L   = PDFLib;
+  const doc = await L.PDFDocument.create();
+  for (const [k, f] of files.entries()) {
+    loading(true, `Adding image ${k + 1} / ${files.length}…`);
+    let img, orient;
+    try {
+      const r = await readImage(f);
+      img    = r.png ? await doc.embedPng(r.bytes) : await doc.embedJpg(r.bytes);
+      orient = r.orient;
+    } catch (e) {
+      throw new Error(`${f.name}: ${e.message}`);
+    }
+    // Orientations 5–8 turn the image a quarter
+    const [iw, ih] = orient >= 5 ? [img.height, img.width] : [img.width, img.height];
+    let W, H;
+    if (size === 'image') {
+      [W, H] = [iw * IMG_PT + 2 * margin, ih * IMG_PT + 2 * margin];
+    } else {
+      const [a, b] = L.PageSizes[size];
+      [W, H] = (iw > ih) === (a > b) ? [a, b] : [b, a];
     }
-    const out = await merged.save();
-    dlBytes(out instanceof Uint8Array ? out : new Uint8Array(out), 'merged.pdf');
-    toast(`Merged ${S.mergeFiles.length} PDFs!`, 'success');
+    const bw = W - 2 * margin, bh = H - 2 * margin;
+    if (bw <= 0 || bh <= 0) throw new Error('the margins leave no room for the image');
+    const s = size === 'image' ? IMG_PT : (fit === 'fill' ? Math.max : Math.min)(bw / iw, bh / ih);
+    const w = iw * s, h = ih * s;
+
+    const page = doc.addPage([W, H]);
+    const name = page.node.newXObject('Image', img.ref);
+    page.pushOperators(
+      L.pushGraphicsState(),
+      L.rectangle(margin, margin, bw, bh), L.clip(), L.endPath(),
+      L.concatTransformationMatrix(...orientMatrix(orient, margin + (bw - w) / 2, margin + (bh - h) / 2, w, h)),
+      L.drawObject(name),
+      L.popGraphicsState(),
+    );
+  }
+  return doc.save();
+}
+
+async function imagesToDocument(files) {
+  if (!files.every(okSize)) return;
+  files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  loading(true, 'Creating PDF…');
+  try {
+    const bytes = await imagesToPdf(files, {
+      size:   $('imgPdfSize').value,
+      fit:    $('imgPdfFit').value,
+      margin: Math.max(0, parseFloat($('imgPdfMargin').value) || 0),
+    });
+    const name = files.length === 1 ? files[0].name.replace(/\.\w+$/, '.pdf') : 'images.pdf';
+    await openDocument(bytes, name, null, fmtSize(bytes.length));
+    toast(`Created ${name} from ${files.length} image(s)`, 'success');
   } catch (e) {
-    console.error('mergeBtn error:', e);
-    toast(`Merge failed: ${e.message}`, 'error');
+    console.error('imagesToDocument error:', e);
+    toast(`Images to PDF failed: ${e.message}`, 'error');
   } finally {
     loading(false);
   }
-});
+}
 
-/* ─── SPLIT ──────────────────────────────────── */
-function updateSplitHint() {
-  $('splitPageCount').textContent = S.totalPages ? `Document has ${S.totalPages} pages` : '';
-  if (S.totalPages) {
-    $('splitTo').value = S.totalPages;
-    $('splitFrom').max = $('splitTo').max = S.totalPages;
+/** Render display pages idxs (0-based) to image files. */
+async function pagesToImages(idxs, type, dpi) {
+  const pdf   = await pdfjsLib.getDocument({ data: await rebuild({ flatten: true }) }).promise;
+  const ext   = type === 'image/png' ? 'png' : 'jpg';
+  const files = [];
+  try {
+    for (const i of idxs) {
+      loading(true, `Rendering page ${i + 1}…`);
+      const page = await pdf.getPage(i + 1);
+      const vp   = page.getViewport({ scale: dpi / 72 });
+      if (vp.width * vp.height > EXPORT_MAX_PX) throw new Error(`page ${i + 1} is too large at ${dpi} DPI — lower the resolution`);
+      const cv = Object.assign(document.createElement('canvas'), { width: Math.ceil(vp.width), height: Math.ceil(vp.height) });
+      const c  = cv.getContext('2d');
+      // JPEG has no alpha, and transparent PNG pages look broken in most viewers
+      c.fillStyle = '#fff';
+      c.fillRect(0, 0, cv.width, cv.height);
+      await page.render({ canvasContext: c, viewport: vp }).promise;
+      const blob = await new Promise(res => cv.toBlob(res, type, 0.92));
+      if (!blob) throw new Error(`page ${i + 1} could not be encoded`);
+      const n = String(i + 1).padStart(String(S.totalPages).length, '0');
+      files.push({ name: `${baseName()}_p${n}.${ext}`, bytes: new Uint8Array(await blob.arrayBuffer()) });
+      cv.width = cv.height = 0;   // let the browser drop the bitmap now
+    }
+  } finally {
+    pdf.destroy();
   }
+  return files;
 }
 
-$('splitBtn').addEventListener('click', async () => {
+$('exportImgBtn').addEventListener('click', async () => {
   if (!S.rawBytes) return;
-  const from = parseInt($('splitFrom').value, 10);
-  const to   = parseInt($('splitTo').value,   10);
-  if (!Number.isFinite(from) || !Number.isFinite(to) || from < 1 || to > S.totalPages || from > to) {
-    toast('Invalid page range.', 'error'); return;
-  }
-  loading(true, 'Splitting…');
+  const dpi = Math.min(600, Math.max(36, parseInt($('exportImgDpi').value, 10) || 150));
+  $('exportImgDpi').value = dpi;
+  const type = $('exportImgType').value;
+  const idxs = S.selectedPgs.size ? [...S.selectedPgs].sort((a, b) => a - b) : S.pageOrder.map((_, i) => i);
+  loading(true, 'Rendering…');
   try {
-    const srcBytes = S.rawBytes.slice();
-    const src  = await PDFLib.PDFDocument.load(srcBytes, { ignoreEncryption: true });
-    const dest = await PDFLib.PDFDocument.create();
-    const idxs = Array.from({ length: to - from + 1 }, (_, i) => from - 1 + i);
-    const pgs  = await dest.copyPages(src, idxs);
-    pgs.forEach(p => dest.addPage(p));
-    const out  = await dest.save();
-    dlBytes(out instanceof Uint8Array ? out : new Uint8Array(out), `pages_${from}-${to}.pdf`);
-    toast(`Pages ${from}–${to} extracted!`, 'success');
+    const files = await pagesToImages(idxs, type, dpi);
+    if (files.length === 1) dlBytes(files[0].bytes, files[0].name, type);
+    else dlBytes(makeZip(files), `${baseName()}_images.zip`, 'application/zip');
+    toast(`Exported ${files.length} page image(s).`, 'success');
   } catch (e) {
-    console.error('splitBtn error:', e);
-    toast(`Split failed: ${e.message}`, 'error');
+    console.error('exportImgBtn error:', e);
+    toast(`Export failed: ${e.message}`, 'error');
   } finally {
     loading(false);
   }
 });
 
-/* ─── PAGE GRID ──────────────────────────────── */
-let sortable = null;
-
-async function renderGrid() {
-  if (!S.pdfJsDoc) return;
-  const grid = $('pageGrid');
-  grid.innerHTML = '';
-  loading(true, 'Rendering thumbnails…');
-  try {
-    for (let i = 0; i < S.pageOrder.length; i++) {
-      const origIdx = S.pageOrder[i];
-      const pg      = await S.pdfJsDoc.getPage(origIdx + 1);
-      const addRot  = S.pageRots[origIdx] || 0;
-      const vp      = pg.getViewport({ scale: CFG.THUMB_SCALE, rotation: (pg.rotate + addRot) % 360 });
-      const cv      = document.createElement('canvas');
-      cv.width = vp.width; cv.height = vp.height;
-      await pg.render({ canvasContext: cv.getContext('2d'), viewport: vp }).promise;
+/* ─── OPTIMIZE ───────────────────────────────────
+   Works on the flattened output — the bytes Download saves.
+   Each image is downsampled to the target DPI at the largest
+   size a page draws it (found by walking the page content;
+   images drawn only by annotations or patterns are left as
+   they are), then re-encoded as JPEG when it was a JPEG or
+   Flate otherwise, and kept only when smaller. Soft masks keep
+   their own resolution, which PDF allows. Duplicate images and
+   fonts are found by content hash. The report measures each
+   stream category as stored; the remainder is structure.
+─────────────────────────────────────────────────── */
+const OPT_SLACK = 1.25;   // images up to this much above the target DPI are left alone
+const OPT_CATS  = [
+  ['images', 'Images'], ['fonts', 'Fonts'], ['content', 'Page content'],
+  ['meta', 'Metadata & thumbnails'], ['other', 'Other streams'], ['structure', 'Structure'],
+];
+const FONT_STREAMS = ['FontFile', 'FontFile2', 'FontFile3', 'ToUnicode', 'CIDSet', 'CIDToGIDMap'];
 
-      const thumb = document.createElement('div');
-      thumb.className   = 'page-thumb' + (S.selectedPgs.has(i) ? ' selected' : '');
-      thumb.dataset.idx = i;
+/** Largest size in points each image XObject is drawn at on a page: Map ref → { w, h }. */
+function imageUsage(doc) {
+  const L   = PDFLib;
+  const U   = pdfjsLib.Util;
+  const ctx = doc.context;
+  const use = new Map();
+  const nums = o => (o instanceof L.PDFArray ? o.asArray().map(v => ctx.lookup(v)?.asNumber?.() ?? 0) : IDENTITY);
+  const walk = (bytes, res, ctm, depth) => {
+    const xobjs = res instanceof L.PDFDict ? res.lookup(L.PDFName.of('XObject')) : null;
+    const stack = [];
+    for (const { op, args } of parseContent(bytes)) {
+      if (op === 'q') stack.push(ctm);
+      else if (op === 'Q') ctm = stack.pop() || ctm;
+      else if (op === 'cm' && args.length === 6) ctm = U.transform(ctm, args.map(a => (typeof a === 'number' ? a : 0)));
+      else if (op === 'Do' && xobjs instanceof L.PDFDict && args[0]?.name) {
+        const ref = xobjs.get(L.PDFName.of(args[0].name));
+        const xo  = ctx.lookup(ref);
+        if (!(ref instanceof L.PDFRef) || !(xo instanceof L.PDFStream)) continue;
+        const sub = xo.dict.lookup(L.PDFName.of('Subtype'));
+        if (sub === L.PDFName.of('Image')) {
+          const u = use.get(ref) || { w: 0, h: 0 };
+          use.set(ref, { w: Math.max(u.w, Math.hypot(ctm[0], ctm[1])), h: Math.max(u.h, Math.hypot(ctm[2], ctm[3])) });
+        } else if (sub === L.PDFName.of('Form') && depth < 16) {
+          const own = xo.dict.lookup(L.PDFName.of('Resources'));
+          walk(streamBytes(xo), own instanceof L.PDFDict ? own : res,
+            U.transform(ctm, nums(xo.dict.lookup(L.PDFName.of('Matrix')))), depth + 1);
+        }
+      }
+    }
+  };
+  doc.getPages().forEach(p => walk(pageContent(p), p.node.Resources(), IDENTITY, 0));
+  return use;
+}
 
-      const lbl = document.createElement('div');
-      lbl.className   = 'page-thumb-label';
-      lbl.textContent = `Page ${i + 1}`;
+/**
+ * An 8-bit gray or RGB image XObject drawn on a canvas:
+ * { cv, comps, jpeg }, or null when it is encoded in a way
+ * (CMYK, indexed, 1-bit, CCITT, JBIG2…) left alone here.
+ */
+async function imageCanvas(ctx, xo) {
+  const L   = PDFLib;
+  const get = k => xo.dict.lookup(L.PDFName.of(k));
+  const W   = get('Width')?.asNumber?.(), H = get('Height')?.asNumber?.();
+  if (!W || !H || get('Decode') || get('ImageMask') === L.PDFBool.True) return null;
+  const cs     = get('ColorSpace');
+  const family = (cs instanceof L.PDFArray ? ctx.lookup(cs.get(0)) : cs)?.decodeText?.();
+  const comps  = family === 'ICCBased'
+    ? ctx.lookup(cs.get(1))?.dict?.lookup(L.PDFName.of('N'))?.asNumber?.()
+    : { DeviceGray: 1, CalGray: 1, DeviceRGB: 3, CalRGB: 3 }[family];
+  if (comps !== 1 && comps !== 3) return null;
+  const filters = [get('Filter')].flatMap(f => (f instanceof L.PDFArray ? f.asArray() : f ? [f] : []))
+    .map(f => f.decodeText());
+  const cv = Object.assign(document.createElement('canvas'), { width: W, height: H });
+  const c  = cv.getContext('2d');
 
-      const chk = document.createElement('div');
-      chk.className = 'page-thumb-select';
-      chk.innerHTML = '<i class="fa-solid fa-check" style="font-size:.6rem"></i>';
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    const bmp = await createImageBitmap(new Blob([xo.getContents()], { type: 'image/jpeg' }));
+    c.drawImage(bmp, 0, 0, W, H);
+    bmp.close();
+    return { cv, comps, jpeg: true };
+  }
+  const decodable = ['FlateDecode', 'LZWDecode', 'ASCII85Decode', 'ASCIIHexDecode', 'RunLengthDecode'];
+  if (!filters.every(f => decodable.includes(f)) || get('BitsPerComponent')?.asNumber?.() !== 8) return null;
+  let data = L.decodePDFRawStream(xo).decode();
+  let parms = get('DecodeParms');
+  if (parms instanceof L.PDFArray) parms = ctx.lookup(parms.get(parms.size() - 1));
+  const pred = parms instanceof L.PDFDict ? parms.lookup(L.PDFName.of('Predictor'))?.asNumber?.() || 1 : 1;
+  if (pred >= 10) data = unpredictPng(data, comps, 8, W);
+  else if (pred !== 1) return null;
+  if (data.length < W * H * comps) return null;
+  const px = c.createImageData(W, H);
+  // Gray samples fill all three channels
+  const [gi, bi] = comps === 1 ? [0, 0] : [1, 2];
+  for (let p = 0, s = 0; p < W * H; p++, s += comps) {
+    px.data[p * 4]     = data[s];
+    px.data[p * 4 + 1] = data[s + gi];
+    px.data[p * 4 + 2] = data[s + bi];
+    px.data[p * 4 + 3] = 255;
+  }
+  c.putImageData(px, 0, 0);
+  return { cv, comps, jpeg: false };
+}
 
-      thumb.append(cv, lbl, chk);
+/** Replace the image at ref by a smaller copy; true when it was. */
+async function shrinkImage(ctx, ref, size, opts) {
+  const L  = PDFLib;
+  const xo = ctx.lookup(ref);
+  // A colour-key mask names exact colours, which resampling or JPEG would not keep
+  if (xo.dict.lookup(L.PDFName.of('Mask')) instanceof L.PDFArray) return false;
+  const src = await imageCanvas(ctx, xo);
+  if (!src) return false;
+  const { width: W, height: H } = src.cv;
+  const k = Math.max(opts.dpi * size.w / 72 / W, opts.dpi * size.h / 72 / H);
+  const scale = k * OPT_SLACK < 1 ? k : 1;
+  // A lossless image at a fitting resolution has nothing to gain
+  if (scale === 1 && !src.jpeg) return false;
 
-      if (addRot) {
-        const rb = document.createElement('div');
-        rb.className   = 'page-rotation-badge';
-        rb.textContent = `${addRot}°`;
-        thumb.appendChild(rb);
-      }
+  let cv = src.cv;
+  if (scale < 1) {
+    cv = Object.assign(document.createElement('canvas'), {
+      width: Math.max(1, Math.round(W * scale)), height: Math.max(1, Math.round(H * scale)),
+    });
+    const c = cv.getContext('2d');
+    c.imageSmoothingQuality = 'high';
+    c.drawImage(src.cv, 0, 0, cv.width, cv.height);
+    src.cv.width = src.cv.height = 0;
+  }
+  let out;
+  const keep = ['Length', 'Filter', 'DecodeParms', 'Width', 'Height', 'BitsPerComponent'];
+  if (src.jpeg) {
+    const blob = await new Promise(res => cv.toBlob(res, 'image/jpeg', opts.quality));
+    if (!blob) return false;
+    out = ctx.stream(new Uint8Array(await blob.arrayBuffer()), { Filter: 'DCTDecode', BitsPerComponent: 8 });
+    // Canvas JPEGs are always RGB
+    out.dict.set(L.PDFName.of('ColorSpace'), src.comps === 3 ? xo.dict.get(L.PDFName.of('ColorSpace')) : L.PDFName.of('DeviceRGB'));
+    keep.push('ColorSpace');
+  } else {
+    const { data } = cv.getContext('2d').getImageData(0, 0, cv.width, cv.height);
+    const px = new Uint8Array(cv.width * cv.height * src.comps);
+    for (let i = 0, j = 0; i < data.length; i += 4) {
+      px[j++] = data[i];
+      if (src.comps === 3) { px[j++] = data[i + 1]; px[j++] = data[i + 2]; }
+    }
+    out = ctx.flateStream(px, { BitsPerComponent: 8 });
+  }
+  cv.width = cv.height = 0;
+  if (out.getContentsSize() >= xo.getContentsSize()) return false;
+  xo.dict.entries().forEach(([key, v]) => { if (!keep.includes(key.decodeText())) out.dict.set(key, v); });
+  out.dict.set(L.PDFName.of('Width'), L.PDFNumber.of(Math.round(W * scale)));
+  out.dict.set(L.PDFName.of('Height'), L.PDFNumber.of(Math.round(H * scale)));
+  ctx.assign(ref, out);
+  return true;
+}
 
-      thumb.addEventListener('click', () => {
-        const idx = +thumb.dataset.idx;
-        if (S.selectedPgs.has(idx)) { S.selectedPgs.delete(idx); thumb.classList.remove('selected'); }
-        else                        { S.selectedPgs.add(idx);    thumb.classList.add('selected'); }
-        updateGridBtns();
-      });
-      grid.appendChild(thumb);
+/** Point every reference in map's keys at its value instead. */
+function replaceRefs(ctx, map) {
+  const L   = PDFLib;
+  const fix = o => {
+    if (o instanceof L.PDFDict) {
+      o.entries().forEach(([k, v]) => (map.has(v) ? o.set(k, map.get(v)) : fix(v)));
+    } else if (o instanceof L.PDFArray) {
+      o.asArray().forEach((v, i) => (map.has(v) ? o.set(i, map.get(v)) : fix(v)));
+    } else if (o instanceof L.PDFStream) {
+      fix(o.dict);
     }
+  };
+  ctx.enumerateIndirectObjects().forEach(([, o]) => fix(o));
+}
 
-    if (sortable) sortable.destroy();
-    sortable = Sortable.create(grid, {
-      animation: 150,
-      ghostClass: 'sortable-ghost',
-      onEnd(ev) {
-        const moved = S.pageOrder.splice(ev.oldIndex, 1)[0];
-        S.pageOrder.splice(ev.newIndex, 0, moved);
-        grid.querySelectorAll('.page-thumb').forEach((el, i) => {
-          el.dataset.idx = i;
-          el.querySelector('.page-thumb-label').textContent = `Page ${i + 1}`;
-        });
-        S.selectedPgs.clear();
-        toast('Reordered. Download to save.', 'info');
-      },
+/**
+ * Keep one copy of identical images, font programs and font
+ * dictionaries. Runs in rounds: merging font files can make
+ * their descriptors identical, then the fonts using them.
+ * Returns how many objects were merged away.
+ */
+async function mergeDuplicates(doc) {
+  const L   = PDFLib;
+  const ctx = doc.context;
+  const is  = (d, k, v) => d.lookup(L.PDFName.of(k)) === L.PDFName.of(v);
+  let merged = 0;
+  for (let round = 0; round < 6; round++) {
+    const fontStreams = new Set();
+    ctx.enumerateIndirectObjects().forEach(([, o]) => {
+      if (o instanceof L.PDFDict) FONT_STREAMS.forEach(k => fontStreams.add(o.get(L.PDFName.of(k))));
     });
-  } finally { loading(false); }
-  updateGridBtns();
+    const seen = new Map(), map = new Map();
+    for (const [ref, o] of ctx.enumerateIndirectObjects()) {
+      let key;
+      if (o instanceof L.PDFStream && (is(o.dict, 'Subtype', 'Image') || fontStreams.has(ref))) {
+        key = `${o.dict}|${latin1(await digest('SHA-256', o.getContents()))}`;
+      } else if (o instanceof L.PDFDict && (is(o, 'Type', 'Font') || is(o, 'Type', 'FontDescriptor'))) {
+        key = String(o);
+      } else {
+        continue;
+      }
+      if (seen.has(key)) map.set(ref, seen.get(key));
+      else seen.set(key, ref);
+    }
+    if (!map.size) break;
+    replaceRefs(ctx, map);
+    map.forEach((_, ref) => ctx.delete(ref));
+    merged += map.size;
+  }
+  return merged;
 }
 
-function updateGridBtns() {
-  const has = S.selectedPgs.size > 0;
-  $('deleteSelectedBtn').disabled = !has;
-  $('rotateLeftBtn').disabled     = !has;
-  $('rotateRightBtn').disabled    = !has;
+/**
+ * Optimized copy of a saved PDF. opts: { images, dpi, quality
+ * (0–1), dedupe, unused, thumbs, meta, objStreams }.
+ */
+async function optimizePdf(bytes, opts) {
+  const L     = PDFLib;
+  const doc   = await L.PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  const ctx   = doc.context;
+  const stats = { images: 0, merged: 0, removed: 0 };
+  if (opts.thumbs) doc.getPages().forEach(p => p.node.delete(L.PDFName.of('Thumb')));
+  if (opts.meta) stripMetadata(doc);
+  // Duplicates first, so each image is shrunk once
+  if (opts.dedupe) {
+    loading(true, 'Merging duplicates…');
+    stats.merged = await mergeDuplicates(doc);
+  }
+  if (opts.images) {
+    const use = imageUsage(doc);
+    let n = 0;
+    for (const [ref, size] of use) {
+      loading(true, `Optimizing image ${++n} / ${use.size}…`);
+      if (await shrinkImage(ctx, ref, size, opts)) stats.images++;
+    }
+  }
+  if (opts.unused) {
+    const count = ctx.enumerateIndirectObjects().length;
+    pruneUnreachable(doc);
+    stats.removed = count - ctx.enumerateIndirectObjects().length;
+  }
+  loading(true, 'Saving…');
+  return { bytes: await doc.save({ useObjectStreams: opts.objStreams }), stats };
 }
 
-$('selectAllBtn').addEventListener('click', () => {
-  S.pageOrder.forEach((_, i) => S.selectedPgs.add(i));
-  document.querySelectorAll('.page-thumb').forEach(t => t.classList.add('selected'));
-  updateGridBtns();
-});
-$('deselectAllBtn').addEventListener('click', () => {
-  S.selectedPgs.clear();
-  document.querySelectorAll('.page-thumb').forEach(t => t.classList.remove('selected'));
-  updateGridBtns();
-});
-$('deleteSelectedBtn').addEventListener('click', async () => {
-  if (!S.selectedPgs.size || S.selectedPgs.size >= S.pageOrder.length) {
-    toast('Cannot delete all pages.', 'error'); return;
-  }
-  if (!confirm(`Delete ${S.selectedPgs.size} page(s)?`)) return;
-  [...S.selectedPgs].sort((a, b) => b - a).forEach(i => S.pageOrder.splice(i, 1));
-  S.selectedPgs.clear();
-  S.totalPages = S.pageOrder.length;
-  S.curPage    = Math.min(S.curPage, S.totalPages);
-  updateNav(); updateSplitHint();
-  await renderGrid(); previewMain(S.curPage);
-  toast('Deleted.', 'success');
-});
-async function rotateSel(deg) {
-  if (!S.selectedPgs.size) return;
-  const cnt = S.selectedPgs.size;
-  S.selectedPgs.forEach(i => {
-    const orig = S.pageOrder[i];
-    S.pageRots[orig] = ((S.pageRots[orig] || 0) + deg + 360) % 360;
+/** Bytes per OPT_CATS category in a saved PDF. */
+async function sizeReport(bytes) {
+  const L   = PDFLib;
+  const doc = await L.PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  const ctx = doc.context;
+  const N   = k => L.PDFName.of(k);
+  const cat = new Map();
+  const mark = (ref, c) => { if (ref instanceof L.PDFRef && !cat.has(ref)) cat.set(ref, c); };
+  doc.getPages().forEach(p => {
+    const c = p.node.get(N('Contents'));
+    (c instanceof L.PDFArray ? c.asArray() : [c]).forEach(r => mark(r, 'content'));
+    mark(p.node.get(N('Thumb')), 'meta');
   });
-  S.selectedPgs.clear();
-  await renderGrid(); previewMain(S.curPage);
-  toast(`Rotated ${cnt} page(s).`, 'success');
+  ctx.enumerateIndirectObjects().forEach(([, o]) => {
+    const d = o instanceof L.PDFStream ? o.dict : o;
+    if (!(d instanceof L.PDFDict)) return;
+    FONT_STREAMS.forEach(k => mark(d.get(N(k)), 'fonts'));
+    mark(d.get(N('Metadata')), 'meta');
+  });
+  const sizes = Object.fromEntries(OPT_CATS.map(([k]) => [k, 0]));
+  let streams = 0;
+  ctx.enumerateIndirectObjects().forEach(([ref, o]) => {
+    if (!(o instanceof L.PDFStream)) return;
+    const type = o.dict.lookup(N('Type')), sub = o.dict.lookup(N('Subtype'));
+    if (type === N('ObjStm') || type === N('XRef')) return;
+    const c = sub === N('Image') ? 'images'
+      : cat.get(ref) || (sub === N('Form') ? 'content' : type === N('Metadata') ? 'meta' : 'other');
+    const n = o.sizeInBytes();
+    sizes[c] += n;
+    streams += n;
+  });
+  sizes.structure = Math.max(0, bytes.length - streams);
+  return sizes;
 }
-$('rotateLeftBtn').addEventListener('click',  () => rotateSel(-90));
-$('rotateRightBtn').addEventListener('click', () => rotateSel(90));
-
-/* ─── TEXT OVERLAY ───────────────────────────── */
-$('addTextBtn').addEventListener('click', async () => {
-  if (!S.rawBytes) return;
-  const text = $('overlayText').value.trim();
-  if (!text) { toast('Enter some text first.', 'error'); return; }
-  const pgNum = parseInt($('textPage').value, 10);
-  if (!okPage(pgNum)) return;
-  const size  = Math.max(1, parseFloat($('textSize').value) || 24);
-  const x     = parseFloat($('textX').value) || 0;
-  const yTop  = parseFloat($('textY').value) || 0;
-  const col   = hexToRgb($('textColor').value);
-
-  loading(true, 'Adding text…');
-  try {
-    const base = await rebuild();
-    const doc  = await PDFLib.PDFDocument.load(base, { ignoreEncryption: true });
-    const font = await doc.embedFont(PDFLib.StandardFonts.Helvetica);
-    const page = doc.getPages()[pgNum - 1];
-    const h    = page.getSize().height;
-    page.drawText(text, {
-      x,
-      y:     h - yTop - size,   // convert top→bottom
-      size,
-      font,
-      color: PDFLib.rgb(col.r / 255, col.g / 255, col.b / 255),
-    });
-    const saved = await doc.save();
-    await applyEdit(saved instanceof Uint8Array ? saved : new Uint8Array(saved));
-    setPlaceMode(null);
-    toast('Text added!', 'success');
-  } catch (e) {
-    console.error('addTextBtn error:', e);
-    toast(`Failed: ${e.message}`, 'error');
-  } finally { loading(false); }
-});
-
-/* ─── IMAGE OVERLAY ──────────────────────────── */
-$('addImageBtn').addEventListener('click', async () => {
-  if (!S.rawBytes) return;
-  const fi = $('overlayImageInput');
-  if (!fi.files[0]) { toast('Select an image file.', 'error'); return; }
-  const f     = fi.files[0];
-  const pgNum = parseInt($('imgPage').value, 10);
-  if (!okPage(pgNum)) return;
-  const x    = parseFloat($('imgX').value) || 0;
-  const yTop = parseFloat($('imgY').value) || 0;
-  const w    = parseFloat($('imgW').value) || 150;
-  const h    = parseFloat($('imgH').value) || 100;
-
-  loading(true, 'Embedding image…');
-  try {
-    const base   = await rebuild();
-    const doc    = await PDFLib.PDFDocument.load(base, { ignoreEncryption: true });
-    const imgBuf = await f.arrayBuffer();
-    const img    = (f.type === 'image/png')
-      ? await doc.embedPng(imgBuf)
-      : await doc.embedJpg(imgBuf);
-    const page   = doc.getPages()[pgNum - 1];
-    const pgH    = page.getSize().height;
-    page.drawImage(img, { x, y: pgH - yTop - h, width: w, height: h });
-    const saved  = await doc.save();
-    await applyEdit(saved instanceof Uint8Array ? saved : new Uint8Array(saved));
-    setPlaceMode(null);
-    toast('Image embedded!', 'success');
-  } catch (e) {
-    console.error('addImageBtn error:', e);
-    toast(`Failed: ${e.message}`, 'error');
-  } finally { loading(false); }
-});
-
-/* ─── SIGNATURE ──────────────────────────────── */
-const sigCv  = $('sigCanvas');
-const sigCtx = sigCv.getContext('2d');
 
-$('clearSig').addEventListener('click', () =>
-  sigCtx.clearRect(0, 0, sigCv.width, sigCv.height));
-
-function sigPos(e) {
-  const r   = sigCv.getBoundingClientRect();
-  const src = e.touches ? e.touches[0] : e;
-  return {
-    x: (src.clientX - r.left) * (sigCv.width  / r.width),
-    y: (src.clientY - r.top)  * (sigCv.height / r.height),
+function renderOptReport(before, after, stats, total) {
+  const box  = $('optReport');
+  const cell = (tag, txt) => Object.assign(document.createElement(tag), { textContent: txt });
+  const pct  = (a, b) => (a ? `${Math.round((b - a) / a * 100)} %` : '—');
+  const table = document.createElement('table');
+  const row   = (tag, cells) => {
+    const tr = document.createElement('tr');
+    cells.forEach(t => tr.appendChild(cell(tag, t)));
+    table.appendChild(tr);
   };
+  row('th', ['', 'Before', 'After', 'Change']);
+  OPT_CATS.forEach(([k, label]) => {
+    if (before[k] || after[k]) row('td', [label, fmtSize(before[k]), fmtSize(after[k]), pct(before[k], after[k])]);
+  });
+  row('td', ['Total', fmtSize(total.before), fmtSize(total.after), pct(total.before, total.after)]);
+  box.innerHTML = '';
+  box.appendChild(table);
+  box.appendChild(cell('span', `${stats.images} image(s) recompressed, ${stats.merged} duplicate(s) merged, `
+    + `${stats.removed} unused object(s) removed.`));
+  show(box);
 }
-function sigDraw(e) {
-  e.preventDefault();
-  if (!S.sigDrawing) return;
-  const p = sigPos(e);
-  sigCtx.strokeStyle = $('sigColor').value;
-  sigCtx.lineWidth   = +$('sigStroke').value;
-  sigCtx.lineCap     = 'round';
-  sigCtx.lineJoin    = 'round';
-  sigCtx.lineTo(p.x, p.y);
-  sigCtx.stroke();
-}
-sigCv.addEventListener('mousedown',  e => { e.preventDefault(); S.sigDrawing = true;  const p = sigPos(e); sigCtx.beginPath(); sigCtx.moveTo(p.x, p.y); });
-sigCv.addEventListener('mousemove',  e => sigDraw(e));
-sigCv.addEventListener('mouseup',    () => { S.sigDrawing = false; });
-sigCv.addEventListener('mouseleave', () => { S.sigDrawing = false; });
-sigCv.addEventListener('touchstart', e => { e.preventDefault(); S.sigDrawing = true;  const p = sigPos(e); sigCtx.beginPath(); sigCtx.moveTo(p.x, p.y); }, { passive: false });
-sigCv.addEventListener('touchmove',  e => sigDraw(e), { passive: false });
-sigCv.addEventListener('touchend',   () => { S.sigDrawing = false; });
 
-$('addSigBtn').addEventListener('click', async () => {
+/** An edit after optimizing makes the result stale. */
+function dropOptimized() {
+  S.optimized = null;
+  $('optDownloadBtn').disabled = true;
+  hide($('optReport'));
+}
+
+$('optimizeBtn').addEventListener('click', async () => {
   if (!S.rawBytes) return;
-  const px = sigCtx.getImageData(0, 0, sigCv.width, sigCv.height);
-  if (!px.data.some(v => v > 0)) { toast('Draw a signature first.', 'error'); return; }
-  const pgNum = parseInt($('sigPage').value, 10);
-  if (!okPage(pgNum)) return;
-  const x    = parseFloat($('sigX').value) || 50;
-  const yTop = parseFloat($('sigY').value) || 50;
-  const w    = parseFloat($('sigW').value) || 200;
-  const h    = parseFloat($('sigH').value) || 80;
-
-  loading(true, 'Embedding signature…');
-  try {
-    const pngBytes = dataUrlToBytes(sigCv.toDataURL('image/png'));
-    const base     = await rebuild();
-    const doc      = await PDFLib.PDFDocument.load(base, { ignoreEncryption: true });
-    const img      = await doc.embedPng(pngBytes);
-    const page     = doc.getPages()[pgNum - 1];
-    const pgH      = page.getSize().height;
-    page.drawImage(img, { x, y: pgH - yTop - h, width: w, height: h });
-    const saved    = await doc.save();
-    await applyEdit(saved instanceof Uint8Array ? saved : new Uint8Array(saved));
-    setPlaceMode(null);
-    toast('Signature embedded!', 'success');
+  loading(true, 'Building PDF…');
+  try {
+    const opts = {
+      images:     $('optImages').checked,
+      dpi:        Math.min(1200, Math.max(36, parseFloat($('optDpi').value) || 150)),
+      quality:    Math.min(100, Math.max(10, parseFloat($('optQuality').value) || 75)) / 100,
+      dedupe:     $('optDedupe').checked,
+      unused:     $('optUnused').checked,
+      thumbs:     $('optThumbs').checked,
+      meta:       $('optMeta').checked,
+      objStreams: $('optObjStreams').checked,
+    };
+    const src = await rebuild({ flatten: true });
+    const { bytes, stats } = await optimizePdf(src, opts);
+    loading(true, 'Measuring…');
+    renderOptReport(await sizeReport(src), await sizeReport(bytes), stats, { before: src.length, after: bytes.length });
+    S.optimized = bytes;
+    // So the next edit starts a history step, which drops this result
+    S.editSession = S.formSession = null;
+    $('optDownloadBtn').disabled = false;
+    toast(bytes.length < src.length
+      ? `Optimized: ${fmtSize(src.length)} → ${fmtSize(bytes.length)}`
+      : 'Optimized, but the file did not get smaller.', bytes.length < src.length ? 'success' : 'info');
   } catch (e) {
-    console.error('addSigBtn error:', e);
-    toast(`Failed: ${e.message}`, 'error');
-  } finally { loading(false); }
+    console.error('optimizeBtn error:', e);
+    toast(`Optimize failed: ${e.message}`, 'error');
+  } finally {
+    loading(false);
+  }
 });
 
-/* ─── SECURITY ───────────────────────────────── */
-$('applyPwdBtn').addEventListener('click', async () => {
-  if (!S.rawBytes) return;
-  const up = $('userPassword').value;
-  if (!up) { toast('Enter a user password.', 'error'); return; }
+$('optDownloadBtn').addEventListener('click', async () => {
+  if (!S.optimized) return;
   loading(true, 'Saving…');
   try {
-    const out = await rebuild();
-    dlBytes(out, 'document.pdf');
-    const op = $('ownerPassword').value || up;
-    toast(`PDF saved. To encrypt locally: qpdf --encrypt ${up} ${op} 256 -- document.pdf out.pdf`, 'info', 10000);
+    await downloadPdf(S.optimized);
   } catch (e) {
-    console.error('applyPwdBtn error:', e);
-    toast(`Failed: ${e.message}`, 'error');
+    console.error('optDownloadBtn error:', e);
+    toast(`Download failed: ${e.message}`, 'error');
   } finally { loading(false); }
 });
 
 /* ─── DOWNLOAD ───────────────────────────────── */
+/** Save out, encrypted again when the upload was protected and that was asked for. */
+async function downloadPdf(out) {
+  const reencrypt = S.srcSecurity && $('keepEncryption').checked;
+  if (reencrypt) {
+    loading(true, 'Encrypting (AES-256)…');
+    out = await encryptPdf(out, securityOpts());
+  }
+  dlBytes(out, 'edited.pdf');
+  toast(reencrypt ? 'Downloaded (password protected)!' : 'Downloaded!', 'success');
+}
+
 $('downloadBtn').addEventListener('click', async () => {
   if (!S.rawBytes) return;
   loading(true, 'Building PDF…');
   try {
-    const out = await rebuild();
-    dlBytes(out, 'edited.pdf');
-    toast('Downloaded!', 'success');
+    await downloadPdf(await rebuild({ flatten: true }));
   } catch (e) {
     console.error('downloadBtn error:', e);
     toast(`Download failed: ${e.message}`, 'error');
@@ -795,15 +8440,88 @@ $('downloadBtn').addEventListener('click', async () => {
 });
 
 /* ─── UTILS ──────────────────────────────────── */
-function dlBytes(bytes, name) {
+function dlBytes(bytes, name, type = 'application/pdf') {
   if (!(bytes instanceof Uint8Array)) bytes = new Uint8Array(bytes);
-  const blob = new Blob([bytes], { type: 'application/pdf' });
+  const blob = new Blob([bytes], { type });
   const url  = URL.createObjectURL(blob);
   const a    = Object.assign(document.createElement('a'), { href: url, download: name });
   document.body.appendChild(a); a.click(); document.body.removeChild(a);
   setTimeout(() => URL.revokeObjectURL(url), 15000);
 }
 
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive from [{ name, bytes }]. Entries are stored
+ * uncompressed — PDFs and images are already compressed.
+ */
+function makeZip(files) {
+  const enc  = new TextEncoder();
+  const now  = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [], central = [];
+  let offset = 0;
+
+  files.forEach(f => {
+    const name = enc.encode(f.name);
+    const data = f.bytes instanceof Uint8Array ? f.bytes : new Uint8Array(f.bytes);
+    const crc  = crc32(data);
+
+    const local = new Uint8Array(30 + name.length);
+    const lv    = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true);
+    lv.setUint16(6, 0x0800, true);          // UTF-8 names
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const cd = new Uint8Array(46 + name.length);
+    const cv = new DataView(cd.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, date, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    cd.set(name, 46);
+
+    parts.push(local, data);
+    central.push(cd);
+    offset += local.length + data.length;
+  });
+
+  const cdSize = central.reduce((n, c) => n + c.length, 0);
+  const end    = new Uint8Array(22);
+  const ev     = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, cdSize, true);
+  ev.setUint32(16, offset, true);
+  return concatBytes(...parts, ...central, end);
+}
+
 function hexToRgb(hex) {
   const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
   return m
@@ -811,15 +8529,9 @@ function hexToRgb(hex) {
     : { r: 0, g: 0, b: 0 };
 }
 
-function dataUrlToBytes(dataUrl) {
-  const b64 = dataUrl.split(',')[1];
-  const bin = atob(b64);
-  const buf = new Uint8Array(bin.length);
-  for (let i = 0; i < bin.length; i++) buf[i] = bin.charCodeAt(i);
-  return buf;
-}
-
 /* ─── INIT ───────────────────────────────────── */
 enableBtns(false);
 refreshMergeList();
+renderHistory();
+renderSigLibrary();
 console.log('%c PDF Studio v4 ', 'background:#4f8ef7;color:#fff;font-size:1rem;padding:3px 12px;border-radius:4px');